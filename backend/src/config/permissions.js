@@ -0,0 +1,78 @@
+// Permissions checked by the code. Roles (and which permissions they grant) live in the database.
+const PERMISSIONS = {
+  'tasks:create': 'Create tasks',
+  'tasks:read:own': 'View own tasks',
+  'tasks:read:any': 'View all tasks',
+  'tasks:update:own': 'Update own tasks',
+  'tasks:update:any': 'Update any task',
+  'tasks:delete:own': 'Delete own tasks',
+  'tasks:delete:any': 'Delete any task',
+  'users:read': 'View users',
+  'users:invite': 'Invite users',
+  'users:update': 'Update users, their roles and login lockouts',
+  'users:delete': 'Delete users',
+  'users:suspend': 'Suspend, deactivate and reactivate users',
+  'users:impersonate': 'View the app as another user (support)',
+  'roles:read': 'View roles and permissions',
+  'roles:manage': 'Create, update and delete roles',
+  'settings:read': 'View security settings',
+  'settings:update': 'Update security settings',
+  'security_events:read': 'View the security event log of all users',
+};
+
+const OWN_TASK_PERMISSIONS = ['tasks:create', 'tasks:read:own', 'tasks:update:own', 'tasks:delete:own'];
+
+// Seeded by the migration; `user` and `admin` reproduce the original two-role behaviour
+const DEFAULT_ROLES = [
+  {
+    name: 'user',
+    description: 'Manages their own tasks',
+    permissions: OWN_TASK_PERMISSIONS,
+  },
+  {
+    name: 'admin',
+    description: 'Full access',
+    permissions: Object.keys(PERMISSIONS),
+  },
+  {
+    name: 'manager',
+    description: 'Manages everyone\'s tasks',
+    permissions: [
+      ...OWN_TASK_PERMISSIONS,
+      'tasks:read:any',
+      'tasks:update:any',
+      'tasks:delete:any',
+      'users:read',
+    ],
+  },
+  {
+    name: 'auditor',
+    description: 'Read-only access to tasks, users, roles, settings and the security event log',
+    permissions: ['tasks:read:any', 'users:read', 'roles:read', 'settings:read', 'security_events:read'],
+  },
+];
+
+// Scopes of personal access tokens and the permissions each one unlocks. A token can only use
+// permissions its user's role grants AND one of its scopes covers; anything else is JWT-only.
+const TOKEN_SCOPES = {
+  'tasks:read': ['tasks:read:own', 'tasks:read:any'],
+  'tasks:write': [
+    'tasks:create',
+    'tasks:update:own',
+    'tasks:update:any',
+    'tasks:delete:own',
+    'tasks:delete:any',
+  ],
+  'users:read': ['users:read', 'security_events:read'],
+  'users:write': ['users:invite', 'users:update', 'users:delete', 'users:suspend'],
+};
+
+// Roles that cannot be deleted
+const SYSTEM_ROLES = ['user', 'admin'];
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLES,
+  TOKEN_SCOPES,
+  SYSTEM_ROLES,
+};
@@ -28,7 +28,13 @@ const options = {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT',
-          description: 'Enter your JWT token',
+          description: 'Enter your JWT access token or a personal access token (pat_...)',
+        },
+        cookieAuth: {
+          type: 'apiKey',
+          in: 'cookie',
+          name: 'access_token',
+          description: 'Set by auth endpoints when called with `X-Auth-Mode: cookie`. State-changing requests must also send the `X-CSRF-Token` header matching the csrf_token cookie.',
         },
       },
       schemas: {
@@ -49,8 +55,16 @@ const options = {
             },
             role: {
               type: 'string',
-              enum: ['user', 'admin'],
-              description: 'User role',
+              description: 'Role name (see /api/v1/roles)',
+            },
+            status: {
+              type: 'string',
+              enum: ['active', 'suspended', 'deactivated'],
+              description: 'Account status; only active accounts can log in',
+            },
+            status_reason: {
+              type: 'string',
+              description: 'Why the account was suspended or deactivated',
             },
             created_at: {
               type: 'string',
@@ -148,9 +162,29 @@ const options = {
         name: 'Tasks',
         description: 'Task management endpoints',
       },
+      {
+        name: 'Tags',
+        description: 'Personal tags for categorising tasks',
+      },
+      {
+        name: 'Projects',
+        description: 'Shared projects with owner, editor and viewer members',
+      },
       {
         name: 'Users',
-        description: 'User management endpoints (Admin only)',
+        description: 'User management endpoints (users:* permissions)',
+      },
+      {
+        name: 'Settings',
+        description: 'Runtime settings (settings:* permissions)',
+      },
+      {
+        name: 'Roles',
+        description: 'Role and permission management (roles:* permissions)',
+      },
+      {
+        name: 'Security Events',
+        description: 'Security event log of all users (security_events:read)',
       },
     ],
   },
@@ -0,0 +1,65 @@
+const User = require('../models/User');
+const { buildAccountExport } = require('../utils/accountExport');
+const { scheduleAccountDeletion } = require('../utils/accountDeletion');
+const { clearAuthCookies } = require('../utils/authCookies');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+const { isLastAdministrator } = require('../utils/permissions');
+
+// @desc    Download everything stored about the current user
+// @route   GET /api/v1/auth/me/export
+// @access  Private
+const exportAccountData = async (req, res, next) => {
+  try {
+    const user = await User.findByIdWithPassword(req.user.id);
+    const archive = await buildAccountExport(user);
+    const date = archive.exported_at.slice(0, 10);
+
+    res.attachment(`task-manager-export-${user.username}-${date}.json`);
+    res.type('json').send(JSON.stringify(archive, null, 2));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete the current user's account after a grace period
+// @route   DELETE /api/v1/auth/me
+// @access  Private
+const deleteAccount = async (req, res, next) => {
+  try {
+    const user = await User.findByIdWithPassword(req.user.id);
+    const isPasswordValid = await User.verifyPassword(req.body.password, user.password);
+
+    if (!isPasswordValid) {
+      recordSecurityEvent(req, { type: 'account_deletion_requested', outcome: 'failure', user });
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect',
+      });
+    }
+
+    // The last administrator leaving would lock everyone out of user management
+    if (await isLastAdministrator(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are the only active user who can manage users or roles. Give that permission to someone else first.',
+      });
+    }
+
+    const deleteAt = await scheduleAccountDeletion(user);
+    clearAuthCookies(req, res);
+    recordSecurityEvent(req, { type: 'account_deletion_requested', user, details: { deleteAt } });
+
+    res.json({
+      success: true,
+      message: 'Your account has been disabled and will be deleted. Log in before then to restore it.',
+      data: { deletionScheduledAt: deleteAt },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  exportAccountData,
+  deleteAccount,
+};
@@ -0,0 +1,172 @@
+const TaskAttachment = require('../models/TaskAttachment');
+const { getStorage } = require('../storage');
+const { canUpdateTask } = require('../utils/taskAccess');
+const {
+  ATTACHMENT_LIMITS,
+  formatMegabytes,
+  generateStorageKey,
+  sanitizeFileName,
+  removeStoredFiles,
+} = require('../utils/attachments');
+
+// An attachment of the task in the URL, or a 404 (attachments of other tasks are reported as missing)
+const findTaskAttachment = async (req, res) => {
+  const attachment = await TaskAttachment.findById(req.params.attachmentId);
+
+  if (!attachment || attachment.task_id !== req.task.id) {
+    res.status(404).json({
+      success: false,
+      message: 'Attachment not found',
+    });
+    return null;
+  }
+
+  return attachment;
+};
+
+// @desc    Get the attachments of a task
+// @route   GET /api/v1/tasks/:id/attachments
+// @access  Private
+const getAttachments = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: { attachments: await TaskAttachment.findByTaskId(req.task.id) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Upload a file to a task
+// @route   POST /api/v1/tasks/:id/attachments
+// @access  Private (tasks:update:own / tasks:update:any)
+const uploadAttachment = async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A file is required in the "file" field',
+      });
+    }
+
+    const quotaExceeded = (used) => res.status(413).json({
+      success: false,
+      message: `Attachment storage quota exceeded (${formatMegabytes(used)} of ${formatMegabytes(ATTACHMENT_LIMITS.userQuota)} used)`,
+    });
+
+    // Cheap early refusal; the quota is enforced when the row is inserted below
+    const used = await TaskAttachment.sumSizeByUserId(req.user.id);
+
+    if (used + req.file.size > ATTACHMENT_LIMITS.userQuota) {
+      return quotaExceeded(used);
+    }
+
+    const storageKey = generateStorageKey(req.task.id);
+    await getStorage().put(storageKey, req.file.buffer, { contentType: req.file.mimetype });
+
+    let result;
+    try {
+      result = await TaskAttachment.createWithinQuota({
+        task_id: req.task.id,
+        user_id: req.user.id,
+        storage_key: storageKey,
+        original_name: sanitizeFileName(req.file.originalname),
+        content_type: req.file.mimetype.toLowerCase(),
+        size_bytes: req.file.size,
+      }, ATTACHMENT_LIMITS.userQuota);
+    } catch (error) {
+      await removeStoredFiles([storageKey]);
+      throw error;
+    }
+
+    // Concurrent uploads used up the quota while this file was being stored
+    if (!result.attachment) {
+      await removeStoredFiles([storageKey]);
+      return quotaExceeded(result.used);
+    }
+
+    const { attachment } = result;
+    const { storage_key, ...metadata } = attachment;
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachment uploaded successfully',
+      data: { attachment: metadata },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Download an attachment
+// @route   GET /api/v1/tasks/:id/attachments/:attachmentId/download
+// @access  Private
+const downloadAttachment = async (req, res, next) => {
+  try {
+    const attachment = await findTaskAttachment(req, res);
+    if (!attachment) return;
+
+    let stream;
+    try {
+      stream = await getStorage().createReadStream(attachment.storage_key);
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.statusCode === 404) {
+        return res.status(404).json({
+          success: false,
+          message: 'Attachment file is missing from storage',
+        });
+      }
+      throw error;
+    }
+
+    // Always a download: uploaded content is never rendered by the browser on the API's origin
+    res.attachment(attachment.original_name);
+    res.set({
+      'Content-Type': attachment.content_type,
+      'Content-Length': String(attachment.size_bytes),
+    });
+
+    stream.on('error', (error) => {
+      console.error('Attachment download failed:', error.message);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete an attachment
+// @route   DELETE /api/v1/tasks/:id/attachments/:attachmentId
+// @access  Private (tasks:update:own / tasks:update:any; the uploader, or update access to the task)
+const deleteAttachment = async (req, res, next) => {
+  try {
+    const attachment = await findTaskAttachment(req, res);
+    if (!attachment) return;
+
+    if (attachment.user_id !== req.user.id && !(await canUpdateTask(req.user, req.task))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this attachment',
+      });
+    }
+
+    await TaskAttachment.delete(attachment.id);
+    await removeStoredFiles([attachment.storage_key]);
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment,
+};
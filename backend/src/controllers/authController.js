@@ -1,12 +1,69 @@
 const User = require('../models/User');
-const { generateAccessToken, generateRefreshToken, verifyRefreshToken } = require('../utils/jwt');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const Invite = require('../models/Invite');
+const { verifyRefreshToken, hashToken } = require('../utils/jwt');
+const {
+  buildUserPayload,
+  buildImpersonatorPayload,
+  issueRefreshToken,
+  issueAccessToken,
+  startSession,
+  completeLogin,
+} = require('../utils/authSession');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const { isPasswordExpired, issueExpiredPasswordToken } = require('../utils/passwordPolicy');
+const { buildPendingDeletionResponse } = require('../utils/accountDeletion');
+const { isAccountActive, buildInactiveAccountResponse } = require('../utils/accountStatus');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+const {
+  REFRESH_COOKIE,
+  CSRF_COOKIE,
+  deliverTokens,
+  clearAuthCookies,
+  setCsrfCookie,
+  isCsrfValid,
+} = require('../utils/authCookies');
+const {
+  getLoginRetryAfter,
+  registerFailedLogin,
+  registerSuccessfulLogin,
+} = require('../utils/loginThrottle');
+
+// `open` lets anyone register; `invite_only` requires an admin invitation
+const REGISTRATION_MODE = process.env.REGISTRATION_MODE || 'open';
 
 // @desc    Register new user
 // @route   POST /api/v1/auth/register
 // @access  Public
 const register = async (req, res, next) => {
   try {
-    const { username, email, password, role } = req.body;
+    const { username, email, password, inviteToken } = req.body;
+
+    let invite = null;
+
+    if (inviteToken) {
+      invite = await Invite.findValidByHash(hashToken(inviteToken));
+
+      if (!invite) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired invitation',
+        });
+      }
+
+      if (invite.email.toLowerCase() !== email.toLowerCase()) {
+        return res.status(400).json({
+          success: false,
+          message: 'This invitation was issued for a different email address',
+        });
+      }
+    } else if (REGISTRATION_MODE === 'invite_only') {
+      return res.status(403).json({
+        success: false,
+        message: 'Registration is by invitation only',
+      });
+    }
 
     // Check if user already exists
     const existingUser = await User.findByEmail(email);
@@ -17,26 +74,45 @@ const register = async (req, res, next) => {
       });
     }
 
-    // Create user
-    const user = await User.create({ username, email, password, role });
+    // Public registration always creates regular users; only invitations carry a role
+    let user;
+
+    if (invite) {
+      // Consuming the invitation first guarantees single use under concurrent requests
+      if (!(await Invite.markAccepted(invite.id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid or expired invitation',
+        });
+      }
+
+      try {
+        const created = await User.create({ username, email, password, role: invite.role });
 
-    // Generate tokens
-    const accessToken = generateAccessToken({ id: user.id, role: user.role });
-    const refreshToken = generateRefreshToken({ id: user.id });
+        // The invitation link was delivered to this address, so it is verified
+        await User.markEmailVerified(created.id, email);
+        user = await User.findById(created.id);
+      } catch (error) {
+        await Invite.release(invite.id);
+        throw error;
+      }
+    } else {
+      user = await User.create({ username, email, password, role: 'user' });
+      await sendVerificationEmail(user);
+    }
+
+    // Start session and generate tokens
+    const { accessToken, refreshToken } = await startSession(user, req);
+    recordSecurityEvent(req, { type: 'register', user, details: { invited: Boolean(invite) } });
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      data: {
-        user: {
-          id: user.id,
-          username: user.username,
-          email: user.email,
-          role: user.role,
-        },
+      data: deliverTokens(req, res, {
+        user: await buildUserPayload(user),
         accessToken,
         refreshToken,
-      },
+      }),
     });
   } catch (error) {
     next(error);
@@ -48,12 +124,26 @@ const register = async (req, res, next) => {
 // @access  Public
 const login = async (req, res, next) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, restoreAccount } = req.body;
+
+    // Reject while the account or IP is delayed/locked out (checked before the password)
+    const retryAfter = await getLoginRetryAfter(email, req.ip);
+
+    if (retryAfter > 0) {
+      recordSecurityEvent(req, { type: 'login', outcome: 'failure', email, details: { reason: 'locked' } });
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed login attempts. Please try again in ${retryAfter} seconds.`,
+      });
+    }
 
     // Find user with password
     const user = await User.findByEmail(email);
     
     if (!user) {
+      await registerFailedLogin(email, req.ip);
+      recordSecurityEvent(req, { type: 'login', outcome: 'failure', email, details: { reason: 'unknown_email' } });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
@@ -64,29 +154,58 @@ const login = async (req, res, next) => {
     const isPasswordValid = await User.verifyPassword(password, user.password);
     
     if (!isPasswordValid) {
+      await registerFailedLogin(email, req.ip, user);
+      recordSecurityEvent(req, { type: 'login', outcome: 'failure', user, details: { reason: 'invalid_password' } });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
       });
     }
 
-    // Generate tokens
-    const accessToken = generateAccessToken({ id: user.id, role: user.role });
-    const refreshToken = generateRefreshToken({ id: user.id });
+    // Only reported once the password is correct, so it cannot be used to probe accounts
+    if (!isAccountActive(user)) {
+      recordSecurityEvent(req, { type: 'login', outcome: 'failure', user, details: { reason: `account_${user.status}` } });
+      return res.status(403).json(buildInactiveAccountResponse(user));
+    }
+
+    // An account awaiting deletion only signs in when the user chooses to restore it
+    if (user.deletion_scheduled_at && !restoreAccount) {
+      recordSecurityEvent(req, { type: 'login', outcome: 'failure', user, details: { reason: 'pending_deletion' } });
+      return res.status(403).json(buildPendingDeletionResponse(user));
+    }
+
+    // Failures only reset once the login is complete (after any second factor)
+    if (!user.two_factor_enabled_at) {
+      await registerSuccessfulLogin(email);
+
+      // With 2FA enabled this is checked once the second factor is verified
+      if (isPasswordExpired(user)) {
+        recordSecurityEvent(req, { type: 'login', outcome: 'failure', user, details: { reason: 'password_expired' } });
+        return res.status(403).json({
+          success: false,
+          message: 'Your password has expired. Please choose a new one.',
+          data: {
+            passwordExpired: true,
+            resetToken: await issueExpiredPasswordToken(user.id),
+          },
+        });
+      }
+    }
+
+    // Either a 2FA challenge or a new session with tokens
+    const { message, data } = await completeLogin(user, req, {
+      restoreAccount: Boolean(user.deletion_scheduled_at),
+    });
+    recordSecurityEvent(req, {
+      type: data.twoFactorRequired ? 'two_factor_challenge' : 'login',
+      user,
+      details: { method: 'password', ...(data.accountRestored && { accountRestored: true }) },
+    });
 
     res.json({
       success: true,
-      message: 'Login successful',
-      data: {
-        user: {
-          id: user.id,
-          username: user.username,
-          email: user.email,
-          role: user.role,
-        },
-        accessToken,
-        refreshToken,
-      },
+      message,
+      data: deliverTokens(req, res, data),
     });
   } catch (error) {
     next(error);
@@ -98,7 +217,9 @@ const login = async (req, res, next) => {
 // @access  Public
 const refreshToken = async (req, res, next) => {
   try {
-    const { refreshToken } = req.body;
+    // API clients send the token in the body; the web app's lives in an HttpOnly cookie
+    const cookieToken = req.cookies[REFRESH_COOKIE];
+    const refreshToken = req.body.refreshToken || cookieToken;
 
     if (!refreshToken) {
       return res.status(400).json({
@@ -107,8 +228,66 @@ const refreshToken = async (req, res, next) => {
       });
     }
 
-    // Verify refresh token
-    const decoded = verifyRefreshToken(refreshToken);
+    if (!req.body.refreshToken && !isCsrfValid(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid CSRF token',
+      });
+    }
+
+    // Verify refresh token signature and expiry
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const stored = await RefreshToken.findByHash(hashToken(refreshToken));
+
+    if (!stored || stored.user_id !== decoded.id) {
+      recordSecurityEvent(req, {
+        type: 'token_refresh',
+        outcome: 'failure',
+        user: { id: decoded.id },
+        details: { reason: 'unknown_token' },
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token',
+      });
+    }
+
+    // A rotated token being presented again means it was stolen: kill the whole session
+    if (stored.revoked_at) {
+      if (stored.replaced_by) {
+        await Session.revokeByFamily(stored.family_id);
+      }
+
+      recordSecurityEvent(req, {
+        type: 'token_refresh',
+        outcome: 'failure',
+        user: { id: stored.user_id },
+        details: { reason: stored.replaced_by ? 'reuse_detected' : 'revoked' },
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: stored.replaced_by ? 'Refresh token reuse detected' : 'Refresh token has been revoked',
+      });
+    }
+
+    const session = await Session.findByFamily(stored.family_id);
+
+    if (!session || session.revoked_at) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked',
+      });
+    }
 
     // Get user
     const user = await User.findById(decoded.id);
@@ -120,15 +299,68 @@ const refreshToken = async (req, res, next) => {
       });
     }
 
-    // Generate new access token
-    const newAccessToken = generateAccessToken({ id: user.id, role: user.role });
+    // Rotate: issue a successor in the same family and retire the presented token
+    const { token: newRefreshToken, record } = await issueRefreshToken(user.id, stored.family_id);
+    const rotated = await RefreshToken.markRotated(stored.id, record.id);
+
+    if (!rotated) {
+      // Lost a race against another refresh with the same token
+      await Session.revokeByFamily(stored.family_id);
+      recordSecurityEvent(req, { type: 'token_refresh', outcome: 'failure', user, details: { reason: 'reuse_detected' } });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token reuse detected',
+      });
+    }
+
+    await Session.touch(session.id, req.ip);
+    const newAccessToken = await issueAccessToken(user, session.id);
+    recordSecurityEvent(req, { type: 'token_refresh', user, details: { sessionId: session.id } });
 
     res.json({
       success: true,
       message: 'Token refreshed successfully',
-      data: {
+      data: deliverTokens(req, res, {
         accessToken: newAccessToken,
-      },
+        refreshToken: newRefreshToken,
+      }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Logout (revoke current session)
+// @route   POST /api/v1/auth/logout
+// @access  Private
+const logout = async (req, res, next) => {
+  try {
+    await Session.revoke(req.sessionId);
+    clearAuthCookies(req, res);
+    recordSecurityEvent(req, { type: 'logout', user: req.user, details: { sessionId: req.sessionId } });
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the CSRF token for cookie-authenticated requests
+// @route   GET /api/v1/auth/csrf-token
+// @access  Public
+const getCsrfToken = async (req, res, next) => {
+  try {
+    // Readable only by allowed CORS origins, so the frontend can fetch it even
+    // when it is served from a domain that cannot see the API's cookies
+    const csrfToken = req.cookies[CSRF_COOKIE] || setCsrfCookie(res);
+
+    res.json({
+      success: true,
+      data: { csrfToken },
     });
   } catch (error) {
     next(error);
@@ -145,7 +377,11 @@ const getMe = async (req, res, next) => {
     res.json({
       success: true,
       data: {
-        user,
+        user: {
+          ...user,
+          ...(await buildUserPayload(user)),
+          impersonator: req.actor ? buildImpersonatorPayload(req.actor, req.impersonationExpiresAt) : null,
+        },
       },
     });
   } catch (error) {
@@ -159,12 +395,30 @@ const getMe = async (req, res, next) => {
 const updateProfile = async (req, res, next) => {
   try {
     const { username, email } = req.body;
+    const emailChanged = email !== undefined && email !== req.user.email;
     
     const updatedUser = await User.update(req.user.id, { username, email });
+    recordSecurityEvent(req, {
+      type: 'profile_update',
+      user: req.user,
+      details: {
+        fields: ['username', 'email'].filter(field => req.body[field] !== undefined),
+        ...(emailChanged && { previousEmail: req.user.email }),
+      },
+    });
+
+    // A new address has to be verified again
+    if (emailChanged) {
+      await User.markEmailUnverified(req.user.id);
+      updatedUser.email_verified_at = null;
+      await sendVerificationEmail(updatedUser);
+    }
 
     res.json({
       success: true,
-      message: 'Profile updated successfully',
+      message: emailChanged
+        ? 'Profile updated successfully. Please verify your new email address.'
+        : 'Profile updated successfully',
       data: {
         user: updatedUser,
       },
@@ -178,6 +432,8 @@ module.exports = {
   register,
   login,
   refreshToken,
+  logout,
+  getCsrfToken,
   getMe,
   updateProfile,
 };
@@ -0,0 +1,154 @@
+const Task = require('../models/Task');
+const TaskChecklistItem = require('../models/TaskChecklistItem');
+const { canUpdateTask, canUpdateTaskStatus } = require('../utils/taskAccess');
+
+// A checklist item of the task in the URL, or a 404 (items of other tasks are reported as missing)
+const findTaskChecklistItem = async (req, res, task) => {
+  const item = await TaskChecklistItem.findById(req.params.itemId);
+
+  if (!item || item.task_id !== task.id) {
+    res.status(404).json({
+      success: false,
+      message: 'Checklist item not found',
+    });
+    return null;
+  }
+
+  return item;
+};
+
+const forbidden = (res) => res.status(403).json({
+  success: false,
+  message: 'Not authorized to change the checklist of this task',
+});
+
+// @desc    Get the checklist of a task
+// @route   GET /api/v1/tasks/:id/checklist
+// @access  Private (read access to the task)
+const getChecklist = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: { items: req.task.checklist },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add an item to the end of a task's checklist
+// @route   POST /api/v1/tasks/:id/checklist
+// @access  Private (update access to the task)
+const createChecklistItem = async (req, res, next) => {
+  try {
+    if (!(await canUpdateTask(req.user, req.task))) {
+      return forbidden(res);
+    }
+
+    const item = await TaskChecklistItem.create({ task_id: req.task.id, body: req.body.body });
+
+    res.status(201).json({
+      success: true,
+      message: 'Checklist item added successfully',
+      data: { item },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Edit a checklist item or tick it off
+// @route   PUT /api/v1/tasks/:id/checklist/:itemId
+// @access  Private (update access to the task; ticking items off is also open to the assignee)
+const updateChecklistItem = async (req, res, next) => {
+  try {
+    const item = await findTaskChecklistItem(req, res, req.task);
+    if (!item) return;
+
+    const { body, completed } = req.body;
+    const canUpdate = body === undefined
+      ? await canUpdateTaskStatus(req.user, req.task)
+      : await canUpdateTask(req.user, req.task);
+
+    if (!canUpdate) {
+      return forbidden(res);
+    }
+
+    const updated = await TaskChecklistItem.update(item.id, { body, completed, userId: req.user.id });
+
+    if (completed) {
+      await Task.autoComplete(req.task.id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Checklist item updated successfully',
+      data: { item: updated },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reorder the checklist of a task
+// @route   PUT /api/v1/tasks/:id/checklist/order
+// @access  Private (update access to the task)
+const reorderChecklist = async (req, res, next) => {
+  try {
+    if (!(await canUpdateTask(req.user, req.task))) {
+      return forbidden(res);
+    }
+
+    const { itemIds } = req.body;
+    const currentIds = req.task.checklist.map(item => item.id);
+
+    if (itemIds.length !== currentIds.length || !currentIds.every(id => itemIds.includes(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'itemIds must list every checklist item of the task exactly once',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Checklist reordered successfully',
+      data: { items: await TaskChecklistItem.reorder(req.task.id, itemIds) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a checklist item
+// @route   DELETE /api/v1/tasks/:id/checklist/:itemId
+// @access  Private (update access to the task)
+const deleteChecklistItem = async (req, res, next) => {
+  try {
+    const item = await findTaskChecklistItem(req, res, req.task);
+    if (!item) return;
+
+    if (!(await canUpdateTask(req.user, req.task))) {
+      return forbidden(res);
+    }
+
+    await TaskChecklistItem.delete(item.id);
+
+    // The remaining items may now all be done
+    await Task.autoComplete(req.task.id);
+
+    res.json({
+      success: true,
+      message: 'Checklist item deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getChecklist,
+  createChecklistItem,
+  updateChecklistItem,
+  reorderChecklist,
+  deleteChecklistItem,
+};
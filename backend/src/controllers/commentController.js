@@ -0,0 +1,165 @@
+const TaskComment = require('../models/TaskComment');
+const { hasPermission } = require('../utils/permissions');
+
+// A comment of the task in the URL, or a 404 (comments of other tasks are reported as missing)
+const findTaskComment = async (req, res, task) => {
+  const comment = await TaskComment.findById(req.params.commentId);
+
+  if (!comment || comment.task_id !== task.id) {
+    res.status(404).json({
+      success: false,
+      message: 'Comment not found',
+    });
+    return null;
+  }
+
+  return comment;
+};
+
+// @desc    Get the comments of a task with their replies
+// @route   GET /api/v1/tasks/:id/comments
+// @access  Private
+const getComments = async (req, res, next) => {
+  try {
+    const { task } = req;
+
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+
+    // Pagination counts top-level comments; each one comes with all of its replies
+    const threads = await TaskComment.findThreadsByTaskId(task.id, { limit, offset });
+    const replies = await TaskComment.findRepliesByParentIds(threads.map(comment => comment.id));
+    const total = await TaskComment.countThreadsByTaskId(task.id);
+
+    res.json({
+      success: true,
+      data: {
+        comments: threads.map(comment => ({
+          ...comment,
+          replies: replies.filter(reply => reply.parent_id === comment.id),
+        })),
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: total > offset + limit,
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Comment on a task or reply to a comment
+// @route   POST /api/v1/tasks/:id/comments
+// @access  Private
+const createComment = async (req, res, next) => {
+  try {
+    const { task } = req;
+
+    const { body, parentId } = req.body;
+
+    if (parentId) {
+      const parent = await TaskComment.findById(parentId);
+
+      if (!parent || parent.task_id !== task.id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent comment not found',
+        });
+      }
+
+      // Threads are one level deep
+      if (parent.parent_id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Replies can only be added to top-level comments',
+        });
+      }
+    }
+
+    const comment = await TaskComment.create({
+      task_id: task.id,
+      user_id: req.user.id,
+      parent_id: parentId,
+      body,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: { comment },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Edit a comment
+// @route   PUT /api/v1/tasks/:id/comments/:commentId
+// @access  Private (author only)
+const updateComment = async (req, res, next) => {
+  try {
+    const { task } = req;
+
+    const comment = await findTaskComment(req, res, task);
+    if (!comment) return;
+
+    if (comment.user_id !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only edit your own comments',
+      });
+    }
+
+    const updated = await TaskComment.update(comment.id, req.body.body);
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: { comment: updated },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a comment and its replies
+// @route   DELETE /api/v1/tasks/:id/comments/:commentId
+// @access  Private (author, task owner or tasks:delete:any)
+const deleteComment = async (req, res, next) => {
+  try {
+    const { task } = req;
+
+    const comment = await findTaskComment(req, res, task);
+    if (!comment) return;
+
+    const canDelete = comment.user_id === req.user.id
+      || task.user_id === req.user.id
+      || hasPermission(req.user, 'tasks:delete:any');
+
+    if (!canDelete) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this comment',
+      });
+    }
+
+    await TaskComment.delete(comment.id);
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+};
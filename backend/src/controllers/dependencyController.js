@@ -0,0 +1,129 @@
+const Task = require('../models/Task');
+const TaskDependency = require('../models/TaskDependency');
+const { canReadTask, canUpdateTask, redactUnreadableTasks } = require('../utils/taskAccess');
+
+const forbidden = (res) => res.status(403).json({
+  success: false,
+  message: 'Not authorized to change the dependencies of this task',
+});
+
+// The current dependencies of a task, as returned after adding or removing one
+const dependencyPayload = async (user, taskId) => {
+  const task = await Task.findById(taskId);
+
+  return {
+    blocked: task.blocked,
+    blocked_by: await redactUnreadableTasks(user, task.blocked_by),
+  };
+};
+
+// @desc    Mark a task as blocked by another task
+// @route   POST /api/v1/tasks/:id/dependencies
+// @access  Private (update access to the task, read access to the blocking task)
+const addDependency = async (req, res, next) => {
+  try {
+    const { task } = req;
+    const { dependsOnId } = req.body;
+
+    if (!(await canUpdateTask(req.user, task))) {
+      return forbidden(res);
+    }
+
+    if (dependsOnId === task.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'A task cannot depend on itself',
+      });
+    }
+
+    // Tasks the user cannot see are reported as missing
+    const blocker = await Task.findById(dependsOnId);
+
+    if (!blocker || !(await canReadTask(req.user, blocker))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blocking task not found',
+      });
+    }
+
+    if (await TaskDependency.exists(task.id, blocker.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The task already depends on that task',
+      });
+    }
+
+    if (await TaskDependency.dependsOn(blocker.id, task.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'That dependency would create a cycle',
+      });
+    }
+
+    await TaskDependency.create({ task_id: task.id, depends_on_id: blocker.id, created_by: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Dependency added successfully',
+      data: await dependencyPayload(req.user, task.id),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a dependency of a task
+// @route   DELETE /api/v1/tasks/:id/dependencies/:dependsOnId
+// @access  Private (update access to the task)
+const removeDependency = async (req, res, next) => {
+  try {
+    const { task } = req;
+
+    if (!(await canUpdateTask(req.user, task))) {
+      return forbidden(res);
+    }
+
+    const removed = await TaskDependency.delete(task.id, parseInt(req.params.dependsOnId));
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dependency not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Dependency removed successfully',
+      data: await dependencyPayload(req.user, task.id),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the graph of tasks connected to a task through dependencies
+// @route   GET /api/v1/tasks/:id/dependency-graph
+// @access  Private (read access to the task)
+const getDependencyGraph = async (req, res, next) => {
+  try {
+    const { nodes, edges, truncated } = await Task.findDependencyGraph(req.task.id);
+
+    res.json({
+      success: true,
+      data: {
+        nodes: await redactUnreadableTasks(req.user, nodes),
+        edges,
+        truncated,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  addDependency,
+  removeDependency,
+  getDependencyGraph,
+};
@@ -0,0 +1,140 @@
+const User = require('../models/User');
+const ImpersonationLog = require('../models/ImpersonationLog');
+const {
+  buildUserPayload,
+  buildImpersonatorPayload,
+  issueAccessToken,
+  issueImpersonationToken,
+} = require('../utils/authSession');
+const { isCookieMode, setAccessCookie } = require('../utils/authCookies');
+const { getRolePermissions } = require('../utils/permissions');
+const { getTokenExpiry } = require('../utils/jwt');
+const { isAccountActive } = require('../utils/accountStatus');
+
+// @desc    Start impersonating a user ("view as")
+// @route   POST /api/v1/users/:id/impersonate
+// @access  Private (users:impersonate)
+const startImpersonation = async (req, res, next) => {
+  try {
+    // The impersonation runs on the admin's session, so it needs an interactive login
+    if (!req.sessionId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Impersonation requires an interactive login',
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot impersonate yourself',
+      });
+    }
+
+    if (!isAccountActive(user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Suspended or deactivated users cannot be impersonated',
+      });
+    }
+
+    const targetPermissions = await getRolePermissions(user.role);
+
+    // Otherwise an admin could borrow a peer's identity for actions in their name
+    if (targetPermissions.includes('users:impersonate')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Users who can impersonate others cannot be impersonated',
+      });
+    }
+
+    // Impersonating must not unlock anything the actor cannot already do themselves
+    if (!targetPermissions.every(permission => req.user.permissions.includes(permission))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Users with permissions you do not have cannot be impersonated',
+      });
+    }
+
+    const accessToken = await issueImpersonationToken(user, req.user, req.sessionId);
+    const expiresAt = getTokenExpiry(accessToken);
+
+    await ImpersonationLog.create({
+      actor_id: req.user.id,
+      user_id: user.id,
+      session_id: req.sessionId,
+      event: 'start',
+      ip_address: req.ip,
+    });
+
+    // The web app swaps its access cookie; API clients use the returned token
+    if (isCookieMode(req)) {
+      setAccessCookie(res, accessToken);
+    }
+
+    res.json({
+      success: true,
+      message: `You are now viewing the app as ${user.username}`,
+      data: {
+        user: {
+          ...(await buildUserPayload(user)),
+          impersonator: buildImpersonatorPayload(req.user, expiresAt),
+        },
+        expiresAt,
+        ...(!isCookieMode(req) && { accessToken }),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Stop impersonating and return to the admin's own account
+// @route   POST /api/v1/auth/impersonation/stop
+// @access  Private
+const stopImpersonation = async (req, res, next) => {
+  try {
+    // Also called after the impersonation token has expired, so not impersonating is fine
+    if (!req.actor) {
+      return res.json({
+        success: true,
+        message: 'Not impersonating',
+        data: { user: await buildUserPayload(req.user) },
+      });
+    }
+
+    await ImpersonationLog.create({
+      actor_id: req.actor.id,
+      user_id: req.user.id,
+      session_id: req.sessionId,
+      event: 'stop',
+      ip_address: req.ip,
+    });
+
+    if (isCookieMode(req)) {
+      setAccessCookie(res, await issueAccessToken(req.actor, req.sessionId));
+    }
+
+    res.json({
+      success: true,
+      message: 'Impersonation ended',
+      data: { user: await buildUserPayload(req.actor) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  startImpersonation,
+  stopImpersonation,
+};
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Invite = require('../models/Invite');
+const { hashToken } = require('../utils/jwt');
+const { canGrantRole } = require('../utils/permissions');
+const { sendMail, frontendUrl } = require('../mail');
+
+const INVITE_EXPIRE_DAYS = parseInt(process.env.INVITE_EXPIRE_DAYS) || 7;
+
+// @desc    Invite someone to create an account
+// @route   POST /api/v1/users/invites
+// @access  Private (users:invite)
+const createInvite = async (req, res, next) => {
+  try {
+    const { email, role = 'user', expiresInDays = INVITE_EXPIRE_DAYS } = req.body;
+
+    if (!(await canGrantRole(req.user, role))) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot invite users with the ${role} role`,
+      });
+    }
+
+    const existingUser = await User.findByEmail(email);
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists',
+      });
+    }
+
+    // Re-inviting an email replaces its pending invitation
+    await Invite.deletePendingForEmail(email);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const invite = await Invite.create({
+      email,
+      role,
+      token_hash: hashToken(token),
+      invited_by: req.user.id,
+      expires_at: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+    });
+
+    const inviteUrl = frontendUrl(`/register?invite=${token}`);
+
+    try {
+      await sendMail(email, 'invitation', {
+        inviterName: req.user.username,
+        role,
+        registerUrl: inviteUrl,
+        expiresInDays,
+      });
+    } catch (error) {
+      console.error('Failed to send invitation email:', error.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: {
+        invite: { ...invite, invited_by: req.user.username },
+        inviteUrl,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get pending invitations
+// @route   GET /api/v1/users/invites
+// @access  Private (users:invite)
+const getInvites = async (req, res, next) => {
+  try {
+    const invites = await Invite.findPending();
+
+    res.json({
+      success: true,
+      data: { invites },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/v1/users/invites/:id
+// @access  Private (users:invite)
+const revokeInvite = async (req, res, next) => {
+  try {
+    const deleted = await Invite.deletePending(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Look up an invitation to pre-fill registration
+// @route   GET /api/v1/auth/invites/:token
+// @access  Public
+const getInviteByToken = async (req, res, next) => {
+  try {
+    const invite = await Invite.findValidByHash(hashToken(req.params.token));
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invalid or expired invitation',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        invite: { email: invite.email, role: invite.role, expires_at: invite.expires_at },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createInvite,
+  getInvites,
+  revokeInvite,
+  getInviteByToken,
+};
@@ -0,0 +1,18 @@
+const { getJwks } = require('../utils/signingKeys');
+
+// @desc    Public keys that verify access tokens (JSON Web Key Set)
+// @route   GET /.well-known/jwks.json
+// @access  Public
+const getJwksDocument = async (req, res, next) => {
+  try {
+    // Standard JWKS format (no envelope) so off-the-shelf JWT libraries can consume it
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(await getJwks());
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getJwksDocument,
+};
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const UserIdentity = require('../models/UserIdentity');
+const OidcLogin = require('../models/OidcLogin');
+const { hashToken } = require('../utils/jwt');
+const { completeLogin } = require('../utils/authSession');
+const { deliverTokens } = require('../utils/authCookies');
+const { buildPendingDeletionResponse } = require('../utils/accountDeletion');
+const { isAccountActive, buildInactiveAccountResponse } = require('../utils/accountStatus');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+const { frontendUrl } = require('../mail');
+const {
+  isOidcEnabled,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  verifyIdToken,
+} = require('../utils/oidc');
+
+const OIDC_PROVIDER_NAME = process.env.OIDC_PROVIDER_NAME || 'SSO';
+const OIDC_DEFAULT_ROLE = process.env.OIDC_DEFAULT_ROLE || 'user';
+const OIDC_JIT_PROVISIONING = process.env.OIDC_JIT_PROVISIONING !== 'false';
+const OIDC_LOGIN_EXPIRE_MINUTES = 10;
+
+// Binds the login to the browser that started it, so a callback URL cannot be replayed elsewhere
+const BROWSER_COOKIE = 'oidc_browser';
+
+const loginError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+// Pick a free username based on the provider's preferred username or the email
+const generateUsername = async (claims, email) => {
+  const base = (claims.preferred_username || email.split('@')[0])
+    .replace(/[^a-zA-Z0-9_]/g, '_')
+    .substring(0, 40)
+    .padEnd(3, '_');
+
+  let username = base;
+  while (await User.findByUsername(username)) {
+    username = `${base}_${crypto.randomInt(1000, 10000)}`;
+  }
+  return username;
+};
+
+// Find the linked account, link by verified email, or create one just in time
+const findOrProvisionUser = async (claims) => {
+  const identity = await UserIdentity.findBySubject(claims.iss, claims.sub);
+
+  if (identity) {
+    await UserIdentity.touch(identity.id, claims.email);
+    return await User.findById(identity.user_id);
+  }
+
+  if (!claims.email || claims.email_verified !== true) {
+    throw loginError(403, 'Your identity provider did not return a verified email address');
+  }
+
+  const email = claims.email.toLowerCase();
+  let user = await User.findByEmail(email);
+
+  if (user && !user.email_verified_at) {
+    // Linking to an unverified account would hand it to whoever registered the address first
+    throw loginError(403, 'An account with this email exists but is not verified. Verify it or sign in with your password first.');
+  }
+
+  if (!user) {
+    if (!OIDC_JIT_PROVISIONING) {
+      throw loginError(403, 'No account exists for this email. Ask an administrator for an invitation.');
+    }
+
+    // SSO-only accounts get an unknown random password; "forgot password" can set one later
+    user = await User.create({
+      username: await generateUsername(claims, email),
+      email,
+      password: crypto.randomBytes(32).toString('hex'),
+      role: OIDC_DEFAULT_ROLE,
+    });
+    await User.markEmailVerified(user.id, email);
+  }
+
+  await UserIdentity.create({ user_id: user.id, issuer: claims.iss, subject: claims.sub, email });
+  return await User.findById(user.id);
+};
+
+// @desc    Whether SSO login is available
+// @route   GET /api/v1/auth/oidc/config
+// @access  Public
+const getOidcConfig = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        enabled: isOidcEnabled(),
+        providerName: OIDC_PROVIDER_NAME,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start SSO login (redirects to the identity provider)
+// @route   GET /api/v1/auth/oidc/login
+// @access  Public
+const oidcLogin = async (req, res, next) => {
+  try {
+    if (!isOidcEnabled()) {
+      return res.status(404).json({
+        success: false,
+        message: 'SSO login is not configured',
+      });
+    }
+
+    const state = crypto.randomBytes(32).toString('hex');
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const browser = crypto.randomBytes(32).toString('hex');
+    const { verifier, challenge } = createPkcePair();
+
+    await OidcLogin.create({
+      state_hash: hashToken(state),
+      browser_hash: hashToken(browser),
+      code_verifier: verifier,
+      nonce,
+      expires_at: new Date(Date.now() + OIDC_LOGIN_EXPIRE_MINUTES * 60 * 1000),
+    });
+
+    res.cookie(BROWSER_COOKIE, browser, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: `${req.baseUrl}/oidc`,
+      maxAge: OIDC_LOGIN_EXPIRE_MINUTES * 60 * 1000,
+    });
+
+    res.redirect(await buildAuthorizationUrl({ state, nonce, codeChallenge: challenge }));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Identity provider callback; redirects to the frontend with a one-time code
+// @route   GET /api/v1/auth/oidc/callback
+// @access  Public
+const oidcCallback = async (req, res, next) => {
+  const redirectWithError = (message) => {
+    res.redirect(frontendUrl(`/login?ssoError=${encodeURIComponent(message)}`));
+  };
+
+  try {
+    const { code, state, error, error_description: errorDescription } = req.query;
+
+    const login = state ? await OidcLogin.findPendingByState(hashToken(String(state))) : null;
+    const browser = req.cookies[BROWSER_COOKIE];
+
+    res.clearCookie(BROWSER_COOKIE, { path: `${req.baseUrl}/oidc` });
+
+    if (!login || !browser || hashToken(browser) !== login.browser_hash) {
+      return redirectWithError('SSO login expired or was started in another browser. Please try again.');
+    }
+
+    if (error || !code) {
+      await OidcLogin.fail(login.id);
+      return redirectWithError(errorDescription || 'Sign-in was cancelled');
+    }
+
+    let user;
+    try {
+      const tokens = await exchangeAuthorizationCode(String(code), login.code_verifier);
+      const claims = await verifyIdToken(tokens.id_token, login.nonce);
+      user = await findOrProvisionUser(claims);
+    } catch (loginFailure) {
+      await OidcLogin.fail(login.id);
+
+      // Only our own messages are shown; provider/network details stay in the logs
+      if (loginFailure.statusCode) {
+        return redirectWithError(loginFailure.message);
+      }
+      console.error('SSO login failed:', loginFailure.message);
+      return redirectWithError('SSO login failed. Please try again.');
+    }
+
+    const exchangeCode = crypto.randomBytes(32).toString('hex');
+
+    if (!(await OidcLogin.complete(login.id, user.id, hashToken(exchangeCode)))) {
+      return redirectWithError('SSO login was already completed');
+    }
+
+    res.redirect(frontendUrl(`/login?ssoCode=${exchangeCode}`));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Exchange the one-time SSO code for tokens (or a 2FA challenge)
+// @route   POST /api/v1/auth/oidc/exchange
+// @access  Public
+const oidcExchange = async (req, res, next) => {
+  try {
+    const login = await OidcLogin.findValidByExchangeCode(hashToken(req.body.code));
+
+    if (!login) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired SSO code',
+      });
+    }
+
+    const user = await User.findById(login.user_id);
+
+    if (!isAccountActive(user)) {
+      return res.status(403).json(buildInactiveAccountResponse(user));
+    }
+
+    // Left unused so the client can retry with restoreAccount
+    if (user.deletion_scheduled_at && !req.body.restoreAccount) {
+      return res.status(403).json(buildPendingDeletionResponse(user));
+    }
+
+    // Consuming the code first guarantees single use under concurrent requests
+    if (!(await OidcLogin.markUsed(login.id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired SSO code',
+      });
+    }
+
+    const { message, data } = await completeLogin(user, req, {
+      restoreAccount: Boolean(user.deletion_scheduled_at),
+    });
+    recordSecurityEvent(req, {
+      type: data.twoFactorRequired ? 'two_factor_challenge' : 'login',
+      user,
+      details: { method: 'sso', ...(data.accountRestored && { accountRestored: true }) },
+    });
+
+    res.json({
+      success: true,
+      message,
+      data: deliverTokens(req, res, data),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getOidcConfig,
+  oidcLogin,
+  oidcCallback,
+  oidcExchange,
+};
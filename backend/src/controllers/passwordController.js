@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const { hashToken } = require('../utils/jwt');
+const { sendMail, frontendUrl } = require('../mail');
+const {
+  isPasswordReused,
+  reusedPasswordError,
+  savePassword,
+  getPublicPolicy,
+} = require('../utils/passwordPolicy');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+
+const RESET_EXPIRE_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+// @desc    Request password reset email
+// @route   POST /api/v1/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findByEmail(email);
+
+    // Only one outstanding link per user; the response is the same whether or not the email exists
+    recordSecurityEvent(req, { type: 'password_reset_request', user, email });
+
+    if (user) {
+      await PasswordResetToken.invalidateForUser(user.id);
+
+      const token = crypto.randomBytes(32).toString('hex');
+      await PasswordResetToken.create({
+        user_id: user.id,
+        token_hash: hashToken(token),
+        expires_at: new Date(Date.now() + RESET_EXPIRE_MINUTES * 60 * 1000),
+      });
+
+      try {
+        await sendMail(user.email, 'passwordReset', {
+          username: user.username,
+          resetUrl: frontendUrl(`/reset-password?token=${token}`),
+          expiresInMinutes: RESET_EXPIRE_MINUTES,
+        });
+      } catch (error) {
+        console.error('Failed to send password reset email:', error.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account with that email exists, a password reset link has been sent',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reset password with token
+// @route   POST /api/v1/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const resetToken = await PasswordResetToken.findValidByHash(hashToken(token));
+
+    if (!resetToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token',
+      });
+    }
+
+    // Checked before consuming the token so the user can retry with another password
+    if (await isPasswordReused(resetToken.user_id, password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [reusedPasswordError('password')],
+      });
+    }
+
+    // Consuming the token first guarantees single use under concurrent requests
+    if (!(await PasswordResetToken.markUsed(resetToken.id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token',
+      });
+    }
+
+    await savePassword(resetToken.user_id, password);
+
+    // Anyone holding the old password may have active sessions, and may have created access tokens
+    await Session.revokeAllForUser(resetToken.user_id);
+    await PersonalAccessToken.deleteAllForUser(resetToken.user_id);
+    recordSecurityEvent(req, { type: 'password_reset', user: { id: resetToken.user_id } });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset successfully. Please log in with your new password.',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change password of current user
+// @route   PUT /api/v1/auth/me/password
+// @access  Private
+const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findByIdWithPassword(req.user.id);
+    const isPasswordValid = await User.verifyPassword(currentPassword, user.password);
+
+    if (!isPasswordValid) {
+      recordSecurityEvent(req, { type: 'password_change', outcome: 'failure', user });
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect',
+      });
+    }
+
+    if (await isPasswordReused(user.id, newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: [reusedPasswordError('newPassword')],
+      });
+    }
+
+    await savePassword(user.id, newPassword);
+
+    // Keep this session, sign out every other device and drop pending reset links
+    await Session.revokeAllForUser(user.id, req.sessionId);
+    await PasswordResetToken.invalidateForUser(user.id);
+    recordSecurityEvent(req, { type: 'password_change', user });
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully. Other sessions have been signed out.',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the password requirements
+// @route   GET /api/v1/auth/password-policy
+// @access  Public
+const getPasswordPolicy = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: { policy: getPublicPolicy() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPasswordPolicy,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+};
@@ -0,0 +1,212 @@
+const Project = require('../models/Project');
+const ProjectMember = require('../models/ProjectMember');
+const Task = require('../models/Task');
+const TaskAttachment = require('../models/TaskAttachment');
+const User = require('../models/User');
+const { removeStoredFiles } = require('../utils/attachments');
+const { isAccountActive } = require('../utils/accountStatus');
+
+// A member of the loaded project, or a 404
+const findProjectMember = async (req, res) => {
+  const member = await ProjectMember.findOne(req.project.id, req.params.userId);
+
+  if (!member) {
+    res.status(404).json({
+      success: false,
+      message: 'Member not found',
+    });
+    return null;
+  }
+
+  return member;
+};
+
+// Every project keeps at least one owner
+const isLastOwner = async (projectId, member) => {
+  return member.role === 'owner' && (await ProjectMember.countOwners(projectId)) <= 1;
+};
+
+// @desc    Get the current user's projects
+// @route   GET /api/v1/projects
+// @access  Private
+const getProjects = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: { projects: await Project.findByUserId(req.user.id) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a project owned by the current user
+// @route   POST /api/v1/projects
+// @access  Private
+const createProject = async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+
+    const project = await Project.create({ name, description, created_by: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      message: 'Project created successfully',
+      data: { project: { ...project, role: 'owner' } },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a project with its members
+// @route   GET /api/v1/projects/:id
+// @access  Private (members, tasks:read:any)
+const getProject = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        project: { ...req.project, role: req.projectRole },
+        members: await ProjectMember.findByProjectId(req.project.id),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rename a project or change its description
+// @route   PUT /api/v1/projects/:id
+// @access  Private (project owners)
+const updateProject = async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+
+    const project = await Project.update(req.project.id, { name, description });
+
+    res.json({
+      success: true,
+      message: 'Project updated successfully',
+      data: { project: { ...project, role: req.projectRole } },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a project with all of its tasks
+// @route   DELETE /api/v1/projects/:id
+// @access  Private (project owners)
+const deleteProject = async (req, res, next) => {
+  try {
+    const storageKeys = await TaskAttachment.findStorageKeysByProjectId(req.project.id);
+
+    await Project.delete(req.project.id);
+    await removeStoredFiles(storageKeys);
+
+    res.json({
+      success: true,
+      message: 'Project deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add a user to a project by email
+// @route   POST /api/v1/projects/:id/members
+// @access  Private (project owners)
+const addMember = async (req, res, next) => {
+  try {
+    const { email, role = 'viewer' } = req.body;
+    const user = await User.findByEmail(email);
+
+    // Users who are already members keep their role; change it with PUT instead
+    if (user && isAccountActive(user) && !(await ProjectMember.findRole(req.project.id, user.id))) {
+      await ProjectMember.add({ project_id: req.project.id, user_id: user.id, role });
+    }
+
+    // The same reply either way, so project owners cannot probe which emails have accounts
+    res.json({
+      success: true,
+      message: 'If an active account uses this email, it is now a member of the project',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change a member's role
+// @route   PUT /api/v1/projects/:id/members/:userId
+// @access  Private (project owners)
+const updateMember = async (req, res, next) => {
+  try {
+    const member = await findProjectMember(req, res);
+    if (!member) return;
+
+    const { role } = req.body;
+
+    if (role !== 'owner' && (await isLastOwner(req.project.id, member))) {
+      return res.status(400).json({
+        success: false,
+        message: 'A project must keep at least one owner',
+      });
+    }
+
+    const updated = await ProjectMember.updateRole(req.project.id, member.user_id, role);
+
+    res.json({
+      success: true,
+      message: 'Member updated successfully',
+      data: { member: updated },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a member from a project (or leave it), unassigning their tasks there
+// @route   DELETE /api/v1/projects/:id/members/:userId
+// @access  Private (project owners, or the member themselves)
+const removeMember = async (req, res, next) => {
+  try {
+    const member = await findProjectMember(req, res);
+    if (!member) return;
+
+    if (member.user_id !== req.user.id && req.projectRole !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'This requires the owner role in the project',
+      });
+    }
+
+    if (await isLastOwner(req.project.id, member)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A project must keep at least one owner',
+      });
+    }
+
+    await ProjectMember.remove(req.project.id, member.user_id);
+    await Task.unassignInProject(req.project.id, member.user_id);
+
+    res.json({
+      success: true,
+      message: member.user_id === req.user.id ? 'You left the project' : 'Member removed successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getProjects,
+  createProject,
+  getProject,
+  updateProject,
+  deleteProject,
+  addMember,
+  updateMember,
+  removeMember,
+};
@@ -0,0 +1,159 @@
+const Role = require('../models/Role');
+const Permission = require('../models/Permission');
+const { SYSTEM_ROLES } = require('../config/permissions');
+const { clearPermissionCache } = require('../utils/permissions');
+const { getTwoFactorRequiredRoles, setTwoFactorRequiredRoles } = require('../utils/securityPolicy');
+
+// @desc    Get all roles with their permissions
+// @route   GET /api/v1/roles
+// @access  Private (roles:read)
+const getRoles = async (req, res, next) => {
+  try {
+    const roles = await Role.findAll();
+
+    res.json({
+      success: true,
+      data: { roles },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get all available permissions
+// @route   GET /api/v1/roles/permissions
+// @access  Private (roles:read)
+const getPermissions = async (req, res, next) => {
+  try {
+    const permissions = await Permission.findAll();
+
+    res.json({
+      success: true,
+      data: { permissions },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create role
+// @route   POST /api/v1/roles
+// @access  Private (roles:manage)
+const createRole = async (req, res, next) => {
+  try {
+    const { name, description, permissions } = req.body;
+
+    if (await Role.findByName(name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role with this name already exists',
+      });
+    }
+
+    const role = await Role.create({ name, description, permissions: [...new Set(permissions)] });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: { role },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update role description and permissions
+// @route   PUT /api/v1/roles/:id
+// @access  Private (roles:manage)
+const updateRole = async (req, res, next) => {
+  try {
+    const { description, permissions } = req.body;
+
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+
+    // Removing roles:manage from your own role would leave nobody able to undo it
+    if (role.name === req.user.role && permissions && !permissions.includes('roles:manage')) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove roles:manage from your own role',
+      });
+    }
+
+    const updatedRole = await Role.update(role.id, {
+      description,
+      permissions: permissions && [...new Set(permissions)],
+    });
+    clearPermissionCache();
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: { role: updatedRole },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete role
+// @route   DELETE /api/v1/roles/:id
+// @access  Private (roles:manage)
+const deleteRole = async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found',
+      });
+    }
+
+    if (SYSTEM_ROLES.includes(role.name)) {
+      return res.status(400).json({
+        success: false,
+        message: `The '${role.name}' role cannot be deleted`,
+      });
+    }
+
+    const userCount = await Role.countUsers(role.name);
+
+    if (userCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Role is assigned to ${userCount} user(s). Reassign them first.`,
+      });
+    }
+
+    await Role.delete(role.id);
+    clearPermissionCache();
+
+    // Drop the role from the 2FA policy so the setting only lists existing roles
+    const twoFactorRoles = await getTwoFactorRequiredRoles();
+    if (twoFactorRoles.includes(role.name)) {
+      await setTwoFactorRequiredRoles(twoFactorRoles.filter(name => name !== role.name));
+    }
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRoles,
+  getPermissions,
+  createRole,
+  updateRole,
+  deleteRole,
+};
@@ -0,0 +1,64 @@
+const SecurityEvent = require('../models/SecurityEvent');
+
+// @desc    Get the current user's recent security events
+// @route   GET /api/v1/auth/me/activity
+// @access  Private
+const getMyActivity = async (req, res, next) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const events = await SecurityEvent.findByUserId(req.user.id, { limit, offset });
+    const total = await SecurityEvent.countByUserId(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: total > offset + limit,
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Query the security event log of all users
+// @route   GET /api/v1/security-events
+// @access  Private (security_events:read)
+const getSecurityEvents = async (req, res, next) => {
+  try {
+    const { userId, email, type, outcome, from, to } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+    const filters = { userId, email, type, outcome, from, to };
+
+    const events = await SecurityEvent.findAll({ limit, offset, ...filters });
+    const total = await SecurityEvent.count(filters);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: total > offset + limit,
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyActivity,
+  getSecurityEvents,
+};
@@ -0,0 +1,84 @@
+const Session = require('../models/Session');
+const { clearAuthCookies } = require('../utils/authCookies');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+
+// @desc    Get active sessions of current user
+// @route   GET /api/v1/auth/sessions
+// @access  Private
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.findActiveByUserId(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session,
+          current: session.id === req.sessionId,
+        })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a session
+// @route   DELETE /api/v1/auth/sessions/:id
+// @access  Private
+const revokeSession = async (req, res, next) => {
+  try {
+    const session = await Session.findById(req.params.id);
+
+    // Sessions of other users are reported as missing
+    if (!session || session.user_id !== req.user.id || session.revoked_at) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    await Session.revoke(session.id);
+    recordSecurityEvent(req, { type: 'session_revoked', user: req.user, details: { sessionId: session.id } });
+
+    if (session.id === req.sessionId) {
+      clearAuthCookies(req, res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Log out everywhere (revoke all sessions)
+// @route   DELETE /api/v1/auth/sessions
+// @access  Private
+const revokeAllSessions = async (req, res, next) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+    const revoked = await Session.revokeAllForUser(req.user.id, keepCurrent ? req.sessionId : null);
+
+    if (!keepCurrent) {
+      clearAuthCookies(req, res);
+    }
+    recordSecurityEvent(req, { type: 'session_revoked', user: req.user, details: { all: true, revoked } });
+
+    res.json({
+      success: true,
+      message: 'Sessions revoked successfully',
+      data: { revoked },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,53 @@
+const { getTwoFactorRequiredRoles, setTwoFactorRequiredRoles } = require('../utils/securityPolicy');
+
+// @desc    Get security settings
+// @route   GET /api/v1/settings/security
+// @access  Private (settings:read)
+const getSecuritySettings = async (req, res, next) => {
+  try {
+    const twoFactorRequiredRoles = await getTwoFactorRequiredRoles();
+
+    res.json({
+      success: true,
+      data: {
+        settings: { twoFactorRequiredRoles },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update security settings
+// @route   PUT /api/v1/settings/security
+// @access  Private (settings:update)
+const updateSecuritySettings = async (req, res, next) => {
+  try {
+    const { twoFactorRequiredRoles } = req.body;
+
+    // Requiring 2FA for your own role without having it would lock you out of admin routes
+    if (twoFactorRequiredRoles.includes(req.user.role) && !req.user.two_factor_enabled_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enable two-factor authentication on your own account before requiring it for your role',
+      });
+    }
+
+    const roles = await setTwoFactorRequiredRoles([...new Set(twoFactorRequiredRoles)]);
+
+    res.json({
+      success: true,
+      message: 'Security settings updated successfully',
+      data: {
+        settings: { twoFactorRequiredRoles: roles },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSecuritySettings,
+  updateSecuritySettings,
+};
@@ -0,0 +1,115 @@
+const Tag = require('../models/Tag');
+
+// The current user's tag in `:id`, or a 404 (other users' tags are reported as missing)
+const findOwnTag = async (req, res) => {
+  const tag = await Tag.findById(req.params.id);
+
+  if (!tag || tag.user_id !== req.user.id) {
+    res.status(404).json({
+      success: false,
+      message: 'Tag not found',
+    });
+    return null;
+  }
+
+  return tag;
+};
+
+// @desc    Get the current user's tags
+// @route   GET /api/v1/tags
+// @access  Private
+const getTags = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: { tags: await Tag.findByUserId(req.user.id) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a tag
+// @route   POST /api/v1/tags
+// @access  Private
+const createTag = async (req, res, next) => {
+  try {
+    const { name, color } = req.body;
+
+    if (await Tag.findByName(req.user.id, name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A tag with this name already exists',
+      });
+    }
+
+    const tag = await Tag.create({ user_id: req.user.id, name, color });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tag created successfully',
+      data: { tag },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rename or recolor a tag
+// @route   PUT /api/v1/tags/:id
+// @access  Private
+const updateTag = async (req, res, next) => {
+  try {
+    const tag = await findOwnTag(req, res);
+    if (!tag) return;
+
+    const { name, color } = req.body;
+
+    if (name !== undefined) {
+      const existing = await Tag.findByName(req.user.id, name);
+
+      if (existing && existing.id !== tag.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'A tag with this name already exists',
+        });
+      }
+    }
+
+    const updated = await Tag.update(tag.id, { name, color });
+
+    res.json({
+      success: true,
+      message: 'Tag updated successfully',
+      data: { tag: updated },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a tag and remove it from all tasks
+// @route   DELETE /api/v1/tags/:id
+// @access  Private
+const deleteTag = async (req, res, next) => {
+  try {
+    const tag = await findOwnTag(req, res);
+    if (!tag) return;
+
+    await Tag.delete(tag.id);
+
+    res.json({
+      success: true,
+      message: 'Tag deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTags,
+  createTag,
+  updateTag,
+  deleteTag,
+};
@@ -1,11 +1,91 @@
 const Task = require('../models/Task');
+const TaskAttachment = require('../models/TaskAttachment');
+const { hasPermission } = require('../utils/permissions');
+const ProjectMember = require('../models/ProjectMember');
+const User = require('../models/User');
+const {
+  canReadTask,
+  canUpdateTask,
+  canUpdateTaskStatus,
+  canDeleteTask,
+  redactUnreadableTasks,
+} = require('../utils/taskAccess');
+const { hasProjectRole } = require('../utils/projectAccess');
+const { isAccountActive } = require('../utils/accountStatus');
+const { removeStoredFiles } = require('../utils/attachments');
+const { resolveParent } = require('../utils/subtasks');
+
+// Tasks can be put into a project by its editors and owners, and back out of projects
+// (made personal) only by their owner
+const canAssignProject = async (user, task, projectId) => {
+  if (projectId === null) {
+    return !task || task.user_id === user.id;
+  }
+
+  return hasProjectRole(await ProjectMember.findRole(projectId, user.id), 'editor');
+};
+
+// A task with the tasks it depends on and the tasks it blocks, as far as the user may see them
+const withVisibleDependencies = async (user, task) => ({
+  ...task,
+  blocked_by: await redactUnreadableTasks(user, task.blocked_by),
+  blocking: await redactUnreadableTasks(user, task.blocking),
+});
+
+// Project tasks can be assigned to active members of the project, personal tasks only to
+// their owner. Every refusal gets the same reply, so it does not tell which user IDs exist.
+const ASSIGNEE_ERROR = 'The assignee must be an active member of the task\'s project, or the owner of a personal task';
+
+const isValidAssignee = async (assigneeId, { projectId, ownerId }) => {
+  if (!projectId && assigneeId !== ownerId) {
+    return false;
+  }
+
+  const assignee = await User.findById(assigneeId);
+
+  if (!assignee || !isAccountActive(assignee)) {
+    return false;
+  }
+
+  return !projectId || Boolean(await ProjectMember.findRole(projectId, assigneeId));
+};
 
 // @desc    Create new task
 // @route   POST /api/v1/tasks
 // @access  Private
 const createTask = async (req, res, next) => {
   try {
-    const { title, description, status, priority, due_date } = req.body;
+    const { title, description, status, priority, due_date, tags, assignee_id, parent_id, auto_complete } = req.body;
+    let { project_id } = req.body;
+    let ownerId = req.user.id;
+
+    // Subtasks are added by whoever can update the parent, and take over its project
+    // (or, under a personal task, its owner)
+    if (parent_id) {
+      const { parent, error } = await resolveParent(req.user, parent_id);
+
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      project_id = parent.project_id;
+      ownerId = parent.project_id ? req.user.id : parent.user_id;
+    } else if (project_id && !(await canAssignProject(req.user, null, project_id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You need editor access to this project to add tasks to it',
+      });
+    }
+
+    if (assignee_id && !(await isValidAssignee(assignee_id, { projectId: project_id, ownerId }))) {
+      return res.status(400).json({
+        success: false,
+        message: ASSIGNEE_ERROR,
+      });
+    }
 
     const task = await Task.create({
       title,
@@ -13,7 +93,13 @@ const createTask = async (req, res, next) => {
       status,
       priority,
       due_date,
-      user_id: req.user.id,
+      tags,
+      project_id,
+      assignee_id,
+      parent_id,
+      auto_complete,
+      user_id: ownerId,
+      created_by: req.user.id,
     });
 
     res.status(201).json({
@@ -31,30 +117,29 @@ const createTask = async (req, res, next) => {
 // @access  Private
 const getTasks = async (req, res, next) => {
   try {
-    const { limit = 10, offset = 0, status, priority } = req.query;
-    const isAdmin = req.user.role === 'admin';
+    const { limit = 10, offset = 0, status, priority, tags, tagMode, projectId, parentId, assignee, created_by } = req.query;
+    const filters = { status, priority, tags, tagMode, projectId, parentId, assigneeId: assignee, createdBy: created_by };
+    const canReadAny = hasPermission(req.user, 'tasks:read:any');
 
     let tasks;
     let total;
 
-    if (isAdmin) {
-      // Admin can see all tasks
+    if (canReadAny) {
+      // tasks:read:any sees everyone's tasks
       tasks = await Task.findAll({
         limit: parseInt(limit),
         offset: parseInt(offset),
-        status,
-        priority,
+        ...filters,
       });
-      total = await Task.count(null, { status, priority });
+      total = await Task.count(null, filters);
     } else {
-      // Users see only their tasks
+      // tasks:read:own sees their personal tasks, those assigned to them and those of their projects
       tasks = await Task.findByUserId(req.user.id, {
         limit: parseInt(limit),
         offset: parseInt(offset),
-        status,
-        priority,
+        ...filters,
       });
-      total = await Task.count(req.user.id, { status, priority });
+      total = await Task.count(req.user.id, filters);
     }
 
     res.json({
@@ -88,8 +173,8 @@ const getTask = async (req, res, next) => {
       });
     }
 
-    // Check if user owns the task or is admin
-    if (task.user_id !== req.user.id && req.user.role !== 'admin') {
+    // Check if user owns the task, is a member of its project or may read any task
+    if (!(await canReadTask(req.user, task))) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this task',
@@ -98,7 +183,7 @@ const getTask = async (req, res, next) => {
 
     res.json({
       success: true,
-      data: { task },
+      data: { task: await withVisibleDependencies(req.user, task) },
     });
   } catch (error) {
     next(error);
@@ -110,28 +195,86 @@ const getTask = async (req, res, next) => {
 // @access  Private
 const updateTask = async (req, res, next) => {
   try {
-    const { title, description, status, priority, due_date } = req.body;
-    const isAdmin = req.user.role === 'admin';
+    const { title, description, status, priority, due_date, tags, project_id, assignee_id, parent_id, auto_complete, force } = req.body;
+    const updates = { title, description, status, priority, due_date, tags, project_id, assignee_id, parent_id, auto_complete };
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found',
+      });
+    }
+
+    // A status change alone is also open to the task's assignee
+    const statusOnly = Object.entries(updates).every(([field, value]) => field === 'status' || value === undefined);
+    const canUpdate = statusOnly
+      ? await canUpdateTaskStatus(req.user, task)
+      : await canUpdateTask(req.user, task);
+
+    if (!canUpdate) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this task',
+      });
+    }
+
+    if (parent_id && parent_id !== task.parent_id) {
+      const { parent, error } = await resolveParent(req.user, parent_id, task);
+
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      // The task and its own subtasks move to the parent's project
+      updates.project_id = parent.project_id;
+    } else if (project_id !== undefined && project_id !== task.project_id) {
+      if (task.parent_id && parent_id !== null) {
+        return res.status(400).json({
+          success: false,
+          message: 'Subtasks stay in the project of their parent task',
+        });
+      }
 
-    const task = await Task.update(
-      req.params.id,
-      req.user.id,
-      { title, description, status, priority, due_date },
-      isAdmin
-    );
+      if (!(await canAssignProject(req.user, task, project_id))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to move this task to that project',
+        });
+      }
+
+      // A personal task's subtasks belong to its owner, so subtasks others created keep it in the project
+      if (project_id === null && (await Task.hasOtherOwners(task.id, task.user_id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Subtasks of a personal task must have the same owner',
+        });
+      }
+    }
+
+    // Re-check the assignee when it changes or the task moves to another project
+    const assigneeId = assignee_id !== undefined ? assignee_id : task.assignee_id;
+    const projectId = updates.project_id !== undefined ? updates.project_id : task.project_id;
+    const assigneeChecked = assigneeId && (assignee_id !== undefined || projectId !== task.project_id);
+
+    if (assigneeChecked && !(await isValidAssignee(assigneeId, { projectId, ownerId: task.user_id }))) {
+      return res.status(400).json({
+        success: false,
+        message: ASSIGNEE_ERROR,
+      });
+    }
+
+    const updated = await Task.update(task.id, updates, { force });
 
     res.json({
       success: true,
       message: 'Task updated successfully',
-      data: { task },
+      data: { task: await withVisibleDependencies(req.user, updated) },
     });
   } catch (error) {
-    if (error.message.includes('not found') || error.message.includes('unauthorized')) {
-      return res.status(404).json({
-        success: false,
-        message: error.message,
-      });
-    }
     next(error);
   }
 };
@@ -141,27 +284,68 @@ const updateTask = async (req, res, next) => {
 // @access  Private
 const deleteTask = async (req, res, next) => {
   try {
-    const isAdmin = req.user.role === 'admin';
-    const deleted = await Task.delete(req.params.id, req.user.id, isAdmin);
+    const task = await Task.findById(req.params.id);
 
-    if (!deleted) {
+    if (!task) {
       return res.status(404).json({
         success: false,
         message: 'Task not found',
       });
     }
 
+    if (!(await canDeleteTask(req.user, task))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this task',
+      });
+    }
+
+    const { ids: subtaskIds } = await Task.findDescendants(task.id);
+    const storageKeys = await TaskAttachment.findStorageKeysByTaskIds([task.id, ...subtaskIds]);
+    await Task.delete(task.id);
+
+    // The attachment rows went with the task and its subtasks; their files have to be removed separately
+    await removeStoredFiles(storageKeys);
+
     res.json({
       success: true,
       message: 'Task deleted successfully',
     });
   } catch (error) {
-    if (error.message.includes('not found') || error.message.includes('unauthorized')) {
-      return res.status(404).json({
+    next(error);
+  }
+};
+
+// @desc    Reorder the subtasks of a task
+// @route   PUT /api/v1/tasks/:id/subtasks/order
+// @access  Private (update access to the task)
+const reorderSubtasks = async (req, res, next) => {
+  try {
+    const { task } = req;
+
+    if (!(await canUpdateTask(req.user, task))) {
+      return res.status(403).json({
         success: false,
-        message: error.message,
+        message: 'Not authorized to update this task',
       });
     }
+
+    const { taskIds } = req.body;
+    const currentIds = task.subtasks.map(subtask => subtask.id);
+
+    if (taskIds.length !== currentIds.length || !currentIds.every(id => taskIds.includes(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'taskIds must list every subtask of the task exactly once',
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Subtasks reordered successfully',
+      data: { subtasks: await Task.reorderSubtasks(task.id, taskIds) },
+    });
+  } catch (error) {
     next(error);
   }
 };
@@ -171,11 +355,17 @@ const deleteTask = async (req, res, next) => {
 // @access  Private
 const getTaskStats = async (req, res, next) => {
   try {
-    const stats = await Task.getStats(req.user.id);
+    const { projectId, assignee, groupBy } = req.query;
+    const stats = await Task.getStats(req.user.id, { projectId, assigneeId: assignee });
 
     res.json({
       success: true,
-      data: { stats },
+      data: {
+        stats,
+        ...(groupBy === 'assignee' && {
+          byAssignee: await Task.getStats(req.user.id, { projectId, assigneeId: assignee, groupByAssignee: true }),
+        }),
+      },
     });
   } catch (error) {
     next(error);
@@ -188,5 +378,6 @@ module.exports = {
   getTask,
   updateTask,
   deleteTask,
+  reorderSubtasks,
   getTaskStats,
 };
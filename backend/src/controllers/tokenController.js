@@ -0,0 +1,86 @@
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const { generatePersonalAccessToken } = require('../utils/personalAccessToken');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+
+// @desc    Create a personal access token
+// @route   POST /api/v1/auth/tokens
+// @access  Private
+const createToken = async (req, res, next) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const { token, tokenPrefix, tokenHash } = generatePersonalAccessToken();
+
+    const accessToken = await PersonalAccessToken.create({
+      user_id: req.user.id,
+      name,
+      token_prefix: tokenPrefix,
+      token_hash: tokenHash,
+      scopes: [...new Set(scopes)],
+      expires_at: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+    });
+    recordSecurityEvent(req, {
+      type: 'access_token_created',
+      user: req.user,
+      details: { tokenId: accessToken.id, name, scopes: accessToken.scopes },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Access token created. Copy it now, it will not be shown again.',
+      data: {
+        accessToken,
+        token,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get personal access tokens of current user
+// @route   GET /api/v1/auth/tokens
+// @access  Private
+const getTokens = async (req, res, next) => {
+  try {
+    const tokens = await PersonalAccessToken.findByUserId(req.user.id);
+
+    res.json({
+      success: true,
+      data: { tokens },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a personal access token
+// @route   DELETE /api/v1/auth/tokens/:id
+// @access  Private
+const revokeToken = async (req, res, next) => {
+  try {
+    const deleted = await PersonalAccessToken.delete(req.params.id, req.user.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Access token not found',
+      });
+    }
+
+    recordSecurityEvent(req, { type: 'access_token_revoked', user: req.user, details: { tokenId: Number(req.params.id) } });
+
+    res.json({
+      success: true,
+      message: 'Access token revoked',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createToken,
+  getTokens,
+  revokeToken,
+};
@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const RecoveryCode = require('../models/RecoveryCode');
+const { verifyChallengeToken, hashToken } = require('../utils/jwt');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const { encrypt, decrypt } = require('../utils/secretBox');
+const { buildUserPayload, startSession } = require('../utils/authSession');
+const { isTwoFactorRequired } = require('../utils/securityPolicy');
+const { deliverTokens } = require('../utils/authCookies');
+const { isPasswordExpired, issueExpiredPasswordToken } = require('../utils/passwordPolicy');
+const { buildPendingDeletionResponse } = require('../utils/accountDeletion');
+const { isAccountActive, buildInactiveAccountResponse } = require('../utils/accountStatus');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+const {
+  getLoginRetryAfter,
+  registerFailedLogin,
+  registerSuccessfulLogin,
+} = require('../utils/loginThrottle');
+
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Task Manager';
+
+// Recovery codes are compared case- and dash-insensitively
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Generate a fresh set of recovery codes; only hashes are stored
+const generateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await RecoveryCode.replaceForUser(userId, codes.map(code => hashToken(normalizeRecoveryCode(code))));
+  return codes;
+};
+
+// Check a TOTP code (with replay protection) or a recovery code against a user
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(decrypt(user.two_factor_secret), code);
+    return step !== null && (await User.recordTwoFactorStep(user.id, step));
+  }
+
+  if (recoveryCode) {
+    return await RecoveryCode.consume(user.id, hashToken(normalizeRecoveryCode(recoveryCode)));
+  }
+
+  return false;
+};
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/v1/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    if (req.user.two_factor_enabled_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const secret = generateSecret();
+    await User.setTwoFactorSecret(req.user.id, encrypt(secret));
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code or enter the secret in your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: req.user.email, issuer: ISSUER }),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm two-factor enrollment with a code from the app
+// @route   POST /api/v1/auth/2fa/confirm
+// @access  Private
+const confirmTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findByIdWithPassword(req.user.id);
+
+    if (user.two_factor_enabled_at || !user.two_factor_secret) {
+      return res.status(400).json({
+        success: false,
+        message: user.two_factor_enabled_at
+          ? 'Two-factor authentication is already enabled'
+          : 'Start two-factor setup first',
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code',
+      });
+    }
+
+    await User.enableTwoFactor(user.id);
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+    recordSecurityEvent(req, { type: 'two_factor_enabled', user });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/v1/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findByIdWithPassword(req.user.id);
+
+    if (!user.two_factor_enabled_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (await isTwoFactorRequired(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role',
+      });
+    }
+
+    const isPasswordValid = await User.verifyPassword(password, user.password);
+
+    if (!isPasswordValid || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+      recordSecurityEvent(req, { type: 'two_factor_disabled', outcome: 'failure', user });
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or two-factor code',
+      });
+    }
+
+    await User.disableTwoFactor(user.id);
+    await RecoveryCode.deleteForUser(user.id);
+    recordSecurityEvent(req, { type: 'two_factor_disabled', user });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Regenerate recovery codes
+// @route   POST /api/v1/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await User.findByIdWithPassword(req.user.id);
+
+    if (!user.two_factor_enabled_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code',
+      });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(user.id);
+    recordSecurityEvent(req, { type: 'recovery_codes_regenerated', user });
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Complete login with a second factor
+// @route   POST /api/v1/auth/2fa/verify
+// @access  Public
+const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyChallengeToken(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    const user = await User.findByIdWithPassword(decoded.id);
+
+    if (!user || !user.two_factor_enabled_at) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token',
+      });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const retryAfter = await getLoginRetryAfter(user.email, req.ip);
+
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many failed login attempts. Please try again in ${retryAfter} seconds.`,
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      await registerFailedLogin(user.email, req.ip, user);
+      recordSecurityEvent(req, { type: 'login', outcome: 'failure', user, details: { reason: 'invalid_two_factor_code' } });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code',
+      });
+    }
+
+    await registerSuccessfulLogin(user.email);
+
+    // The account may have been suspended since the password step
+    if (!isAccountActive(user)) {
+      return res.status(403).json(buildInactiveAccountResponse(user));
+    }
+
+    // The restore choice was made with the password and is carried by the challenge
+    if (user.deletion_scheduled_at) {
+      if (!decoded.restoreAccount) {
+        return res.status(403).json(buildPendingDeletionResponse(user));
+      }
+      await User.cancelDeletion(user.id);
+    }
+
+    if (isPasswordExpired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your password has expired. Please choose a new one.',
+        data: {
+          passwordExpired: true,
+          resetToken: await issueExpiredPasswordToken(user.id),
+        },
+      });
+    }
+
+    const { accessToken, refreshToken } = await startSession(user, req);
+    recordSecurityEvent(req, {
+      type: 'login',
+      user,
+      details: {
+        method: recoveryCode ? 'recovery_code' : 'totp',
+        ...(user.deletion_scheduled_at && { accountRestored: true }),
+      },
+    });
+
+    res.json({
+      success: true,
+      message: user.deletion_scheduled_at ? 'Welcome back! Your account has been restored.' : 'Login successful',
+      data: deliverTokens(req, res, {
+        user: await buildUserPayload(user),
+        accessToken,
+        refreshToken,
+        ...(user.deletion_scheduled_at && { accountRestored: true }),
+        ...(recoveryCode && { recoveryCodesRemaining: await RecoveryCode.countRemaining(user.id) }),
+      }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin,
+};
@@ -1,19 +1,50 @@
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { getAccountLockStatus, unlockAccount } = require('../utils/loginThrottle');
+const { recordSecurityEvent } = require('../utils/securityEvents');
+const { deleteUserAccount } = require('../utils/accountDeletion');
+const { canGrantRole, isLastAdministrator } = require('../utils/permissions');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+
+// Find the user of the route, who may only be changed by someone holding every permission of
+// their role (as for granting it). Sends the error response and returns null otherwise.
+const findManageableUser = async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found',
+    });
+    return null;
+  }
+
+  if (!(await canGrantRole(req.user, user.role))) {
+    res.status(403).json({
+      success: false,
+      message: 'Users with permissions you do not have cannot be changed',
+    });
+    return null;
+  }
+
+  return user;
+};
 
 // @desc    Get all users
 // @route   GET /api/v1/users
-// @access  Private/Admin
+// @access  Private (users:read)
 const getUsers = async (req, res, next) => {
   try {
-    const { limit = 10, offset = 0, role } = req.query;
+    const { limit = 10, offset = 0, role, status } = req.query;
 
     const users = await User.findAll({
       limit: parseInt(limit),
       offset: parseInt(offset),
       role,
+      status,
     });
 
-    const total = await User.count(role);
+    const total = await User.count({ role, status });
 
     res.json({
       success: true,
@@ -34,7 +65,7 @@ const getUsers = async (req, res, next) => {
 
 // @desc    Get single user
 // @route   GET /api/v1/users/:id
-// @access  Private/Admin
+// @access  Private (users:read)
 const getUser = async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id);
@@ -48,7 +79,128 @@ const getUser = async (req, res, next) => {
 
     res.json({
       success: true,
-      data: { user },
+      data: {
+        user: { ...user, login_lock: await getAccountLockStatus(user.email) },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Clear failed login attempts and lockout of a user
+// @route   POST /api/v1/users/:id/unlock
+// @access  Private (users:update)
+const unlockUser = async (req, res, next) => {
+  try {
+    const user = await findManageableUser(req, res);
+
+    if (!user) {
+      return;
+    }
+
+    await unlockAccount(user.email);
+
+    res.json({
+      success: true,
+      message: 'User account unlocked',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Suspend or deactivate a user (status and message differ, the rules are the same)
+const disableUser = async (req, res, status, message) => {
+  const user = await findManageableUser(req, res);
+
+  if (!user) {
+    return;
+  }
+
+  if (user.id === req.user.id) {
+    return res.status(400).json({
+      success: false,
+      message: 'You cannot change the status of your own account',
+    });
+  }
+
+  // Suspending the last active administrator would lock everyone out of user management
+  if (user.status === 'active' && (await isLastAdministrator(user))) {
+    return res.status(400).json({
+      success: false,
+      message: 'The last active user who can manage users or roles cannot be suspended or deactivated',
+    });
+  }
+
+  await User.setStatus(user.id, status, { reason: req.body.reason || null, changedBy: req.user.id });
+
+  // Signed-in devices are logged out at once; the user's tasks are kept
+  await Session.revokeAllForUser(user.id);
+  recordSecurityEvent(req, {
+    type: 'account_status_changed',
+    user,
+    details: { status, reason: req.body.reason || null, changedBy: req.user.id },
+  });
+
+  res.json({
+    success: true,
+    message,
+    data: { user: await User.findById(user.id) },
+  });
+};
+
+// @desc    Suspend a user
+// @route   POST /api/v1/users/:id/suspend
+// @access  Private (users:suspend)
+const suspendUser = async (req, res, next) => {
+  try {
+    await disableUser(req, res, 'suspended', 'User suspended');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Deactivate a user
+// @route   POST /api/v1/users/:id/deactivate
+// @access  Private (users:suspend)
+const deactivateUser = async (req, res, next) => {
+  try {
+    await disableUser(req, res, 'deactivated', 'User deactivated');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reactivate a suspended or deactivated user
+// @route   POST /api/v1/users/:id/reactivate
+// @access  Private (users:suspend)
+const reactivateUser = async (req, res, next) => {
+  try {
+    const user = await findManageableUser(req, res);
+
+    if (!user) {
+      return;
+    }
+
+    if (user.status === 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already active',
+      });
+    }
+
+    await User.setStatus(user.id, 'active', { changedBy: req.user.id });
+    recordSecurityEvent(req, {
+      type: 'account_status_changed',
+      user,
+      details: { status: 'active', changedBy: req.user.id },
+    });
+
+    res.json({
+      success: true,
+      message: 'User reactivated',
+      data: { user: await User.findById(user.id) },
     });
   } catch (error) {
     next(error);
@@ -57,12 +209,42 @@ const getUser = async (req, res, next) => {
 
 // @desc    Update user
 // @route   PUT /api/v1/users/:id
-// @access  Private/Admin
+// @access  Private (users:update)
 const updateUser = async (req, res, next) => {
   try {
     const { username, email, role } = req.body;
 
-    const user = await User.update(req.params.id, { username, email, role });
+    // Prevent users from changing their own role (and possibly losing access to this route)
+    if (role !== undefined && parseInt(req.params.id) === req.user.id && role !== req.user.role) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role',
+      });
+    }
+
+    const target = await findManageableUser(req, res);
+
+    if (!target) {
+      return;
+    }
+
+    // The new role must be within the actor's own permissions as well
+    if (role !== undefined && role !== target.role && !(await canGrantRole(req.user, role))) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot change this user's role to ${role}`,
+      });
+    }
+
+    const emailChanged = email !== undefined && email !== target.email;
+    const user = await User.update(target.id, { username, email, role });
+
+    // A new address has to be verified again before it is trusted (e.g. for SSO account linking)
+    if (emailChanged) {
+      await User.markEmailUnverified(user.id);
+      user.email_verified_at = null;
+      await sendVerificationEmail(user);
+    }
 
     res.json({
       success: true,
@@ -76,7 +258,7 @@ const updateUser = async (req, res, next) => {
 
 // @desc    Delete user
 // @route   DELETE /api/v1/users/:id
-// @access  Private/Admin
+// @access  Private (users:delete)
 const deleteUser = async (req, res, next) => {
   try {
     // Prevent admin from deleting themselves
@@ -87,15 +269,14 @@ const deleteUser = async (req, res, next) => {
       });
     }
 
-    const deleted = await User.delete(req.params.id);
+    const user = await findManageableUser(req, res);
 
-    if (!deleted) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found',
-      });
+    if (!user) {
+      return;
     }
 
+    await deleteUserAccount(user.id);
+
     res.json({
       success: true,
       message: 'User deleted successfully',
@@ -108,6 +289,10 @@ const deleteUser = async (req, res, next) => {
 module.exports = {
   getUsers,
   getUser,
+  unlockUser,
+  suspendUser,
+  deactivateUser,
+  reactivateUser,
   updateUser,
   deleteUser,
 };
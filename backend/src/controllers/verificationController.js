@@ -0,0 +1,80 @@
+const User = require('../models/User');
+const EmailVerificationToken = require('../models/EmailVerificationToken');
+const { hashToken } = require('../utils/jwt');
+const { sendVerificationEmail, getResendCooldown } = require('../utils/emailVerification');
+
+// @desc    Verify email address with token
+// @route   POST /api/v1/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    const verificationToken = await EmailVerificationToken.findValidByHash(hashToken(token));
+
+    if (!verificationToken || !(await EmailVerificationToken.markUsed(verificationToken.id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification token',
+      });
+    }
+
+    // The token only verifies the address it was sent to
+    const verified = await User.markEmailVerified(verificationToken.user_id, verificationToken.email);
+
+    if (!verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email address has changed since this link was sent',
+      });
+    }
+
+    const user = await User.findById(verificationToken.user_id);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: { user },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Resend verification email
+// @route   POST /api/v1/auth/verify-email/resend
+// @access  Private
+const resendVerification = async (req, res, next) => {
+  try {
+    if (req.user.email_verified_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified',
+      });
+    }
+
+    const cooldown = await getResendCooldown(req.user.id);
+
+    if (cooldown > 0) {
+      res.set('Retry-After', String(cooldown));
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${cooldown} seconds before requesting another email`,
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  verifyEmail,
+  resendVerification,
+};
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Usage: npm run passwords:import -- <file> [<file> ...]
+//
+// Each input line is a plain-text password, a SHA-1 hash, or a line from the
+// Have I Been Pwned download ("HASH:COUNT"). Entries are merged into the bundled
+// list as "PREFIX:SUFFIX" SHA-1 lines, so plain-text passwords are never stored.
+
+const OUTPUT_FILE = process.env.BREACHED_PASSWORDS_FILE
+  || path.join(__dirname, '../data/breached-passwords.txt');
+
+const SHA1_PATTERN = /^[0-9A-F]{40}$/;
+
+const toHash = (line) => {
+  const candidate = line.split(':')[0].toUpperCase();
+
+  if (SHA1_PATTERN.test(candidate)) {
+    return candidate;
+  }
+  return crypto.createHash('sha1').update(line).digest('hex').toUpperCase();
+};
+
+const run = () => {
+  const inputs = process.argv.slice(2);
+
+  if (inputs.length === 0) {
+    console.error('❌ Usage: importBreachedPasswords.js <file> [<file> ...]');
+    process.exit(1);
+  }
+
+  const hashes = new Set();
+
+  if (fs.existsSync(OUTPUT_FILE)) {
+    fs.readFileSync(OUTPUT_FILE, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .forEach(line => hashes.add(line.replace(':', '')));
+  }
+
+  const before = hashes.size;
+
+  for (const input of inputs) {
+    fs.readFileSync(input, 'utf8')
+      .split(/\r?\n/)
+      .filter(line => line.length > 0)
+      .forEach(line => hashes.add(toHash(line)));
+  }
+
+  const lines = [...hashes].sort().map(hash => `${hash.slice(0, 5)}:${hash.slice(5)}`);
+  fs.writeFileSync(OUTPUT_FILE, `${lines.join('\n')}\n`);
+
+  console.log(`✅ Added ${hashes.size - before} hashes (${hashes.size} total) to ${OUTPUT_FILE}`);
+};
+
+run();
@@ -0,0 +1,93 @@
+const jwt = require('jsonwebtoken');
+const SigningKey = require('../models/SigningKey');
+const { SUPPORTED_ALGORITHMS, createSigningKey } = require('../utils/signingKeys');
+
+// Usage:
+//   npm run keys:rotate [-- --algorithm ES256]   generate a key and retire the current one
+//   npm run keys:list                            show all keys and their state
+//   npm run keys:revoke -- <kid>                 stop a key from verifying immediately
+
+const DEFAULT_ALGORITHM = process.env.JWT_ALGORITHM || 'RS256';
+
+// Retired keys must outlive every access token they signed, so the default overlap is the token lifetime
+const getOverlapSeconds = () => {
+  if (process.env.JWT_KEY_OVERLAP_HOURS) {
+    return parseInt(process.env.JWT_KEY_OVERLAP_HOURS) * 60 * 60;
+  }
+
+  const { iat, exp } = jwt.decode(jwt.sign({}, 'lifetime', { expiresIn: process.env.JWT_EXPIRE || '7d' }));
+  return exp - iat;
+};
+
+const rotate = async (algorithm) => {
+  const retiredKeysExpireAt = new Date(Date.now() + getOverlapSeconds() * 1000);
+  const { kid } = await SigningKey.rotate(createSigningKey(algorithm), retiredKeysExpireAt);
+
+  console.log(`✅ New ${algorithm} signing key ${kid} is active`);
+  console.log(`   Previous keys keep verifying until ${retiredKeysExpireAt.toISOString()}`);
+  console.log('   Running instances switch within 30 seconds');
+};
+
+const list = async () => {
+  const keys = await SigningKey.findAll();
+
+  if (keys.length === 0) {
+    console.log('No signing keys yet; access tokens are signed with JWT_SECRET (HS256). Run `npm run keys:rotate`.');
+    return;
+  }
+
+  const now = new Date();
+  console.table(keys.map(key => ({
+    kid: key.kid,
+    algorithm: key.algorithm,
+    state: !key.retired_at ? 'active' : key.expires_at > now ? 'verifying' : 'expired',
+    created: key.created_at.toISOString(),
+    expires: key.expires_at ? key.expires_at.toISOString() : '-',
+  })));
+};
+
+const revoke = async (kid) => {
+  const keys = await SigningKey.findAll();
+  const key = keys.find(k => k.kid === kid);
+
+  if (!key) {
+    throw new Error(`No signing key with kid ${kid}`);
+  }
+
+  // Never leave the API without a signing key: replace an active key first
+  if (!key.retired_at) {
+    await rotate(key.algorithm);
+  }
+
+  await SigningKey.revoke(kid);
+  console.log(`✅ Signing key ${kid} revoked; tokens it signed are rejected within 30 seconds`);
+};
+
+const run = async () => {
+  const [command, ...args] = process.argv.slice(2);
+
+  try {
+    if (command === 'rotate') {
+      const flag = args.indexOf('--algorithm');
+      const algorithm = flag === -1 ? DEFAULT_ALGORITHM : args[flag + 1];
+
+      if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+        throw new Error(`Algorithm must be one of: ${SUPPORTED_ALGORITHMS.join(', ')}`);
+      }
+      await rotate(algorithm);
+    } else if (command === 'list') {
+      await list();
+    } else if (command === 'revoke' && args[0]) {
+      await revoke(args[0]);
+    } else {
+      throw new Error('Usage: keys.js rotate [--algorithm RS256|ES256] | list | revoke <kid>');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Key command failed:', error.message);
+    process.exit(1);
+  }
+};
+
+run();
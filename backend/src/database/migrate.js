@@ -1,4 +1,75 @@
 const { pool } = require('../config/database');
+const { PERMISSIONS, DEFAULT_ROLES } = require('../config/permissions');
+
+// Add a column to an existing table unless it is already there (MySQL has no ADD COLUMN IF NOT EXISTS)
+const addColumnIfMissing = async (table, column, definition) => {
+  const [rows] = await pool.query(
+    `SELECT COUNT(*) AS count FROM information_schema.columns
+     WHERE table_schema = DATABASE() AND table_name = ? AND column_name = ?`,
+    [table, column]
+  );
+
+  if (rows[0].count > 0) {
+    return false;
+  }
+
+  await pool.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+};
+
+// Add a named foreign key unless it already exists
+const addForeignKeyIfMissing = async (table, name, definition) => {
+  const [rows] = await pool.query(
+    `SELECT COUNT(*) AS count FROM information_schema.table_constraints
+     WHERE table_schema = DATABASE() AND table_name = ? AND constraint_name = ? AND constraint_type = 'FOREIGN KEY'`,
+    [table, name]
+  );
+
+  if (rows[0].count > 0) {
+    return;
+  }
+
+  await pool.query(`ALTER TABLE ${table} ADD CONSTRAINT ${name} FOREIGN KEY ${definition}`);
+};
+
+// Insert the default roles and permissions. Existing roles keep whatever admins changed;
+// only permissions that are new to the database are granted to the default roles listing them.
+const seedRolesAndPermissions = async () => {
+  const newPermissions = [];
+
+  for (const [name, description] of Object.entries(PERMISSIONS)) {
+    const [result] = await pool.query(
+      'INSERT IGNORE INTO permissions (name, description) VALUES (?, ?)',
+      [name, description]
+    );
+
+    if (result.affectedRows > 0) {
+      newPermissions.push(name);
+    }
+  }
+
+  for (const role of DEFAULT_ROLES) {
+    const [result] = await pool.query(
+      'INSERT IGNORE INTO roles (name, description) VALUES (?, ?)',
+      [role.name, role.description]
+    );
+
+    const grants = result.affectedRows > 0
+      ? role.permissions
+      : role.permissions.filter(permission => newPermissions.includes(permission));
+
+    if (grants.length === 0) {
+      continue;
+    }
+
+    await pool.query(
+      `INSERT IGNORE INTO role_permissions (role_id, permission_id)
+       SELECT r.id, p.id FROM roles r JOIN permissions p ON p.name IN (?)
+       WHERE r.name = ?`,
+      [grants, role.name]
+    );
+  }
+};
 
 const createTables = async () => {
   try {
@@ -11,7 +82,7 @@ const createTables = async () => {
         username VARCHAR(50) UNIQUE NOT NULL,
         email VARCHAR(100) UNIQUE NOT NULL,
         password VARCHAR(255) NOT NULL,
-        role ENUM('user', 'admin') DEFAULT 'user',
+        role VARCHAR(50) NOT NULL DEFAULT 'user',
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         INDEX idx_email (email),
@@ -21,6 +92,38 @@ const createTables = async () => {
 
     console.log('✅ Users table created');
 
+    // Email verification; accounts that predate it are treated as verified
+    if (await addColumnIfMissing('users', 'email_verified_at', 'TIMESTAMP NULL AFTER email')) {
+      await pool.query('UPDATE users SET email_verified_at = created_at');
+      console.log('✅ Users email_verified_at column added');
+    }
+
+    // Two-factor authentication (secret is stored encrypted)
+    await addColumnIfMissing('users', 'two_factor_secret', 'VARCHAR(255) NULL');
+    await addColumnIfMissing('users', 'two_factor_enabled_at', 'TIMESTAMP NULL');
+    await addColumnIfMissing('users', 'two_factor_last_step', 'BIGINT NULL');
+
+    // Password age; existing accounts count from their creation
+    if (await addColumnIfMissing('users', 'password_changed_at', 'TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP')) {
+      await pool.query('UPDATE users SET password_changed_at = created_at');
+      console.log('✅ Users password_changed_at column added');
+    }
+
+    // Self-service deletion: the account is disabled until this time, then purged
+    if (await addColumnIfMissing('users', 'deletion_scheduled_at', 'TIMESTAMP NULL')) {
+      console.log('✅ Users deletion_scheduled_at column added');
+    }
+
+    // Account status set by admins; only active accounts can log in
+    if (await addColumnIfMissing('users', 'status', "ENUM('active', 'suspended', 'deactivated') NOT NULL DEFAULT 'active'")) {
+      await pool.query('ALTER TABLE users ADD INDEX idx_status (status)');
+      console.log('✅ Users status column added');
+    }
+    await addColumnIfMissing('users', 'status_reason', 'VARCHAR(255) NULL');
+    await addColumnIfMissing('users', 'status_changed_at', 'TIMESTAMP NULL');
+    await addColumnIfMissing('users', 'status_changed_by', 'INT NULL');
+    await addForeignKeyIfMissing('users', 'fk_users_status_changed_by', '(status_changed_by) REFERENCES users(id) ON DELETE SET NULL');
+
     // Create tasks table
     await pool.query(`
       CREATE TABLE IF NOT EXISTS tasks (
@@ -40,6 +143,475 @@ const createTables = async () => {
     `);
 
     console.log('✅ Tasks table created');
+
+    // Create refresh tokens table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        family_id CHAR(36) NOT NULL,
+        replaced_by INT NULL,
+        issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id),
+        INDEX idx_family_id (family_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    console.log('✅ Refresh tokens table created');
+
+    // Create sessions table (one row per login, linked to its refresh token family)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        token_family CHAR(36) UNIQUE NOT NULL,
+        user_agent VARCHAR(255),
+        ip_address VARCHAR(45),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        revoked_at TIMESTAMP NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    console.log('✅ Sessions table created');
+
+    // Create password reset tokens table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    console.log('✅ Password reset tokens table created');
+
+    // Create email verification tokens table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS email_verification_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        email VARCHAR(100) NOT NULL,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    console.log('✅ Email verification tokens table created');
+
+    // Create two-factor recovery codes table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        code_hash CHAR(64) NOT NULL,
+        used_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_user_code (user_id, code_hash)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    console.log('✅ Two-factor recovery codes table created');
+
+    // Create settings table (runtime configuration managed by admins)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS settings (
+        setting_key VARCHAR(100) PRIMARY KEY,
+        setting_value TEXT NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    console.log('✅ Settings table created');
+
+    // Create login throttles table (failed login tracking per account and per IP)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS login_throttles (
+        scope ENUM('account', 'ip') NOT NULL,
+        identifier VARCHAR(255) NOT NULL,
+        failed_count INT NOT NULL DEFAULT 0,
+        last_failed_at TIMESTAMP NULL,
+        locked_until TIMESTAMP NULL,
+        PRIMARY KEY (scope, identifier)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    console.log('✅ Login throttles table created');
+
+    // Create invites table (admin-issued registration invitations)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS invites (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        email VARCHAR(100) NOT NULL,
+        role VARCHAR(50) NOT NULL DEFAULT 'user',
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        invited_by INT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        accepted_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_email (email)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    console.log('✅ Invites table created');
+
+    // Create roles, permissions and role_permissions tables (database-defined RBAC)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS roles (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(50) UNIQUE NOT NULL,
+        description VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS permissions (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) UNIQUE NOT NULL,
+        description VARCHAR(255)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role_id INT NOT NULL,
+        permission_id INT NOT NULL,
+        PRIMARY KEY (role_id, permission_id),
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+        FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    await seedRolesAndPermissions();
+
+    // Role columns used to be ENUM('user', 'admin'); they now reference roles by name
+    await pool.query("ALTER TABLE users MODIFY role VARCHAR(50) NOT NULL DEFAULT 'user'");
+    await pool.query("ALTER TABLE invites MODIFY role VARCHAR(50) NOT NULL DEFAULT 'user'");
+    await addForeignKeyIfMissing('users', 'fk_users_role', '(role) REFERENCES roles(name) ON UPDATE CASCADE');
+    await addForeignKeyIfMissing('invites', 'fk_invites_role', '(role) REFERENCES roles(name) ON UPDATE CASCADE ON DELETE CASCADE');
+
+    console.log('✅ Roles and permissions tables created');
+
+    // Create personal access tokens table (long-lived, scoped API tokens)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS personal_access_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        token_prefix VARCHAR(16) NOT NULL,
+        token_hash CHAR(64) UNIQUE NOT NULL,
+        scopes VARCHAR(255) NOT NULL,
+        expires_at TIMESTAMP NULL,
+        last_used_at TIMESTAMP NULL,
+        last_used_ip VARCHAR(45) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    console.log('✅ Personal access tokens table created');
+
+    // Create user identities table (external OIDC accounts linked to local users)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_identities (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        issuer VARCHAR(255) NOT NULL,
+        subject VARCHAR(255) NOT NULL,
+        email VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_login_at TIMESTAMP NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_issuer_subject (issuer, subject),
+        INDEX idx_user_id (user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    // Create OIDC logins table (state/PKCE of in-flight SSO logins and their one-time exchange codes)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS oidc_logins (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        state_hash CHAR(64) UNIQUE NOT NULL,
+        browser_hash CHAR(64) NOT NULL,
+        code_verifier VARCHAR(128) NOT NULL,
+        nonce VARCHAR(64) NOT NULL,
+        user_id INT NULL,
+        exchange_code_hash CHAR(64) UNIQUE NULL,
+        expires_at TIMESTAMP NOT NULL,
+        completed_at TIMESTAMP NULL,
+        used_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    console.log('✅ OIDC tables created');
+
+    // Create signing keys table (asymmetric JWT keys; private keys encrypted at rest)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS signing_keys (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        kid VARCHAR(64) UNIQUE NOT NULL,
+        algorithm VARCHAR(10) NOT NULL,
+        public_key TEXT NOT NULL,
+        private_key TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        retired_at TIMESTAMP NULL,
+        expires_at TIMESTAMP NULL,
+        INDEX idx_expires_at (expires_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    console.log('✅ Signing keys table created');
+
+    // Create impersonation log table (audit trail of admins acting as other users)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS impersonation_logs (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        actor_id INT NULL,
+        user_id INT NULL,
+        session_id INT NULL,
+        event ENUM('start', 'request', 'stop') NOT NULL,
+        method VARCHAR(10) NULL,
+        path VARCHAR(255) NULL,
+        status_code SMALLINT NULL,
+        ip_address VARCHAR(45) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_actor_id (actor_id),
+        INDEX idx_user_id (user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    console.log('✅ Impersonation log table created');
+
+    // Create password history table (previous password hashes, to prevent reuse)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS password_history (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    console.log('✅ Password history table created');
+
+    // Create security events table (logins, password changes, token refreshes, ...)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS security_events (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NULL,
+        email VARCHAR(100) NULL,
+        event_type VARCHAR(50) NOT NULL,
+        outcome ENUM('success', 'failure') NOT NULL,
+        ip_address VARCHAR(45) NULL,
+        user_agent VARCHAR(255) NULL,
+        details JSON NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_created (user_id, created_at),
+        INDEX idx_type_created (event_type, created_at),
+        INDEX idx_created_at (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    console.log('✅ Security events table created');
+
+    // Create task comments table (replies point at a top-level comment of the same task)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS task_comments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        task_id INT NOT NULL,
+        user_id INT NOT NULL,
+        parent_id INT NULL,
+        body TEXT NOT NULL,
+        edited_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (parent_id) REFERENCES task_comments(id) ON DELETE CASCADE,
+        INDEX idx_task_parent (task_id, parent_id, created_at),
+        INDEX idx_user_id (user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    console.log('✅ Task comments table created');
+
+    // Create task attachments table (file contents live in the storage driver under storage_key)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS task_attachments (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        task_id INT NOT NULL,
+        user_id INT NOT NULL,
+        storage_key VARCHAR(255) NOT NULL UNIQUE,
+        original_name VARCHAR(255) NOT NULL,
+        content_type VARCHAR(100) NOT NULL,
+        size_bytes BIGINT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_task_id (task_id),
+        INDEX idx_user_id (user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    console.log('✅ Task attachments table created');
+
+    // Create tags table (each user has their own set of tags)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        name VARCHAR(50) NOT NULL,
+        color CHAR(7) NOT NULL DEFAULT '#6b7280',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY uq_user_name (user_id, name)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    console.log('✅ Tags table created');
+
+    // Create task tags join table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS task_tags (
+        task_id INT NOT NULL,
+        tag_id INT NOT NULL,
+        PRIMARY KEY (task_id, tag_id),
+        FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+        FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE,
+        INDEX idx_tag_id (tag_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    console.log('✅ Task tags table created');
+
+    // Create projects table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS projects (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    console.log('✅ Projects table created');
+
+    // Create project members table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS project_members (
+        project_id INT NOT NULL,
+        user_id INT NOT NULL,
+        role ENUM('owner', 'editor', 'viewer') NOT NULL DEFAULT 'viewer',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (project_id, user_id),
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    console.log('✅ Project members table created');
+
+    // Tasks without a project are personal to their owner
+    if (await addColumnIfMissing('tasks', 'project_id', 'INT NULL AFTER user_id')) {
+      await pool.query('ALTER TABLE tasks ADD INDEX idx_project_id (project_id)');
+    }
+
+    await addForeignKeyIfMissing('tasks', 'fk_tasks_project', '(project_id) REFERENCES projects(id) ON DELETE CASCADE');
+
+    // The owner (user_id) is whoever created the task; existing tasks were created by their owner
+    if (await addColumnIfMissing('tasks', 'created_by', 'INT NULL AFTER user_id')) {
+      await pool.query('UPDATE tasks SET created_by = user_id');
+      await pool.query('ALTER TABLE tasks ADD INDEX idx_created_by (created_by)');
+      console.log('✅ Tasks created_by column added');
+    }
+
+    if (await addColumnIfMissing('tasks', 'assignee_id', 'INT NULL AFTER created_by')) {
+      await pool.query('ALTER TABLE tasks ADD INDEX idx_assignee_id (assignee_id)');
+      console.log('✅ Tasks assignee_id column added');
+    }
+
+    await addForeignKeyIfMissing('tasks', 'fk_tasks_created_by', '(created_by) REFERENCES users(id) ON DELETE SET NULL');
+    await addForeignKeyIfMissing('tasks', 'fk_tasks_assignee', '(assignee_id) REFERENCES users(id) ON DELETE SET NULL');
+
+    // Personal tasks can only be assigned to their owner; drop assignments made before that rule
+    await pool.query('UPDATE tasks SET assignee_id = NULL WHERE project_id IS NULL AND assignee_id <> user_id');
+
+    // Subtasks: ordered by position under their parent, which can complete itself once they are done
+    if (await addColumnIfMissing('tasks', 'parent_id', 'INT NULL AFTER project_id')) {
+      await pool.query('ALTER TABLE tasks ADD INDEX idx_parent_id (parent_id)');
+      console.log('✅ Tasks parent_id column added');
+    }
+    await addColumnIfMissing('tasks', 'position', 'INT NOT NULL DEFAULT 0 AFTER parent_id');
+    await addColumnIfMissing('tasks', 'auto_complete', 'BOOLEAN NOT NULL DEFAULT FALSE AFTER position');
+
+    await addForeignKeyIfMissing('tasks', 'fk_tasks_parent', '(parent_id) REFERENCES tasks(id) ON DELETE CASCADE');
+
+    // Create task checklist items table
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS task_checklist_items (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        task_id INT NOT NULL,
+        body VARCHAR(500) NOT NULL,
+        position INT NOT NULL DEFAULT 0,
+        completed_at TIMESTAMP NULL,
+        completed_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+        FOREIGN KEY (completed_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_task_position (task_id, position)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    console.log('✅ Task checklist items table created');
+
+    // Create task dependencies table (task_id is blocked by depends_on_id)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS task_dependencies (
+        task_id INT NOT NULL,
+        depends_on_id INT NOT NULL,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (task_id, depends_on_id),
+        FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+        FOREIGN KEY (depends_on_id) REFERENCES tasks(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_depends_on_id (depends_on_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+    `);
+
+    console.log('✅ Task dependencies table created');
+
+
     console.log('✅ Indexes created automatically');
     console.log('🎉 Migration completed successfully!');
 
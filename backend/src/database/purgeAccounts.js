@@ -0,0 +1,24 @@
+const { purgeDeletedAccounts, ACCOUNT_DELETION_GRACE_DAYS } = require('../utils/accountDeletion');
+
+// Usage:
+//   npm run accounts:purge   permanently delete accounts whose deletion grace period is over
+//
+// Run it regularly, e.g. from cron: 0 3 * * * cd /app && npm run accounts:purge
+
+const run = async () => {
+  try {
+    const users = await purgeDeletedAccounts();
+
+    for (const user of users) {
+      console.log(`🗑️  Deleted user ${user.id} (${user.username}), scheduled for ${user.deletion_scheduled_at.toISOString()}`);
+    }
+    console.log(`✅ Purged ${users.length} account(s) past the ${ACCOUNT_DELETION_GRACE_DAYS}-day grace period`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Account purge failed:', error.message);
+    process.exit(1);
+  }
+};
+
+run();
@@ -11,8 +11,8 @@ const seedDatabase = async () => {
 
     // Insert admin user
     await pool.query(
-      `INSERT IGNORE INTO users (username, email, password, role) 
-       VALUES (?, ?, ?, ?)`,
+      `INSERT IGNORE INTO users (username, email, password, role, email_verified_at) 
+       VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
       ['admin', 'admin@example.com', adminPassword, 'admin']
     );
 
@@ -20,8 +20,8 @@ const seedDatabase = async () => {
 
     // Insert regular user
     await pool.query(
-      `INSERT IGNORE INTO users (username, email, password, role) 
-       VALUES (?, ?, ?, ?)`,
+      `INSERT IGNORE INTO users (username, email, password, role, email_verified_at) 
+       VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)`,
       ['john_doe', 'john@example.com', userPassword, 'user']
     );
 
@@ -0,0 +1,141 @@
+/**
+ * Minimal OpenID Connect provider for trying out SSO login locally.
+ *
+ * Not for production: any email typed into the form is accepted.
+ * Run with `npm run oidc:mock`, then start the API with
+ * OIDC_ISSUER=http://localhost:4000 and OIDC_CLIENT_ID=task-manager.
+ */
+require('dotenv').config({ path: __dirname + '/../../.env' });
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4000;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'task-manager';
+const CODE_EXPIRE_MS = 60 * 1000;
+
+// A fresh signing key per run; the API fetches it from /jwks
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Issued authorization codes, kept in memory until redeemed or expired
+const codes = new Map();
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile'],
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Sign-in form standing in for the corporate login page
+app.get('/authorize', (req, res) => {
+  const { client_id: clientId, code_challenge_method: challengeMethod } = req.query;
+
+  if (clientId !== CLIENT_ID || challengeMethod !== 'S256') {
+    return res.status(400).send('Unknown client_id or missing S256 code challenge');
+  }
+
+  const hidden = ['redirect_uri', 'state', 'nonce', 'code_challenge']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('');
+
+  res.send(`<!DOCTYPE html>
+<html>
+  <body style="font-family: sans-serif; max-width: 360px; margin: 60px auto;">
+    <h2>Mock identity provider</h2>
+    <form method="post" action="/authorize">
+      ${hidden}
+      <p><label>Email<br><input name="email" type="email" required style="width: 100%;"></label></p>
+      <p><label>Username<br><input name="preferred_username" style="width: 100%;"></label></p>
+      <p><label><input name="email_verified" type="checkbox" checked> Email verified</label></p>
+      <p>
+        <button type="submit">Sign in</button>
+        <button type="submit" name="deny" value="1">Cancel</button>
+      </p>
+    </form>
+  </body>
+</html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge, email } = req.body;
+  const redirect = new URL(redirectUri);
+
+  if (req.body.deny) {
+    redirect.searchParams.set('error', 'access_denied');
+    redirect.searchParams.set('error_description', 'Sign-in was cancelled');
+  } else {
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      redirectUri,
+      nonce,
+      codeChallenge,
+      expiresAt: Date.now() + CODE_EXPIRE_MS,
+      claims: {
+        // The subject is stable per email so repeated logins hit the linked identity
+        sub: crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24),
+        email,
+        email_verified: Boolean(req.body.email_verified),
+        ...(req.body.preferred_username && { preferred_username: req.body.preferred_username }),
+      },
+    });
+    redirect.searchParams.set('code', code);
+  }
+
+  if (state) {
+    redirect.searchParams.set('state', state);
+  }
+  res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type: grantType, code, redirect_uri: redirectUri, client_id: clientId, code_verifier: verifier } = req.body;
+  const issued = codes.get(code);
+  codes.delete(code);
+
+  const challenge = verifier && crypto.createHash('sha256').update(verifier).digest('base64url');
+
+  if (
+    grantType !== 'authorization_code' ||
+    clientId !== CLIENT_ID ||
+    !issued ||
+    issued.expiresAt < Date.now() ||
+    issued.redirectUri !== redirectUri ||
+    issued.codeChallenge !== challenge
+  ) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'Invalid authorization code or PKCE verifier' });
+  }
+
+  const idToken = jwt.sign({ ...issued.claims, nonce: issued.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: '5m',
+  });
+
+  res.json({ access_token: crypto.randomBytes(16).toString('hex'), token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER} (client_id: ${CLIENT_ID})`);
+});
@@ -0,0 +1,101 @@
+/**
+ * Minimal S3-compatible server for trying out the s3 attachment storage locally.
+ *
+ * Not for production: objects are kept in memory and lost on restart. Only path-style
+ * PUT, GET and DELETE of single objects are supported, but Signature Version 4 is
+ * checked the way S3 does, so signing mistakes show up here first.
+ * Run with `npm run s3:mock`, then start the API with ATTACHMENT_STORAGE=s3,
+ * S3_ENDPOINT=http://localhost:4569, S3_FORCE_PATH_STYLE=true, S3_BUCKET=attachments,
+ * S3_ACCESS_KEY_ID=mock-access-key and S3_SECRET_ACCESS_KEY=mock-secret-key.
+ */
+require('dotenv').config({ path: __dirname + '/../../.env' });
+
+const crypto = require('crypto');
+const express = require('express');
+
+const PORT = parseInt(process.env.MOCK_S3_PORT) || 4569;
+const ACCESS_KEY_ID = process.env.S3_ACCESS_KEY_ID || 'mock-access-key';
+const SECRET_ACCESS_KEY = process.env.S3_SECRET_ACCESS_KEY || 'mock-secret-key';
+
+// "bucket/key" -> { body, contentType }
+const objects = new Map();
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+const s3Error = (res, status, code, message) => {
+  res.status(status).type('application/xml').send(
+    `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${message}</Message></Error>`
+  );
+};
+
+// Recompute the request's signature from what was received and compare
+const verifySignature = (req) => {
+  const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/
+    .exec(req.get('authorization') || '');
+
+  if (!match || match[1] !== ACCESS_KEY_ID) {
+    return false;
+  }
+
+  const [, , date, region, signedHeaders, signature] = match;
+  const amzDate = req.get('x-amz-date') || '';
+  const payloadHash = req.get('x-amz-content-sha256');
+
+  if (!amzDate.startsWith(date) || payloadHash !== sha256(req.body.length ? req.body : '')) {
+    return false;
+  }
+
+  const canonicalRequest = [
+    req.method,
+    req.originalUrl.split('?')[0],
+    '',
+    ...signedHeaders.split(';').map(name => `${name}:${(req.get(name) || '').trim()}`),
+    '',
+    signedHeaders,
+    payloadHash,
+  ].join('\n');
+
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${SECRET_ACCESS_KEY}`, date), region), 's3'), 'aws4_request');
+  const expected = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+};
+
+const app = express();
+app.use(express.raw({ type: () => true, limit: '100mb' }));
+
+app.use((req, res, next) => {
+  if (!verifySignature(req)) {
+    return s3Error(res, 403, 'SignatureDoesNotMatch', 'The request signature we calculated does not match the signature you provided.');
+  }
+  next();
+});
+
+app.put('/:bucket/*', (req, res) => {
+  objects.set(`${req.params.bucket}/${req.params[0]}`, {
+    body: Buffer.from(req.body),
+    contentType: req.get('content-type') || 'application/octet-stream',
+  });
+  res.set('ETag', `"${crypto.createHash('md5').update(req.body).digest('hex')}"`).status(200).end();
+});
+
+app.get('/:bucket/*', (req, res) => {
+  const object = objects.get(`${req.params.bucket}/${req.params[0]}`);
+
+  if (!object) {
+    return s3Error(res, 404, 'NoSuchKey', 'The specified key does not exist.');
+  }
+  res.type(object.contentType).send(object.body);
+});
+
+app.delete('/:bucket/*', (req, res) => {
+  objects.delete(`${req.params.bucket}/${req.params[0]}`);
+  res.status(204).end();
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock S3 server running at http://localhost:${PORT} (access key: ${ACCESS_KEY_ID})`);
+});
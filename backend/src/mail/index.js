@@ -0,0 +1,66 @@
+const path = require('path');
+const SmtpTransport = require('./transports/smtpTransport');
+const OutboxTransport = require('./transports/outboxTransport');
+const templates = require('./templates');
+
+let transport;
+
+// Build the transport selected by MAIL_TRANSPORT (smtp | outbox)
+const createTransport = () => {
+  const type = process.env.MAIL_TRANSPORT || 'outbox';
+
+  switch (type) {
+    case 'smtp':
+      return new SmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD,
+      });
+    case 'outbox':
+      return new OutboxTransport({
+        directory: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../../outbox'),
+      });
+    default:
+      throw new Error(`Unknown mail transport: ${type}`);
+  }
+};
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Replace the transport (e.g. with an in-memory one in tests)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Absolute link into the web app for use in emails
+const frontendUrl = (pathname) => {
+  const base = process.env.FRONTEND_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+  return `${base.replace(/\/$/, '')}${pathname}`;
+};
+
+// Render a template and send it
+const sendMail = async (to, template, data) => {
+  const { subject, text, html } = templates[template](data);
+
+  return await getTransport().send({
+    from: process.env.MAIL_FROM || 'Task Manager <no-reply@example.com>',
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+module.exports = {
+  sendMail,
+  frontendUrl,
+  getTransport,
+  setTransport,
+};
@@ -0,0 +1,76 @@
+// Password reset email
+const passwordReset = ({ username, resetUrl, expiresInMinutes }) => ({
+  subject: 'Reset your password',
+  text: [
+    `Hi ${username},`,
+    '',
+    'We received a request to reset your password. Use the link below to choose a new one:',
+    resetUrl,
+    '',
+    `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+    'If you did not request a password reset, you can ignore this email.',
+  ].join('\n'),
+});
+
+// Email address verification
+const emailVerification = ({ username, verifyUrl, expiresInHours }) => ({
+  subject: 'Verify your email address',
+  text: [
+    `Hi ${username},`,
+    '',
+    'Please confirm your email address by opening the link below:',
+    verifyUrl,
+    '',
+    `This link expires in ${expiresInHours} hours.`,
+    'If you did not create an account or change your email, you can ignore this email.',
+  ].join('\n'),
+});
+
+// Account temporarily locked after repeated failed logins
+const accountLocked = ({ username, lockoutMinutes, resetUrl }) => ({
+  subject: 'Your account has been temporarily locked',
+  text: [
+    `Hi ${username},`,
+    '',
+    `We locked sign-in to your account for ${lockoutMinutes} minutes after several failed login attempts.`,
+    '',
+    'If this was you, wait and try again. If it was not, someone may be guessing your password;',
+    `we recommend resetting it: ${resetUrl}`,
+  ].join('\n'),
+});
+
+// Invitation to create an account
+const invitation = ({ inviterName, role, registerUrl, expiresInDays }) => ({
+  subject: 'You have been invited to Task Manager',
+  text: [
+    'Hi,',
+    '',
+    `${inviterName} has invited you to join Task Manager with the ${role} role.`,
+    'Use the link below to create your account:',
+    registerUrl,
+    '',
+    `This invitation expires in ${expiresInDays} days.`,
+  ].join('\n'),
+});
+
+// Self-service account deletion requested
+const accountDeletionScheduled = ({ username, deleteAt, loginUrl }) => ({
+  subject: 'Your account is scheduled for deletion',
+  text: [
+    `Hi ${username},`,
+    '',
+    `Your account and all of its data will be permanently deleted on ${deleteAt}.`,
+    'Until then you can restore it by logging in again:',
+    loginUrl,
+    '',
+    'If you did not request this, restore your account and change your password.',
+  ].join('\n'),
+});
+
+module.exports = {
+  passwordReset,
+  emailVerification,
+  accountLocked,
+  invitation,
+  accountDeletionScheduled,
+};
@@ -0,0 +1,27 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// Writes mail to a local outbox directory instead of sending it (development and tests)
+class OutboxTransport {
+  constructor(options = {}) {
+    this.directory = options.directory;
+    this.log = options.log !== false;
+  }
+
+  async send(message) {
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const file = path.join(this.directory, `${id}.json`);
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(file, JSON.stringify({ id, date: new Date().toISOString(), ...message }, null, 2));
+
+    if (this.log) {
+      console.log(`📧 Mail to ${message.to}: "${message.subject}" written to ${file}`);
+    }
+
+    return { id };
+  }
+}
+
+module.exports = OutboxTransport;
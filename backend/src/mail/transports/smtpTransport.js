@@ -0,0 +1,20 @@
+const nodemailer = require('nodemailer');
+
+// Delivers mail through an SMTP server
+class SmtpTransport {
+  constructor(options = {}) {
+    this.transporter = nodemailer.createTransport({
+      host: options.host,
+      port: options.port,
+      secure: options.secure,
+      auth: options.user ? { user: options.user, pass: options.password } : undefined,
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { id: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
@@ -1,14 +1,52 @@
 const { verifyAccessToken } = require('../utils/jwt');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const ImpersonationLog = require('../models/ImpersonationLog');
+const { hashToken } = require('../utils/jwt');
+const { isTwoFactorRequired } = require('../utils/securityPolicy');
+const { getRolePermissions, hasPermission } = require('../utils/permissions');
+const { isPersonalAccessToken, getScopedPermissions } = require('../utils/personalAccessToken');
+const { ACCESS_COOKIE, isCsrfValid } = require('../utils/authCookies');
+const { isAccountActive, buildInactiveAccountResponse } = require('../utils/accountStatus');
 
-// Protect routes - verify JWT token
+// What unverified accounts may do: 'off' (everything), 'read_only' or 'block'
+const EMAIL_VERIFICATION_POLICY = process.env.EMAIL_VERIFICATION_POLICY || 'read_only';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Account routes (/auth) stay open so users can verify their email or enroll in 2FA
+const isAccountRoute = (req) => req.baseUrl.endsWith('/auth');
+
+const isRestrictedForUnverified = (req) => {
+  if (EMAIL_VERIFICATION_POLICY === 'off' || isAccountRoute(req)) {
+    return false;
+  }
+
+  if (EMAIL_VERIFICATION_POLICY === 'block') {
+    return true;
+  }
+
+  return !SAFE_METHODS.includes(req.method);
+};
+
+// Protect routes - verify JWT (Bearer header or cookie) or personal access token
 const protect = async (req, res, next) => {
   try {
     let token;
 
-    // Check for token in Authorization header
+    // Check for token in Authorization header, then in the web app's cookie
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
       token = req.headers.authorization.split(' ')[1];
+    } else if (req.cookies[ACCESS_COOKIE]) {
+      token = req.cookies[ACCESS_COOKIE];
+
+      // Browsers attach cookies to cross-site requests too; state changes need the CSRF header
+      if (!isCsrfValid(req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Invalid CSRF token',
+        });
+      }
     }
 
     if (!token) {
@@ -18,11 +56,69 @@ const protect = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = verifyAccessToken(token);
+    let userId;
+    let session = null;
+    let accessToken = null;
+    let actor = null;
+    let actorPermissions = null;
+    let impersonationExpiresAt = null;
+
+    if (isPersonalAccessToken(token)) {
+      accessToken = await PersonalAccessToken.findValidByHash(hashToken(token));
+
+      if (!accessToken) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired access token',
+        });
+      }
+
+      // Token management, sessions, password etc. need an interactive login
+      if (isAccountRoute(req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Personal access tokens cannot be used for account routes',
+        });
+      }
+
+      userId = accessToken.user_id;
+    } else {
+      // Verify token
+      const decoded = await verifyAccessToken(token);
+
+      // Impersonation tokens run on the acting admin's session
+      const sessionOwnerId = decoded.act ? decoded.act.id : decoded.id;
+
+      // Reject tokens whose session was logged out or revoked
+      session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+      if (!session || session.revoked_at || session.user_id !== sessionOwnerId) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked',
+        });
+      }
+
+      if (decoded.act) {
+        actor = await User.findById(decoded.act.id);
+        actorPermissions = actor ? await getRolePermissions(actor.role) : [];
+
+        // The admin must still be allowed to impersonate when each request is made
+        if (!actorPermissions.includes('users:impersonate')) {
+          return res.status(401).json({
+            success: false,
+            message: 'Impersonation is no longer allowed',
+          });
+        }
+
+        impersonationExpiresAt = new Date(decoded.exp * 1000);
+      }
+
+      userId = decoded.id;
+    }
 
     // Get user from database
-    const user = await User.findById(decoded.id);
+    const user = await User.findById(userId);
 
     if (!user) {
       return res.status(401).json({
@@ -31,8 +127,74 @@ const protect = async (req, res, next) => {
       });
     }
 
-    // Attach user to request object
+    // Sessions are revoked on suspension; this also stops personal access tokens
+    if (!isAccountActive(user)) {
+      return res.status(403).json(buildInactiveAccountResponse(user));
+    }
+
+    // Sessions and tokens are revoked on deletion; this also covers admins impersonating the account
+    if (user.deletion_scheduled_at) {
+      return res.status(401).json({
+        success: false,
+        message: 'This account is scheduled for deletion',
+      });
+    }
+
+    if (!user.email_verified_at && isRestrictedForUnverified(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address to perform this action',
+      });
+    }
+
+    if (!user.two_factor_enabled_at && !isAccountRoute(req) && (await isTwoFactorRequired(user.role))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role. Please enable it first.',
+      });
+    }
+
+    const rolePermissions = await getRolePermissions(user.role);
+
+    // Like when the impersonation started, the user's role must not have gained anything the admin lacks
+    if (actor && (rolePermissions.includes('users:impersonate')
+      || !rolePermissions.every(permission => actorPermissions.includes(permission)))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Impersonation is no longer allowed',
+      });
+    }
+
+    if (accessToken) {
+      await PersonalAccessToken.touch(accessToken.id, req.ip);
+      user.permissions = getScopedPermissions(rolePermissions, accessToken.scopes);
+    } else {
+      await Session.touch(session.id, req.ip);
+      user.permissions = rolePermissions;
+    }
+
+    // Audit every request made while impersonating, with its outcome
+    if (actor) {
+      res.on('finish', () => {
+        ImpersonationLog.create({
+          actor_id: actor.id,
+          user_id: user.id,
+          session_id: session.id,
+          event: 'request',
+          method: req.method,
+          path: req.originalUrl,
+          status_code: res.statusCode,
+          ip_address: req.ip,
+        }).catch(error => console.error('Failed to log impersonated request:', error.message));
+      });
+    }
+
+    // Attach user, session (JWT) or access token (PAT) and the impersonating admin to request object
     req.user = user;
+    req.actor = actor;
+    req.impersonationExpiresAt = impersonationExpiresAt;
+    req.sessionId = session ? session.id : null;
+    req.accessTokenId = accessToken ? accessToken.id : null;
     next();
   } catch (error) {
     return res.status(401).json({
@@ -43,10 +205,10 @@ const protect = async (req, res, next) => {
   }
 };
 
-// Authorize specific roles
-const authorize = (...roles) => {
+// Require at least one of the given permissions (granted through the user's role)
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    if (!permissions.some(permission => hasPermission(req.user, permission))) {
       return res.status(403).json({
         success: false,
         message: `User role '${req.user.role}' is not authorized to access this route`,
@@ -56,4 +218,15 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { protect, authorize };
+// Actions only the account owner may take (password, tokens, 2FA...), never an impersonating admin
+const forbidImpersonation = (req, res, next) => {
+  if (req.actor) {
+    return res.status(403).json({
+      success: false,
+      message: 'This action is not allowed while impersonating a user',
+    });
+  }
+  next();
+};
+
+module.exports = { protect, requirePermission, forbidImpersonation };
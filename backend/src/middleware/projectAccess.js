@@ -0,0 +1,45 @@
+const Project = require('../models/Project');
+const ProjectMember = require('../models/ProjectMember');
+const { hasPermission } = require('../utils/permissions');
+const { hasProjectRole } = require('../utils/projectAccess');
+
+// Load the project in `:id` into req.project and the user's role in it into req.projectRole.
+// Projects are only visible to their members (and to tasks:read:any, with no role).
+const loadProject = async (req, res, next) => {
+  try {
+    const project = await Project.findById(req.params.id);
+    const role = project ? await ProjectMember.findRole(project.id, req.user.id) : null;
+
+    if (!project || (!role && !hasPermission(req.user, 'tasks:read:any'))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found',
+      });
+    }
+
+    req.project = project;
+    req.projectRole = role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Require at least `minimum` role in the loaded project
+const requireProjectRole = (minimum) => {
+  return (req, res, next) => {
+    if (!hasProjectRole(req.projectRole, minimum)) {
+      return res.status(403).json({
+        success: false,
+        message: `This requires the ${minimum} role in the project`,
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  loadProject,
+  requireProjectRole,
+};
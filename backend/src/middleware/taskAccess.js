@@ -0,0 +1,48 @@
+const Task = require('../models/Task');
+const { canReadTask, canUpdateTask } = require('../utils/taskAccess');
+
+// Load the task in `:id` into req.task for routes nested under a task (comments,
+// attachments), answering 404/403 the same way as GET /tasks/:id
+const loadReadableTask = async (req, res, next) => {
+  try {
+    const task = await Task.findById(req.params.id);
+
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found',
+      });
+    }
+
+    if (!(await canReadTask(req.user, task))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this task',
+      });
+    }
+
+    req.task = task;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// After loadReadableTask: let only users who can update the task through, e.g. before an upload
+// is read into memory
+const requireTaskUpdate = (message) => async (req, res, next) => {
+  try {
+    if (!(await canUpdateTask(req.user, req.task))) {
+      return res.status(403).json({
+        success: false,
+        message,
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { loadReadableTask, requireTaskUpdate };
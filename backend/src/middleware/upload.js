@@ -0,0 +1,44 @@
+const multer = require('multer');
+const { ATTACHMENT_LIMITS, formatMegabytes } = require('../utils/attachments');
+
+// Files are kept in memory (bounded by maxFileSize) until the controller hands them to storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  // Non-ASCII file names arrive as UTF-8 from browsers
+  defParamCharset: 'utf8',
+  limits: {
+    fileSize: ATTACHMENT_LIMITS.maxFileSize,
+    files: 1,
+  },
+  fileFilter: (req, file, callback) => {
+    if (!ATTACHMENT_LIMITS.allowedTypes.includes(file.mimetype.toLowerCase())) {
+      const error = new Error(`File type ${file.mimetype} is not allowed`);
+      error.statusCode = 415;
+      return callback(error);
+    }
+    callback(null, true);
+  },
+});
+
+// Parse a single file from the `file` field, answering upload errors with JSON responses
+const singleFileUpload = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        message: `File exceeds the ${formatMegabytes(ATTACHMENT_LIMITS.maxFileSize)} limit`,
+      });
+    }
+
+    res.status(error instanceof multer.MulterError ? 400 : error.statusCode || 400).json({
+      success: false,
+      message: error.message,
+    });
+  });
+};
+
+module.exports = { singleFileUpload };
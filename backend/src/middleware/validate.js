@@ -5,10 +5,15 @@ const validate = (req, res, next) => {
   const errors = validationResult(req);
   
   if (!errors.isEmpty()) {
-    const extractedErrors = errors.array().map(err => ({
-      field: err.path || err.param,
-      message: err.msg,
-    }));
+    // Validators that report several reasons at once (e.g. the password policy)
+    // use an array of { code, message } as their message
+    const extractedErrors = errors.array().flatMap(err => {
+      const field = err.path || err.param;
+
+      return Array.isArray(err.msg)
+        ? err.msg.map(reason => ({ field, code: reason.code, message: reason.message }))
+        : [{ field, message: err.msg }];
+    });
 
     return res.status(400).json({
       success: false,
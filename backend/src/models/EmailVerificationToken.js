@@ -0,0 +1,59 @@
+const { query } = require('../config/database');
+
+class EmailVerificationToken {
+  // Store a new verification token (hashed) for an email address
+  static async create({ user_id, email, token_hash, expires_at }) {
+    const sql = `
+      INSERT INTO email_verification_tokens (user_id, email, token_hash, expires_at)
+      VALUES (?, ?, ?, ?)
+    `;
+
+    const result = await query(sql, [user_id, email, token_hash, expires_at]);
+    return { id: result.insertId, user_id, email, expires_at };
+  }
+
+  // Find an unused, unexpired token by hash
+  static async findValidByHash(tokenHash) {
+    const sql = `
+      SELECT * FROM email_verification_tokens
+      WHERE token_hash = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    `;
+    const results = await query(sql, [tokenHash]);
+    return results[0] || null;
+  }
+
+  // Get the most recently issued token of a user (for resend throttling)
+  static async findLatestForUser(userId) {
+    const sql = `
+      SELECT * FROM email_verification_tokens
+      WHERE user_id = ?
+      ORDER BY created_at DESC, id DESC
+      LIMIT 1
+    `;
+    const results = await query(sql, [userId]);
+    return results[0] || null;
+  }
+
+  // Consume a token; returns false if it was already used
+  static async markUsed(id) {
+    const sql = `
+      UPDATE email_verification_tokens
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND used_at IS NULL
+    `;
+    const result = await query(sql, [id]);
+    return result.affectedRows > 0;
+  }
+
+  // Invalidate all outstanding tokens of a user
+  static async invalidateForUser(userId) {
+    const sql = `
+      UPDATE email_verification_tokens
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND used_at IS NULL
+    `;
+    await query(sql, [userId]);
+  }
+}
+
+module.exports = EmailVerificationToken;
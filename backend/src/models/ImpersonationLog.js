@@ -0,0 +1,39 @@
+const { query } = require('../config/database');
+
+class ImpersonationLog {
+  // Record an impersonation event (start, stop or a request made while impersonating)
+  static async create({ actor_id, user_id, session_id, event, method, path, status_code, ip_address }) {
+    const sql = `
+      INSERT INTO impersonation_logs
+        (actor_id, user_id, session_id, event, method, path, status_code, ip_address)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const result = await query(sql, [
+      actor_id,
+      user_id,
+      session_id || null,
+      event,
+      method || null,
+      path ? path.substring(0, 255) : null,
+      status_code || null,
+      ip_address || null,
+    ]);
+    return { id: result.insertId };
+  }
+
+  // Impersonation of a user's account, with the acting admin's username, newest first
+  static async findByUserId(userId) {
+    const sql = `
+      SELECT l.event, l.method, l.path, l.status_code, l.ip_address, l.created_at,
+        a.username AS actor_username
+      FROM impersonation_logs l
+      LEFT JOIN users a ON l.actor_id = a.id
+      WHERE l.user_id = ?
+      ORDER BY l.created_at DESC
+    `;
+    return await query(sql, [userId]);
+  }
+}
+
+module.exports = ImpersonationLog;
@@ -0,0 +1,68 @@
+const { query } = require('../config/database');
+
+class Invite {
+  // Store a new invitation (token hashed)
+  static async create({ email, role, token_hash, invited_by, expires_at }) {
+    const sql = `
+      INSERT INTO invites (email, role, token_hash, invited_by, expires_at)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+
+    const result = await query(sql, [email, role, token_hash, invited_by, expires_at]);
+    return { id: result.insertId, email, role, invited_by, expires_at };
+  }
+
+  // Find an unaccepted, unexpired invitation by token hash
+  static async findValidByHash(tokenHash) {
+    const sql = `
+      SELECT * FROM invites
+      WHERE token_hash = ? AND accepted_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    `;
+    const results = await query(sql, [tokenHash]);
+    return results[0] || null;
+  }
+
+  // Pending invitations with the inviter's username
+  static async findPending() {
+    const sql = `
+      SELECT i.id, i.email, i.role, i.expires_at, i.created_at, u.username AS invited_by
+      FROM invites i
+      LEFT JOIN users u ON i.invited_by = u.id
+      WHERE i.accepted_at IS NULL AND i.expires_at > CURRENT_TIMESTAMP
+      ORDER BY i.created_at DESC
+    `;
+    return await query(sql, []);
+  }
+
+  // Consume an invitation; returns false if it was already accepted
+  static async markAccepted(id) {
+    const sql = `
+      UPDATE invites
+      SET accepted_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND accepted_at IS NULL
+    `;
+    const result = await query(sql, [id]);
+    return result.affectedRows > 0;
+  }
+
+  // Reopen an invitation whose account could not be created
+  static async release(id) {
+    const sql = 'UPDATE invites SET accepted_at = NULL WHERE id = ?';
+    await query(sql, [id]);
+  }
+
+  // Remove pending invitations for an email (a new invite replaces older ones)
+  static async deletePendingForEmail(email) {
+    const sql = 'DELETE FROM invites WHERE email = ? AND accepted_at IS NULL';
+    await query(sql, [email]);
+  }
+
+  // Revoke a pending invitation
+  static async deletePending(id) {
+    const sql = 'DELETE FROM invites WHERE id = ? AND accepted_at IS NULL';
+    const result = await query(sql, [id]);
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = Invite;
@@ -0,0 +1,47 @@
+const { query } = require('../config/database');
+
+// Times are computed by the database so every API instance agrees on them
+class LoginThrottle {
+  // Find throttle state; includes seconds until unlock (retry_after) when locked
+  static async find(scope, identifier) {
+    const sql = `
+      SELECT *, GREATEST(TIMESTAMPDIFF(SECOND, CURRENT_TIMESTAMP, locked_until), 0) AS retry_after
+      FROM login_throttles
+      WHERE scope = ? AND identifier = ?
+    `;
+    const results = await query(sql, [scope, identifier]);
+    return results[0] || null;
+  }
+
+  // Count a failed attempt; the counter restarts once the previous failure is older than the window
+  static async recordFailure(scope, identifier, windowMinutes) {
+    const sql = `
+      INSERT INTO login_throttles (scope, identifier, failed_count, last_failed_at)
+      VALUES (?, ?, 1, CURRENT_TIMESTAMP)
+      ON DUPLICATE KEY UPDATE
+        failed_count = IF(last_failed_at < (CURRENT_TIMESTAMP - INTERVAL ? MINUTE), 1, failed_count + 1),
+        last_failed_at = CURRENT_TIMESTAMP
+    `;
+    await query(sql, [scope, identifier, windowMinutes]);
+    return await this.find(scope, identifier);
+  }
+
+  // Block further attempts for a number of seconds
+  static async lock(scope, identifier, seconds) {
+    const sql = `
+      UPDATE login_throttles
+      SET locked_until = (CURRENT_TIMESTAMP + INTERVAL ? SECOND)
+      WHERE scope = ? AND identifier = ?
+    `;
+    await query(sql, [seconds, scope, identifier]);
+  }
+
+  // Reset failed attempts and any lock
+  static async clear(scope, identifier) {
+    const sql = 'DELETE FROM login_throttles WHERE scope = ? AND identifier = ?';
+    const result = await query(sql, [scope, identifier]);
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = LoginThrottle;
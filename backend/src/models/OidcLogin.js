@@ -0,0 +1,65 @@
+const { query } = require('../config/database');
+
+class OidcLogin {
+  // Store a new SSO login attempt (state and browser binding hashed)
+  static async create({ state_hash, browser_hash, code_verifier, nonce, expires_at }) {
+    const sql = `
+      INSERT INTO oidc_logins (state_hash, browser_hash, code_verifier, nonce, expires_at)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+
+    const result = await query(sql, [state_hash, browser_hash, code_verifier, nonce, expires_at]);
+    return { id: result.insertId, expires_at };
+  }
+
+  // Find an attempt still waiting for the provider's callback
+  static async findPendingByState(stateHash) {
+    const sql = `
+      SELECT * FROM oidc_logins
+      WHERE state_hash = ? AND completed_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    `;
+    const results = await query(sql, [stateHash]);
+    return results[0] || null;
+  }
+
+  // Record the authenticated user and the code the frontend exchanges for tokens;
+  // returns false if the callback was already processed
+  static async complete(id, userId, exchangeCodeHash) {
+    const sql = `
+      UPDATE oidc_logins
+      SET completed_at = CURRENT_TIMESTAMP, user_id = ?, exchange_code_hash = ?
+      WHERE id = ? AND completed_at IS NULL
+    `;
+    const result = await query(sql, [userId, exchangeCodeHash, id]);
+    return result.affectedRows > 0;
+  }
+
+  // Mark a callback as processed without a user (provider error or rejected login)
+  static async fail(id) {
+    const sql = 'UPDATE oidc_logins SET completed_at = CURRENT_TIMESTAMP WHERE id = ? AND completed_at IS NULL';
+    await query(sql, [id]);
+  }
+
+  // Find an unused, unexpired exchange code
+  static async findValidByExchangeCode(exchangeCodeHash) {
+    const sql = `
+      SELECT * FROM oidc_logins
+      WHERE exchange_code_hash = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    `;
+    const results = await query(sql, [exchangeCodeHash]);
+    return results[0] || null;
+  }
+
+  // Consume an exchange code; returns false if it was already used
+  static async markUsed(id) {
+    const sql = `
+      UPDATE oidc_logins
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND used_at IS NULL
+    `;
+    const result = await query(sql, [id]);
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = OidcLogin;
@@ -0,0 +1,30 @@
+const { query } = require('../config/database');
+
+class PasswordHistory {
+  // Most recent previous password hashes of a user
+  static async findRecent(userId, limit) {
+    const sql = `
+      SELECT password_hash FROM password_history
+      WHERE user_id = ?
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?
+    `;
+    const results = await query(sql, [userId, limit]);
+    return results.map(row => row.password_hash);
+  }
+
+  // Keep only the newest `keep` entries of a user
+  static async prune(userId, keep) {
+    const sql = `
+      DELETE FROM password_history
+      WHERE user_id = ? AND id NOT IN (
+        SELECT id FROM (
+          SELECT id FROM password_history WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?
+        ) AS kept
+      )
+    `;
+    await query(sql, [userId, userId, keep]);
+  }
+}
+
+module.exports = PasswordHistory;
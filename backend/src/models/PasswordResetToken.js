@@ -0,0 +1,47 @@
+const { query } = require('../config/database');
+
+class PasswordResetToken {
+  // Store a new reset token (hashed)
+  static async create({ user_id, token_hash, expires_at }) {
+    const sql = `
+      INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+      VALUES (?, ?, ?)
+    `;
+
+    const result = await query(sql, [user_id, token_hash, expires_at]);
+    return { id: result.insertId, user_id, expires_at };
+  }
+
+  // Find an unused, unexpired token by hash
+  static async findValidByHash(tokenHash) {
+    const sql = `
+      SELECT * FROM password_reset_tokens
+      WHERE token_hash = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    `;
+    const results = await query(sql, [tokenHash]);
+    return results[0] || null;
+  }
+
+  // Consume a token; returns false if it was already used
+  static async markUsed(id) {
+    const sql = `
+      UPDATE password_reset_tokens
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND used_at IS NULL
+    `;
+    const result = await query(sql, [id]);
+    return result.affectedRows > 0;
+  }
+
+  // Invalidate all outstanding tokens of a user
+  static async invalidateForUser(userId) {
+    const sql = `
+      UPDATE password_reset_tokens
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND used_at IS NULL
+    `;
+    await query(sql, [userId]);
+  }
+}
+
+module.exports = PasswordResetToken;
@@ -0,0 +1,11 @@
+const { query } = require('../config/database');
+
+class Permission {
+  // Get all permissions
+  static async findAll() {
+    const sql = 'SELECT name, description FROM permissions ORDER BY name';
+    return await query(sql, []);
+  }
+}
+
+module.exports = Permission;
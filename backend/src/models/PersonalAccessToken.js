@@ -0,0 +1,78 @@
+const { query } = require('../config/database');
+
+// Scopes are stored as a space-separated list
+const formatToken = (row) => ({
+  ...row,
+  scopes: row.scopes ? row.scopes.split(' ') : [],
+});
+
+class PersonalAccessToken {
+  // Store a new token (hashed); the plain token is never persisted
+  static async create({ user_id, name, token_prefix, token_hash, scopes, expires_at }) {
+    const sql = `
+      INSERT INTO personal_access_tokens (user_id, name, token_prefix, token_hash, scopes, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    const result = await query(sql, [user_id, name, token_prefix, token_hash, scopes.join(' '), expires_at || null]);
+    return await this.findById(result.insertId);
+  }
+
+  // Find token by ID (without hash)
+  static async findById(id) {
+    const sql = `
+      SELECT id, user_id, name, token_prefix, scopes, expires_at, last_used_at, last_used_ip, created_at
+      FROM personal_access_tokens
+      WHERE id = ?
+    `;
+    const results = await query(sql, [id]);
+    return results[0] ? formatToken(results[0]) : null;
+  }
+
+  // Find an unexpired token by hash
+  static async findValidByHash(tokenHash) {
+    const sql = `
+      SELECT * FROM personal_access_tokens
+      WHERE token_hash = ? AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+    `;
+    const results = await query(sql, [tokenHash]);
+    return results[0] ? formatToken(results[0]) : null;
+  }
+
+  // Tokens of a user, newest first
+  static async findByUserId(userId) {
+    const sql = `
+      SELECT id, name, token_prefix, scopes, expires_at, last_used_at, last_used_ip, created_at
+      FROM personal_access_tokens
+      WHERE user_id = ?
+      ORDER BY created_at DESC
+    `;
+    const results = await query(sql, [userId]);
+    return results.map(formatToken);
+  }
+
+  // Delete every token of a user
+  static async deleteAllForUser(userId) {
+    const sql = 'DELETE FROM personal_access_tokens WHERE user_id = ?';
+    await query(sql, [userId]);
+  }
+
+  // Record usage, at most once per minute to avoid a write on every request
+  static async touch(id, ipAddress) {
+    const sql = `
+      UPDATE personal_access_tokens
+      SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ?
+      WHERE id = ? AND (last_used_at IS NULL OR last_used_at < (CURRENT_TIMESTAMP - INTERVAL 1 MINUTE))
+    `;
+    await query(sql, [ipAddress || null, id]);
+  }
+
+  // Delete a token of a user
+  static async delete(id, userId) {
+    const sql = 'DELETE FROM personal_access_tokens WHERE id = ? AND user_id = ?';
+    const result = await query(sql, [id, userId]);
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = PersonalAccessToken;
@@ -0,0 +1,106 @@
+const { query, transaction } = require('../config/database');
+
+class Project {
+  // Create a project with its creator as the owner
+  static async create({ name, description, created_by }) {
+    const projectId = await transaction(async (connection) => {
+      const [result] = await connection.execute(
+        'INSERT INTO projects (name, description, created_by) VALUES (?, ?, ?)',
+        [name, description || null, created_by]
+      );
+
+      await connection.execute(
+        "INSERT INTO project_members (project_id, user_id, role) VALUES (?, ?, 'owner')",
+        [result.insertId, created_by]
+      );
+
+      return result.insertId;
+    });
+
+    return await this.findById(projectId);
+  }
+
+  // Find project by ID
+  static async findById(id) {
+    const results = await query('SELECT * FROM projects WHERE id = ?', [id]);
+    return results[0] || null;
+  }
+
+  // Projects a user is a member of, with their role and the size of each project
+  static async findByUserId(userId) {
+    const sql = `
+      SELECT p.*, m.role,
+        (SELECT COUNT(*) FROM project_members pm WHERE pm.project_id = p.id) as member_count,
+        (SELECT COUNT(*) FROM tasks t WHERE t.project_id = p.id) as task_count
+      FROM projects p
+      JOIN project_members m ON m.project_id = p.id
+      WHERE m.user_id = ?
+      ORDER BY p.name ASC
+    `;
+    return await query(sql, [userId]);
+  }
+
+  // Update project
+  static async update(id, { name, description }) {
+    const fields = Object.entries({ name, description }).filter(([, value]) => value !== undefined);
+
+    if (fields.length > 0) {
+      const setClause = fields.map(([field]) => `${field} = ?`).join(', ');
+      await query(`UPDATE projects SET ${setClause} WHERE id = ?`, [...fields.map(([, value]) => value), id]);
+    }
+
+    return await this.findById(id);
+  }
+
+  // Hand a user's projects over before their account is deleted: where they are the only owner, the
+  // longest-standing other member becomes one, and their tasks in the project go to its first owner.
+  // Returns the IDs of projects without other members, which are left for the caller to delete.
+  static async handOverFromUser(userId) {
+    return await transaction(async (connection) => {
+      const [projects] = await connection.execute(
+        `SELECT project_id FROM project_members WHERE user_id = ?
+         UNION SELECT project_id FROM tasks WHERE user_id = ? AND project_id IS NOT NULL`,
+        [userId, userId]
+      );
+      const abandonedIds = [];
+
+      for (const { project_id: projectId } of projects) {
+        const [members] = await connection.execute(
+          `SELECT user_id, role FROM project_members
+           WHERE project_id = ? AND user_id <> ?
+           ORDER BY FIELD(role, 'owner', 'editor', 'viewer'), created_at ASC, user_id ASC`,
+          [projectId, userId]
+        );
+
+        if (members.length === 0) {
+          abandonedIds.push(projectId);
+          continue;
+        }
+
+        const [heir] = members;
+
+        if (heir.role !== 'owner') {
+          await connection.execute(
+            "UPDATE project_members SET role = 'owner' WHERE project_id = ? AND user_id = ?",
+            [projectId, heir.user_id]
+          );
+        }
+
+        await connection.execute(
+          'UPDATE tasks SET user_id = ? WHERE project_id = ? AND user_id = ?',
+          [heir.user_id, projectId, userId]
+        );
+      }
+
+      return abandonedIds;
+    });
+  }
+
+  // Delete project (its members and tasks are removed with it)
+  static async delete(id) {
+    const result = await query('DELETE FROM projects WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = Project;
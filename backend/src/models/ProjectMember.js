@@ -0,0 +1,66 @@
+const { query } = require('../config/database');
+
+class ProjectMember {
+  // Add a user to a project
+  static async add({ project_id, user_id, role }) {
+    const sql = 'INSERT INTO project_members (project_id, user_id, role) VALUES (?, ?, ?)';
+    await query(sql, [project_id, user_id, role]);
+    return await this.findOne(project_id, user_id);
+  }
+
+  // A single membership, with the member's username and email
+  static async findOne(projectId, userId) {
+    const sql = `
+      SELECT m.project_id, m.user_id, m.role, m.created_at, u.username, u.email
+      FROM project_members m
+      JOIN users u ON m.user_id = u.id
+      WHERE m.project_id = ? AND m.user_id = ?
+    `;
+    const results = await query(sql, [projectId, userId]);
+    return results[0] || null;
+  }
+
+  // The user's role in a project, or null when they are not a member
+  static async findRole(projectId, userId) {
+    const results = await query(
+      'SELECT role FROM project_members WHERE project_id = ? AND user_id = ?',
+      [projectId, userId]
+    );
+    return results[0] ? results[0].role : null;
+  }
+
+  // Members of a project, owners first
+  static async findByProjectId(projectId) {
+    const sql = `
+      SELECT m.user_id, m.role, m.created_at, u.username, u.email
+      FROM project_members m
+      JOIN users u ON m.user_id = u.id
+      WHERE m.project_id = ?
+      ORDER BY FIELD(m.role, 'owner', 'editor', 'viewer'), u.username ASC
+    `;
+    return await query(sql, [projectId]);
+  }
+
+  // Number of owners of a project
+  static async countOwners(projectId) {
+    const results = await query(
+      "SELECT COUNT(*) as total FROM project_members WHERE project_id = ? AND role = 'owner'",
+      [projectId]
+    );
+    return results[0].total;
+  }
+
+  // Change a member's role
+  static async updateRole(projectId, userId, role) {
+    await query('UPDATE project_members SET role = ? WHERE project_id = ? AND user_id = ?', [role, projectId, userId]);
+    return await this.findOne(projectId, userId);
+  }
+
+  // Remove a user from a project
+  static async remove(projectId, userId) {
+    const result = await query('DELETE FROM project_members WHERE project_id = ? AND user_id = ?', [projectId, userId]);
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = ProjectMember;
@@ -0,0 +1,45 @@
+const { query, transaction } = require('../config/database');
+
+class RecoveryCode {
+  // Replace all recovery codes of a user with a new set (hashed)
+  static async replaceForUser(userId, codeHashes) {
+    return await transaction(async (connection) => {
+      await connection.execute('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+
+      for (const codeHash of codeHashes) {
+        await connection.execute(
+          'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+          [userId, codeHash]
+        );
+      }
+
+      return codeHashes.length;
+    });
+  }
+
+  // Use up a recovery code; returns false if it does not exist or was already used
+  static async consume(userId, codeHash) {
+    const sql = `
+      UPDATE two_factor_recovery_codes
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+    `;
+    const result = await query(sql, [userId, codeHash]);
+    return result.affectedRows > 0;
+  }
+
+  // Count unused recovery codes
+  static async countRemaining(userId) {
+    const sql = 'SELECT COUNT(*) as total FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL';
+    const results = await query(sql, [userId]);
+    return results[0].total;
+  }
+
+  // Delete all recovery codes of a user
+  static async deleteForUser(userId) {
+    const sql = 'DELETE FROM two_factor_recovery_codes WHERE user_id = ?';
+    await query(sql, [userId]);
+  }
+}
+
+module.exports = RecoveryCode;
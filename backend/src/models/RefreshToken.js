@@ -0,0 +1,56 @@
+const { query } = require('../config/database');
+
+class RefreshToken {
+  // Store a newly issued refresh token (hashed)
+  static async create({ user_id, token_hash, family_id, expires_at }) {
+    const sql = `
+      INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at)
+      VALUES (?, ?, ?, ?)
+    `;
+
+    const result = await query(sql, [user_id, token_hash, family_id, expires_at]);
+    return { id: result.insertId, user_id, token_hash, family_id, expires_at };
+  }
+
+  // Find refresh token by hash
+  static async findByHash(tokenHash) {
+    const sql = 'SELECT * FROM refresh_tokens WHERE token_hash = ?';
+    const results = await query(sql, [tokenHash]);
+    return results[0] || null;
+  }
+
+  // Mark a token as rotated; returns false if it was already revoked
+  static async markRotated(id, replacedBy) {
+    const sql = `
+      UPDATE refresh_tokens
+      SET revoked_at = CURRENT_TIMESTAMP, replaced_by = ?
+      WHERE id = ? AND revoked_at IS NULL
+    `;
+    const result = await query(sql, [replacedBy, id]);
+    return result.affectedRows > 0;
+  }
+
+  // Revoke every token in a family
+  static async revokeFamily(familyId) {
+    const sql = `
+      UPDATE refresh_tokens
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE family_id = ? AND revoked_at IS NULL
+    `;
+    const result = await query(sql, [familyId]);
+    return result.affectedRows;
+  }
+
+  // Revoke every token belonging to a user
+  static async revokeAllForUser(userId) {
+    const sql = `
+      UPDATE refresh_tokens
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE user_id = ? AND revoked_at IS NULL
+    `;
+    const result = await query(sql, [userId]);
+    return result.affectedRows;
+  }
+}
+
+module.exports = RefreshToken;
@@ -0,0 +1,118 @@
+const { query, transaction } = require('../config/database');
+
+// Replace a role's permissions inside a transaction
+const replacePermissions = async (connection, roleId, permissions) => {
+  await connection.execute('DELETE FROM role_permissions WHERE role_id = ?', [roleId]);
+
+  if (permissions.length > 0) {
+    await connection.query(
+      `INSERT INTO role_permissions (role_id, permission_id)
+       SELECT ?, id FROM permissions WHERE name IN (?)`,
+      [roleId, permissions]
+    );
+  }
+};
+
+// GROUP_CONCAT gives a comma-separated list (or null for roles without permissions)
+const formatRole = (row) => ({
+  ...row,
+  permissions: row.permissions ? row.permissions.split(',') : [],
+});
+
+class Role {
+  // Get all roles with their permissions and number of users
+  static async findAll() {
+    const sql = `
+      SELECT r.*,
+        GROUP_CONCAT(p.name ORDER BY p.name) AS permissions,
+        (SELECT COUNT(*) FROM users u WHERE u.role = r.name) AS user_count
+      FROM roles r
+      LEFT JOIN role_permissions rp ON rp.role_id = r.id
+      LEFT JOIN permissions p ON p.id = rp.permission_id
+      GROUP BY r.id
+      ORDER BY r.id
+    `;
+    const results = await query(sql, []);
+    return results.map(formatRole);
+  }
+
+  // Find role by ID (with permissions)
+  static async findById(id) {
+    const sql = `
+      SELECT r.*, GROUP_CONCAT(p.name ORDER BY p.name) AS permissions
+      FROM roles r
+      LEFT JOIN role_permissions rp ON rp.role_id = r.id
+      LEFT JOIN permissions p ON p.id = rp.permission_id
+      WHERE r.id = ?
+      GROUP BY r.id
+    `;
+    const results = await query(sql, [id]);
+    return results[0] ? formatRole(results[0]) : null;
+  }
+
+  // Find role by name
+  static async findByName(name) {
+    const sql = 'SELECT * FROM roles WHERE name = ?';
+    const results = await query(sql, [name]);
+    return results[0] || null;
+  }
+
+  // Permission names granted to a role
+  static async getPermissionNames(name) {
+    const sql = `
+      SELECT p.name
+      FROM roles r
+      JOIN role_permissions rp ON rp.role_id = r.id
+      JOIN permissions p ON p.id = rp.permission_id
+      WHERE r.name = ?
+    `;
+    const results = await query(sql, [name]);
+    return results.map(row => row.name);
+  }
+
+  // Create a role with its permissions
+  static async create({ name, description, permissions = [] }) {
+    const id = await transaction(async (connection) => {
+      const [result] = await connection.execute(
+        'INSERT INTO roles (name, description) VALUES (?, ?)',
+        [name, description || null]
+      );
+
+      await replacePermissions(connection, result.insertId, permissions);
+      return result.insertId;
+    });
+
+    return await this.findById(id);
+  }
+
+  // Update description and/or permissions (names are immutable)
+  static async update(id, { description, permissions }) {
+    await transaction(async (connection) => {
+      if (description !== undefined) {
+        await connection.execute('UPDATE roles SET description = ? WHERE id = ?', [description, id]);
+      }
+
+      if (permissions !== undefined) {
+        await replacePermissions(connection, id, permissions);
+      }
+    });
+
+    return await this.findById(id);
+  }
+
+  // Delete role
+  static async delete(id) {
+    const sql = 'DELETE FROM roles WHERE id = ?';
+    const result = await query(sql, [id]);
+    return result.affectedRows > 0;
+  }
+
+  // Number of users assigned to a role
+  static async countUsers(name) {
+    const sql = 'SELECT COUNT(*) as count FROM users WHERE role = ?';
+    const results = await query(sql, [name]);
+    return results[0].count;
+  }
+}
+
+module.exports = Role;
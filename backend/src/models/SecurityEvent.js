@@ -0,0 +1,112 @@
+const { query } = require('../config/database');
+
+// Shared WHERE clause of the admin query and its count
+const buildFilters = ({ userId, email, type, outcome, from, to }) => {
+  let sql = ' WHERE 1=1';
+  const params = [];
+
+  if (userId) {
+    sql += ' AND e.user_id = ?';
+    params.push(userId);
+  }
+
+  if (email) {
+    sql += ' AND e.email = ?';
+    params.push(email);
+  }
+
+  if (type) {
+    sql += ' AND e.event_type = ?';
+    params.push(type);
+  }
+
+  if (outcome) {
+    sql += ' AND e.outcome = ?';
+    params.push(outcome);
+  }
+
+  if (from) {
+    sql += ' AND e.created_at >= ?';
+    params.push(from);
+  }
+
+  if (to) {
+    sql += ' AND e.created_at <= ?';
+    params.push(to);
+  }
+
+  return { sql, params };
+};
+
+class SecurityEvent {
+  // Record a security-relevant event
+  static async create({ user_id, email, event_type, outcome, ip_address, user_agent, details }) {
+    const sql = `
+      INSERT INTO security_events (user_id, email, event_type, outcome, ip_address, user_agent, details)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const result = await query(sql, [
+      user_id || null,
+      email ? email.substring(0, 100) : null,
+      event_type,
+      outcome,
+      ip_address || null,
+      user_agent ? user_agent.substring(0, 255) : null,
+      details ? JSON.stringify(details) : null,
+    ]);
+    return { id: result.insertId };
+  }
+
+  // A user's own events, newest first
+  static async findByUserId(userId, { limit = 20, offset = 0 } = {}) {
+    const sql = `
+      SELECT id, event_type, outcome, ip_address, user_agent, details, created_at
+      FROM security_events
+      WHERE user_id = ?
+      ORDER BY created_at DESC, id DESC
+      LIMIT ? OFFSET ?
+    `;
+    return await query(sql, [userId, limit, offset]);
+  }
+
+  // Every event of a user, for the data export
+  static async findAllByUserId(userId) {
+    const sql = `
+      SELECT id, event_type, outcome, ip_address, user_agent, details, created_at
+      FROM security_events
+      WHERE user_id = ?
+      ORDER BY created_at DESC, id DESC
+    `;
+    return await query(sql, [userId]);
+  }
+
+  // Count a user's events
+  static async countByUserId(userId) {
+    const results = await query('SELECT COUNT(*) as total FROM security_events WHERE user_id = ?', [userId]);
+    return results[0].total;
+  }
+
+  // Events of all users with optional filters, newest first (security_events:read)
+  static async findAll({ limit = 50, offset = 0, ...filters }) {
+    const { sql: where, params } = buildFilters(filters);
+    const sql = `
+      SELECT e.*, u.username
+      FROM security_events e
+      LEFT JOIN users u ON e.user_id = u.id
+      ${where}
+      ORDER BY e.created_at DESC, e.id DESC
+      LIMIT ? OFFSET ?
+    `;
+    return await query(sql, [...params, limit, offset]);
+  }
+
+  // Count events matching the filters
+  static async count(filters = {}) {
+    const { sql: where, params } = buildFilters(filters);
+    const results = await query(`SELECT COUNT(*) as total FROM security_events e${where}`, params);
+    return results[0].total;
+  }
+}
+
+module.exports = SecurityEvent;
@@ -0,0 +1,125 @@
+const { query, transaction } = require('../config/database');
+
+class Session {
+  // Create a new session for a login
+  static async create({ user_id, token_family, user_agent, ip_address }) {
+    const sql = `
+      INSERT INTO sessions (user_id, token_family, user_agent, ip_address)
+      VALUES (?, ?, ?, ?)
+    `;
+
+    const result = await query(sql, [
+      user_id,
+      token_family,
+      user_agent ? user_agent.substring(0, 255) : null,
+      ip_address || null,
+    ]);
+    return await this.findById(result.insertId);
+  }
+
+  // Find session by ID
+  static async findById(id) {
+    const sql = 'SELECT * FROM sessions WHERE id = ?';
+    const results = await query(sql, [id]);
+    return results[0] || null;
+  }
+
+  // Find session by refresh token family
+  static async findByFamily(tokenFamily) {
+    const sql = 'SELECT * FROM sessions WHERE token_family = ?';
+    const results = await query(sql, [tokenFamily]);
+    return results[0] || null;
+  }
+
+  // Get active sessions of a user
+  static async findActiveByUserId(userId) {
+    const sql = `
+      SELECT id, user_agent, ip_address, created_at, last_used_at
+      FROM sessions
+      WHERE user_id = ? AND revoked_at IS NULL
+      ORDER BY last_used_at DESC
+    `;
+    return await query(sql, [userId]);
+  }
+
+  // Every session of a user, including revoked ones (data export)
+  static async findByUserId(userId) {
+    const sql = `
+      SELECT id, user_agent, ip_address, created_at, last_used_at, revoked_at
+      FROM sessions
+      WHERE user_id = ?
+      ORDER BY created_at DESC
+    `;
+    return await query(sql, [userId]);
+  }
+
+  // Record activity (at most once a minute to avoid a write per request)
+  static async touch(id, ipAddress) {
+    const sql = `
+      UPDATE sessions
+      SET last_used_at = CURRENT_TIMESTAMP, ip_address = COALESCE(?, ip_address)
+      WHERE id = ? AND last_used_at < (CURRENT_TIMESTAMP - INTERVAL 1 MINUTE)
+    `;
+    await query(sql, [ipAddress || null, id]);
+  }
+
+  // Revoke a session and its refresh tokens
+  static async revoke(id) {
+    return await transaction(async (connection) => {
+      const [result] = await connection.execute(
+        'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+        [id]
+      );
+
+      await connection.execute(
+        `UPDATE refresh_tokens rt
+         JOIN sessions s ON s.token_family = rt.family_id
+         SET rt.revoked_at = CURRENT_TIMESTAMP
+         WHERE s.id = ? AND rt.revoked_at IS NULL`,
+        [id]
+      );
+
+      return result.affectedRows > 0;
+    });
+  }
+
+  // Revoke the session owning a refresh token family (used on token reuse)
+  static async revokeByFamily(tokenFamily) {
+    return await transaction(async (connection) => {
+      await connection.execute(
+        'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE token_family = ? AND revoked_at IS NULL',
+        [tokenFamily]
+      );
+
+      const [result] = await connection.execute(
+        'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = ? AND revoked_at IS NULL',
+        [tokenFamily]
+      );
+
+      return result.affectedRows;
+    });
+  }
+
+  // Revoke every session of a user, optionally keeping one
+  static async revokeAllForUser(userId, exceptId = null) {
+    return await transaction(async (connection) => {
+      const [result] = await connection.execute(
+        `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+         WHERE user_id = ? AND revoked_at IS NULL AND id <> ?`,
+        [userId, exceptId || 0]
+      );
+
+      await connection.execute(
+        `UPDATE refresh_tokens rt
+         JOIN sessions s ON s.token_family = rt.family_id
+         SET rt.revoked_at = CURRENT_TIMESTAMP
+         WHERE s.user_id = ? AND s.id <> ? AND rt.revoked_at IS NULL`,
+        [userId, exceptId || 0]
+      );
+
+      return result.affectedRows;
+    });
+  }
+}
+
+module.exports = Session;
@@ -0,0 +1,22 @@
+const { query } = require('../config/database');
+
+class Setting {
+  // Get a setting value (JSON decoded), or the fallback when unset
+  static async get(key, fallback = null) {
+    const sql = 'SELECT setting_value FROM settings WHERE setting_key = ?';
+    const results = await query(sql, [key]);
+    return results[0] ? JSON.parse(results[0].setting_value) : fallback;
+  }
+
+  // Create or update a setting value (JSON encoded)
+  static async set(key, value) {
+    const sql = `
+      INSERT INTO settings (setting_key, setting_value) VALUES (?, ?)
+      ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value)
+    `;
+    await query(sql, [key, JSON.stringify(value)]);
+    return value;
+  }
+}
+
+module.exports = Setting;
@@ -0,0 +1,55 @@
+const { query, transaction } = require('../config/database');
+
+class SigningKey {
+  // Keys that still verify tokens, newest first (the first one not retired signs)
+  static async findUsable() {
+    const sql = `
+      SELECT * FROM signing_keys
+      WHERE expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP
+      ORDER BY created_at DESC, id DESC
+    `;
+    return await query(sql);
+  }
+
+  // All keys including expired ones (for the key management command)
+  static async findAll() {
+    const sql = `
+      SELECT id, kid, algorithm, created_at, retired_at, expires_at
+      FROM signing_keys ORDER BY created_at DESC, id DESC
+    `;
+    return await query(sql);
+  }
+
+  // Add a new signing key and retire the current one; retired keys keep
+  // verifying until retiredKeysExpireAt
+  static async rotate({ kid, algorithm, public_key, private_key }, retiredKeysExpireAt) {
+    await transaction(async (connection) => {
+      await connection.execute(
+        `UPDATE signing_keys
+         SET retired_at = CURRENT_TIMESTAMP, expires_at = ?
+         WHERE retired_at IS NULL`,
+        [retiredKeysExpireAt]
+      );
+
+      await connection.execute(
+        'INSERT INTO signing_keys (kid, algorithm, public_key, private_key) VALUES (?, ?, ?, ?)',
+        [kid, algorithm, public_key, private_key]
+      );
+    });
+
+    return { kid, algorithm };
+  }
+
+  // Stop a key from signing and verifying immediately (e.g. after a leak)
+  static async revoke(kid) {
+    const sql = `
+      UPDATE signing_keys
+      SET retired_at = COALESCE(retired_at, CURRENT_TIMESTAMP), expires_at = CURRENT_TIMESTAMP
+      WHERE kid = ?
+    `;
+    const result = await query(sql, [kid]);
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = SigningKey;
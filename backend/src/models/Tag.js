@@ -0,0 +1,90 @@
+const { query, transaction, pool } = require('../config/database');
+
+class Tag {
+  // Create a tag
+  static async create({ user_id, name, color }) {
+    const sql = 'INSERT INTO tags (user_id, name, color) VALUES (?, ?, ?)';
+    const result = await query(sql, [user_id, name, color || '#6b7280']);
+    return await this.findById(result.insertId);
+  }
+
+  // Find tag by ID
+  static async findById(id) {
+    const results = await query('SELECT * FROM tags WHERE id = ?', [id]);
+    return results[0] || null;
+  }
+
+  // Find a user's tag by name (names are compared case-insensitively)
+  static async findByName(userId, name) {
+    const results = await query('SELECT * FROM tags WHERE user_id = ? AND name = ?', [userId, name]);
+    return results[0] || null;
+  }
+
+  // A user's tags with the number of tasks using each
+  static async findByUserId(userId) {
+    const sql = `
+      SELECT g.*, COUNT(tt.task_id) as task_count
+      FROM tags g
+      LEFT JOIN task_tags tt ON tt.tag_id = g.id
+      WHERE g.user_id = ?
+      GROUP BY g.id
+      ORDER BY g.name ASC
+    `;
+    return await query(sql, [userId]);
+  }
+
+  // Tags of the given tasks, as rows with a task_id
+  static async findByTaskIds(taskIds) {
+    if (taskIds.length === 0) {
+      return [];
+    }
+
+    const [rows] = await pool.query(
+      `SELECT tt.task_id, g.id, g.name, g.color
+       FROM task_tags tt
+       JOIN tags g ON tt.tag_id = g.id
+       WHERE tt.task_id IN (?)
+       ORDER BY g.name ASC`,
+      [taskIds]
+    );
+    return rows;
+  }
+
+  // Replace the tags of a task with the given names, creating the owner's missing tags
+  static async setTaskTags(taskId, userId, names) {
+    const unique = [...new Set(names)];
+
+    await transaction(async (connection) => {
+      await connection.execute('DELETE FROM task_tags WHERE task_id = ?', [taskId]);
+
+      if (unique.length > 0) {
+        await connection.query('INSERT IGNORE INTO tags (user_id, name) VALUES ?', [unique.map(name => [userId, name])]);
+        await connection.query(
+          `INSERT IGNORE INTO task_tags (task_id, tag_id)
+           SELECT ?, id FROM tags WHERE user_id = ? AND name IN (?)`,
+          [taskId, userId, unique]
+        );
+      }
+    });
+  }
+
+  // Update tag
+  static async update(id, { name, color }) {
+    const fields = Object.entries({ name, color }).filter(([, value]) => value !== undefined);
+
+    if (fields.length > 0) {
+      const setClause = fields.map(([field]) => `${field} = ?`).join(', ');
+      await query(`UPDATE tags SET ${setClause} WHERE id = ?`, [...fields.map(([, value]) => value), id]);
+    }
+
+    return await this.findById(id);
+  }
+
+  // Delete tag (it is removed from every task)
+  static async delete(id) {
+    const result = await query('DELETE FROM tags WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = Tag;
@@ -1,71 +1,325 @@
-const { query } = require('../config/database');
+const { query, transaction, pool } = require('../config/database');
+const TaskAttachment = require('./TaskAttachment');
+const TaskChecklistItem = require('./TaskChecklistItem');
+const TaskDependency = require('./TaskDependency');
+const Tag = require('./Tag');
+
+// Upper bound for walks up and down the subtask tree; nesting itself is limited by the controller
+const MAX_TREE_WALK = 50;
+
+// Largest dependency graph returned for one task
+const MAX_GRAPH_TASKS = 200;
+
+// Statuses a task cannot move to while it is blocked, unless the change is forced
+const BLOCKED_STATUSES = ['in_progress', 'completed'];
+
+// Restrict a task query to tasks with any (or, with tagMode 'all', every one) of the named tags
+const buildTagFilter = (column, tags, tagMode) => {
+  if (!tags || tags.length === 0) {
+    return { sql: '', params: [] };
+  }
+
+  const placeholders = tags.map(() => '?').join(', ');
+  const matchAll = tagMode === 'all';
+
+  return {
+    sql: ` AND ${column} IN (
+      SELECT tt.task_id FROM task_tags tt JOIN tags g ON tt.tag_id = g.id
+      WHERE g.name IN (${placeholders})${matchAll ? ' GROUP BY tt.task_id HAVING COUNT(DISTINCT g.name) = ?' : ''}
+    )`,
+    params: matchAll ? [...tags, tags.length] : tags,
+  };
+};
+
+// Restrict a task query to the tasks a user can see: their personal tasks, the tasks
+// assigned to them and the tasks of the projects they are a member of
+const buildVisibilityFilter = (alias, userId) => ({
+  sql: ` AND ((${alias}project_id IS NULL AND ${alias}user_id = ?)
+    OR ${alias}assignee_id = ?
+    OR ${alias}project_id IN (SELECT project_id FROM project_members WHERE user_id = ?))`,
+  params: [userId, userId, userId],
+});
+
+// The list filters shared by findAll, count and getStats
+const buildTaskFilters = (alias, { projectId, parentId, status, priority, assigneeId, createdBy, tags, tagMode }) => {
+  const conditions = [
+    ['parent_id', parentId === 'none' ? null : parentId],
+    ['project_id', projectId],
+    ['status', status],
+    ['priority', priority],
+    ['assignee_id', assigneeId],
+    ['created_by', createdBy],
+  ].filter(([, value]) => value);
+
+  const tagFilter = buildTagFilter(`${alias}id`, tags, tagMode);
+
+  // parentId 'none' keeps top-level tasks only
+  const topLevel = parentId === 'none' ? ` AND ${alias}parent_id IS NULL` : '';
+
+  return {
+    sql: conditions.map(([column]) => ` AND ${alias}${column} = ?`).join('') + topLevel + tagFilter.sql,
+    params: [...conditions.map(([, value]) => value), ...tagFilter.params],
+  };
+};
+
+const TASK_COLUMNS = `
+  t.*, u.username, u.email, u.status AS user_status, p.name AS project_name,
+  a.username AS assignee_username, c.username AS creator_username
+`;
+
+const TASK_JOINS = `
+  LEFT JOIN users u ON t.user_id = u.id 
+  LEFT JOIN projects p ON t.project_id = p.id
+  LEFT JOIN users a ON t.assignee_id = a.id
+  LEFT JOIN users c ON t.created_by = c.id
+`;
+
+// Attach each task's tags as { id, name, color }
+const withTags = async (tasks) => {
+  const tags = await Tag.findByTaskIds(tasks.map(task => task.id));
+
+  return tasks.map(task => ({
+    ...task,
+    tags: tags
+      .filter(tag => tag.task_id === task.id)
+      .map(tag => ({ id: tag.id, name: tag.name, color: tag.color })),
+  }));
+};
+
+// Attach each task's completion progress: its direct subtasks (cancelled ones are not
+// counted) and checklist items, as { completed, total, subtasks, checklist }
+const withProgress = async (tasks) => {
+  const taskIds = tasks.map(task => task.id);
+  const checklistCounts = await TaskChecklistItem.countByTaskIds(taskIds);
+  let subtaskCounts = [];
+
+  if (taskIds.length > 0) {
+    [subtaskCounts] = await pool.query(
+      `SELECT parent_id AS task_id, COUNT(*) as total, SUM(status = 'completed') as completed
+       FROM tasks
+       WHERE parent_id IN (?) AND status <> 'cancelled'
+       GROUP BY parent_id`,
+      [taskIds]
+    );
+  }
+
+  const countsOf = (rows, taskId) => {
+    const row = rows.find(count => count.task_id === taskId);
+    return { completed: row ? Number(row.completed) : 0, total: row ? Number(row.total) : 0 };
+  };
+
+  return tasks.map(task => {
+    const subtasks = countsOf(subtaskCounts, task.id);
+    const checklist = countsOf(checklistCounts, task.id);
+
+    return {
+      ...task,
+      progress: {
+        completed: subtasks.completed + checklist.completed,
+        total: subtasks.total + checklist.total,
+        subtasks,
+        checklist,
+      },
+    };
+  });
+};
+
+// Attach whether each task is blocked: it depends on a task that is neither completed nor cancelled
+const withBlocked = async (tasks) => {
+  const blockedIds = await TaskDependency.findBlockedTaskIds(tasks.map(task => task.id));
+  return tasks.map(task => ({ ...task, blocked: blockedIds.includes(task.id) }));
+};
+
+const withListDetails = async (tasks) => withBlocked(await withProgress(await withTags(tasks)));
 
 class Task {
-  // Create a new task
-  static async create({ title, description, status = 'pending', priority = 'medium', due_date, user_id }) {
+  // Create a new task (`created_by` defaults to the owner; subtasks go last under their parent)
+  static async create({
+    title, description, status = 'pending', priority = 'medium', due_date, user_id, created_by,
+    project_id, assignee_id, parent_id, auto_complete = false, tags,
+  }) {
     const sql = `
-      INSERT INTO tasks (title, description, status, priority, due_date, user_id) 
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO tasks (
+        title, description, status, priority, due_date, user_id, created_by, project_id, assignee_id,
+        parent_id, position, auto_complete
+      ) 
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
-    const result = await query(sql, [title, description, status, priority, due_date, user_id]);
+    const result = await query(sql, [
+      title, description, status, priority, due_date, user_id, created_by || user_id, project_id || null,
+      assignee_id || null, parent_id || null, parent_id ? await this.nextPosition(parent_id) : 0, auto_complete,
+    ]);
+
+    if (tags && tags.length > 0) {
+      await Tag.setTaskTags(result.insertId, user_id, tags);
+    }
+
     return await this.findById(result.insertId);
   }
 
-  // Find task by ID
+  // Find task by ID, with its tags, progress, subtask tree, checklist, dependencies in both
+  // directions and the metadata of its attachments
   static async findById(id) {
     const sql = `
-      SELECT t.*, u.username, u.email 
+      SELECT ${TASK_COLUMNS}
       FROM tasks t 
-      LEFT JOIN users u ON t.user_id = u.id 
+      ${TASK_JOINS}
       WHERE t.id = ?
     `;
     const results = await query(sql, [id]);
-    return results[0] || null;
+
+    if (!results[0]) {
+      return null;
+    }
+
+    const [task] = await withListDetails(results);
+
+    return {
+      ...task,
+      subtasks: await this.findSubtaskTree(task.id),
+      checklist: await TaskChecklistItem.findByTaskId(task.id),
+      blocked_by: await TaskDependency.findBlockers(task.id),
+      blocking: await TaskDependency.findDependents(task.id),
+      attachments: await TaskAttachment.findByTaskId(id),
+    };
   }
 
-  // Find tasks by user ID
-  static async findByUserId(userId, { limit = 10, offset = 0, status, priority }) {
-    let sql = `
-      SELECT * FROM tasks 
-      WHERE user_id = ?
-    `;
-    const params = [userId];
+  // Subtasks of a task in order, each with its progress and its own `subtasks`
+  static async findSubtaskTree(id) {
+    const nodes = new Map([[id, { subtasks: [] }]]);
+    let parentIds = [id];
+
+    for (let level = 0; parentIds.length > 0 && level < MAX_TREE_WALK; level++) {
+      const [rows] = await pool.query(
+        `SELECT ${TASK_COLUMNS}
+         FROM tasks t
+         ${TASK_JOINS}
+         WHERE t.parent_id IN (?)
+         ORDER BY t.position ASC, t.id ASC`,
+        [parentIds]
+      );
 
-    if (status) {
-      sql += ' AND status = ?';
-      params.push(status);
+      for (const subtask of await withBlocked(await withProgress(rows))) {
+        const node = { ...subtask, subtasks: [] };
+        nodes.get(subtask.parent_id).subtasks.push(node);
+        nodes.set(subtask.id, node);
+      }
+
+      parentIds = rows.map(row => row.id);
     }
 
-    if (priority) {
-      sql += ' AND priority = ?';
-      params.push(priority);
+    return nodes.get(id).subtasks;
+  }
+
+  // IDs of the ancestors of a task, from its parent up to the top-level task
+  static async findAncestorIds(id) {
+    const ancestorIds = [];
+    let [row] = await query('SELECT parent_id FROM tasks WHERE id = ?', [id]);
+
+    while (row && row.parent_id && ancestorIds.length < MAX_TREE_WALK) {
+      ancestorIds.push(row.parent_id);
+      [row] = await query('SELECT parent_id FROM tasks WHERE id = ?', [row.parent_id]);
     }
 
-    sql += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
-    params.push(limit, offset);
+    return ancestorIds;
+  }
+
+  // IDs of every subtask below a task, and how many levels deep they go
+  static async findDescendants(id) {
+    const ids = [];
+    let height = 0;
+    let parentIds = [id];
+
+    while (parentIds.length > 0 && height < MAX_TREE_WALK) {
+      const [rows] = await pool.query('SELECT id FROM tasks WHERE parent_id IN (?)', [parentIds]);
+      parentIds = rows.map(row => row.id);
+
+      if (parentIds.length > 0) {
+        ids.push(...parentIds);
+        height++;
+      }
+    }
+
+    return { ids, height };
+  }
+
+  // Whether a task or any subtask below it belongs to someone other than `ownerId`
+  static async hasOtherOwners(id, ownerId) {
+    const { ids } = await this.findDescendants(id);
+    const [rows] = await pool.query('SELECT 1 FROM tasks WHERE id IN (?) AND user_id <> ? LIMIT 1', [[id, ...ids], ownerId]);
+    return rows.length > 0;
+  }
+
+  // Position after the last subtask of a parent
+  static async nextPosition(parentId) {
+    const results = await query('SELECT COALESCE(MAX(position), -1) + 1 AS position FROM tasks WHERE parent_id = ?', [parentId]);
+    return results[0].position;
+  }
+
+  // Store a new order for the subtasks of a parent, given all of their IDs
+  static async reorderSubtasks(parentId, taskIds) {
+    await transaction(async (connection) => {
+      for (const [position, taskId] of taskIds.entries()) {
+        await connection.execute('UPDATE tasks SET position = ? WHERE id = ? AND parent_id = ?', [position, taskId, parentId]);
+      }
+    });
 
-    return await query(sql, params);
+    return await this.findSubtaskTree(parentId);
   }
 
-  // Get all tasks (admin only)
-  static async findAll({ limit = 10, offset = 0, status, priority, user_id }) {
+  // Complete a task that has auto_complete set once all of its subtasks and checklist items
+  // are done, then its parent in turn, and so on up the tree. Blocked tasks are left as they are.
+  static async autoComplete(id) {
+    let taskId = id;
+
+    for (let level = 0; taskId && level < MAX_TREE_WALK; level++) {
+      const [task] = await query('SELECT id, parent_id, status, auto_complete FROM tasks WHERE id = ?', [taskId]);
+
+      if (!task || !task.auto_complete || task.status === 'completed') {
+        return;
+      }
+
+      const [{ progress }] = await withProgress([task]);
+
+      if (progress.total === 0 || progress.completed < progress.total) {
+        return;
+      }
+
+      if ((await TaskDependency.findBlockedTaskIds([task.id])).length > 0) {
+        return;
+      }
+
+      await query("UPDATE tasks SET status = 'completed' WHERE id = ?", [task.id]);
+      taskId = task.parent_id;
+    }
+  }
+
+  // Tasks visible to a user (personal, assigned and project tasks), with the findAll filters
+  static async findByUserId(userId, filters = {}) {
+    return await this.findAll({ ...filters, visibleTo: userId });
+  }
+
+  // Every task of a user, oldest first (data export)
+  static async findAllByUserId(userId) {
+    const sql = 'SELECT * FROM tasks WHERE user_id = ? ORDER BY created_at ASC';
+    return await query(sql, [userId]);
+  }
+
+  // Get all tasks (tasks:read:any), or with `visibleTo` only those that user can see
+  static async findAll({ limit = 10, offset = 0, user_id, visibleTo, ...filters }) {
     let sql = `
-      SELECT t.*, u.username, u.email 
+      SELECT ${TASK_COLUMNS}
       FROM tasks t 
-      LEFT JOIN users u ON t.user_id = u.id 
+      ${TASK_JOINS}
       WHERE 1=1
     `;
     const params = [];
 
-    if (status) {
-      sql += ' AND t.status = ?';
-      params.push(status);
-    }
-
-    if (priority) {
-      sql += ' AND t.priority = ?';
-      params.push(priority);
+    if (visibleTo) {
+      const visibility = buildVisibilityFilter('t.', visibleTo);
+      sql += visibility.sql;
+      params.push(...visibility.params);
     }
 
     if (user_id) {
@@ -73,91 +327,155 @@ class Task {
       params.push(user_id);
     }
 
+    const taskFilters = buildTaskFilters('t.', filters);
+    sql += taskFilters.sql;
+    params.push(...taskFilters.params);
+
     sql += ' ORDER BY t.created_at DESC LIMIT ? OFFSET ?';
     params.push(limit, offset);
 
-    return await query(sql, params);
+    return await withListDetails(await query(sql, params));
   }
 
-  // Update task
-  static async update(id, userId, updates, isAdmin = false) {
-    // Verify ownership unless admin
-    if (!isAdmin) {
-      const task = await this.findById(id);
-      if (!task || task.user_id !== userId) {
-        throw new Error('Task not found or unauthorized');
-      }
+  // The tasks connected to a task through dependencies, for drawing them as a graph:
+  // { nodes, edges, truncated }, each edge going from the blocking to the blocked task
+  static async findDependencyGraph(id) {
+    const { taskIds, edges, truncated } = await TaskDependency.findConnected(id, MAX_GRAPH_TASKS);
+
+    const [rows] = await pool.query(
+      `SELECT id, title, status, priority, user_id, project_id, assignee_id
+       FROM tasks
+       WHERE id IN (?)
+       ORDER BY id ASC`,
+      [taskIds]
+    );
+
+    return { nodes: await withBlocked(rows), edges, truncated };
+  }
+
+  // Update task (`tags` replaces the task's tags). Access is checked by the caller. A blocked
+  // task cannot be started or completed unless `force` is set.
+  static async update(id, updates, { force = false } = {}) {
+    const task = await this.findById(id);
+
+    if (!task) {
+      throw new Error('Task not found');
+    }
+
+    if (task.blocked && !force && BLOCKED_STATUSES.includes(updates.status) && updates.status !== task.status) {
+      const error = new Error('Task is blocked by unfinished tasks; set force to change its status anyway');
+      error.statusCode = 400;
+      throw error;
     }
 
-    const allowedFields = ['title', 'description', 'status', 'priority', 'due_date'];
-    const fields = Object.keys(updates).filter(key => allowedFields.includes(key));
+    const allowedFields = [
+      'title', 'description', 'status', 'priority', 'due_date', 'project_id', 'assignee_id', 'parent_id', 'auto_complete',
+    ];
+    const fields = Object.keys(updates).filter(key => allowedFields.includes(key) && updates[key] !== undefined);
     
-    if (fields.length === 0) {
+    if (fields.length === 0 && updates.tags === undefined) {
       throw new Error('No valid fields to update');
     }
 
-    const setClause = fields.map(field => `${field} = ?`).join(', ');
-    const values = fields.map(field => updates[field]);
-    
-    const sql = `UPDATE tasks SET ${setClause} WHERE id = ?`;
-    await query(sql, [...values, id]);
+    if (fields.length > 0) {
+      const setClause = fields.map(field => `${field} = ?`).join(', ');
+      const values = fields.map(field => updates[field]);
+
+      const sql = `UPDATE tasks SET ${setClause} WHERE id = ?`;
+      await query(sql, [...values, id]);
+    }
+
+    // A task moved under a new parent goes last among its subtasks
+    if (updates.parent_id && updates.parent_id !== task.parent_id) {
+      await query('UPDATE tasks SET position = ? WHERE id = ?', [await this.nextPosition(updates.parent_id), id]);
+    }
+
+    // Subtasks always live in the same project as their parent. Their assignees stay only if they
+    // can still be assigned there: members of the new project, or the owner of a personal task.
+    if (updates.project_id !== undefined && updates.project_id !== task.project_id) {
+      const { ids } = await this.findDescendants(id);
+
+      if (ids.length > 0) {
+        await pool.query('UPDATE tasks SET project_id = ? WHERE id IN (?)', [updates.project_id, ids]);
+        await pool.query(
+          `UPDATE tasks t SET t.assignee_id = NULL
+           WHERE t.id IN (?) AND t.assignee_id <> t.user_id
+             AND NOT EXISTS (SELECT 1 FROM project_members pm WHERE pm.project_id = ? AND pm.user_id = t.assignee_id)`,
+          [ids, updates.project_id]
+        );
+      }
+    }
+
+    // Tags always belong to the task's owner, also when someone else edits the task
+    if (updates.tags !== undefined) {
+      await Tag.setTaskTags(id, task.user_id, updates.tags);
+    }
+
+    if (updates.status === 'completed') {
+      // Its parent may now be done, and tasks it blocked may have been waiting only for it
+      for (const taskId of [task.parent_id, ...task.blocking.map(dependent => dependent.id)]) {
+        await this.autoComplete(taskId);
+      }
+    }
     
     return await this.findById(id);
   }
 
-  // Delete task
-  static async delete(id, userId, isAdmin = false) {
-    // Verify ownership unless admin
-    if (!isAdmin) {
-      const task = await this.findById(id);
-      if (!task || task.user_id !== userId) {
-        throw new Error('Task not found or unauthorized');
-      }
-    }
+  // Unassign a user from the tasks of a project they are leaving
+  static async unassignInProject(projectId, userId) {
+    await query('UPDATE tasks SET assignee_id = NULL WHERE project_id = ? AND assignee_id = ?', [projectId, userId]);
+  }
 
+  // Delete task. Access is checked by the caller.
+  static async delete(id) {
     const sql = 'DELETE FROM tasks WHERE id = ?';
     const result = await query(sql, [id]);
     return result.affectedRows > 0;
   }
 
-  // Count tasks
+  // Count tasks, all of them or those visible to `userId`
   static async count(userId, filters = {}) {
     let sql = 'SELECT COUNT(*) as total FROM tasks WHERE 1=1';
     const params = [];
 
     if (userId) {
-      sql += ' AND user_id = ?';
-      params.push(userId);
+      const visibility = buildVisibilityFilter('', userId);
+      sql += visibility.sql;
+      params.push(...visibility.params);
     }
 
-    if (filters.status) {
-      sql += ' AND status = ?';
-      params.push(filters.status);
-    }
-
-    if (filters.priority) {
-      sql += ' AND priority = ?';
-      params.push(filters.priority);
-    }
+    const taskFilters = buildTaskFilters('', filters);
+    sql += taskFilters.sql;
+    params.push(...taskFilters.params);
 
     const results = await query(sql, params);
     return results[0].total;
   }
 
-  // Get task statistics
-  static async getStats(userId) {
-    const sql = `
-      SELECT 
+  // Statistics of the tasks visible to a user, optionally within one project or for one
+  // assignee. With `groupByAssignee`, one row per assignee (assignee_id null for unassigned).
+  static async getStats(userId, { projectId, assigneeId, groupByAssignee = false } = {}) {
+    const visibility = buildVisibilityFilter('t.', userId);
+    const taskFilters = buildTaskFilters('t.', { projectId, assigneeId });
+
+    let sql = `
+      SELECT ${groupByAssignee ? 't.assignee_id, a.username AS assignee_username,' : ''}
         COUNT(*) as total,
-        SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) as completed,
-        SUM(CASE WHEN status = 'in_progress' THEN 1 ELSE 0 END) as in_progress,
-        SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending,
-        SUM(CASE WHEN status = 'cancelled' THEN 1 ELSE 0 END) as cancelled
-      FROM tasks 
-      WHERE user_id = ?
+        SUM(CASE WHEN t.status = 'completed' THEN 1 ELSE 0 END) as completed,
+        SUM(CASE WHEN t.status = 'in_progress' THEN 1 ELSE 0 END) as in_progress,
+        SUM(CASE WHEN t.status = 'pending' THEN 1 ELSE 0 END) as pending,
+        SUM(CASE WHEN t.status = 'cancelled' THEN 1 ELSE 0 END) as cancelled
+      FROM tasks t
+      LEFT JOIN users a ON t.assignee_id = a.id
+      WHERE 1=1${visibility.sql}${taskFilters.sql}
     `;
-    const results = await query(sql, [userId]);
-    return results[0];
+
+    if (groupByAssignee) {
+      sql += ' GROUP BY t.assignee_id, a.username ORDER BY total DESC';
+    }
+
+    const results = await query(sql, [...visibility.params, ...taskFilters.params]);
+    return groupByAssignee ? results : results[0];
   }
 }
 
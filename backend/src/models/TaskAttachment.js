@@ -0,0 +1,114 @@
+const { query, transaction, pool } = require('../config/database');
+
+// Metadata returned to clients; storage_key stays internal
+const PUBLIC_COLUMNS = 'a.id, a.task_id, a.user_id, a.original_name, a.content_type, a.size_bytes, a.created_at';
+
+class TaskAttachment {
+  // Record an uploaded file unless it takes its uploader past `quota` bytes. The uploader's
+  // row is locked while counting, so concurrent uploads are checked one after another.
+  // Resolves to { attachment }, or to { used } when the quota would be exceeded.
+  static async createWithinQuota({ task_id, user_id, storage_key, original_name, content_type, size_bytes }, quota) {
+    const { insertId, used } = await transaction(async (connection) => {
+      await connection.execute('SELECT id FROM users WHERE id = ? FOR UPDATE', [user_id]);
+
+      const [[{ total }]] = await connection.execute(
+        'SELECT COALESCE(SUM(size_bytes), 0) as total FROM task_attachments WHERE user_id = ?',
+        [user_id]
+      );
+
+      if (Number(total) + size_bytes > quota) {
+        return { used: Number(total) };
+      }
+
+      const [result] = await connection.execute(
+        `INSERT INTO task_attachments (task_id, user_id, storage_key, original_name, content_type, size_bytes)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [task_id, user_id, storage_key, original_name, content_type, size_bytes]
+      );
+      return { insertId: result.insertId };
+    });
+
+    if (!insertId) {
+      return { used };
+    }
+
+    return { attachment: await this.findById(insertId) };
+  }
+
+  // Find attachment by ID, including its storage key
+  static async findById(id) {
+    const sql = `
+      SELECT ${PUBLIC_COLUMNS}, a.storage_key, u.username
+      FROM task_attachments a
+      LEFT JOIN users u ON a.user_id = u.id
+      WHERE a.id = ?
+    `;
+    const results = await query(sql, [id]);
+    return results[0] || null;
+  }
+
+  // Attachments of a task, oldest first
+  static async findByTaskId(taskId) {
+    const sql = `
+      SELECT ${PUBLIC_COLUMNS}, u.username
+      FROM task_attachments a
+      LEFT JOIN users u ON a.user_id = u.id
+      WHERE a.task_id = ?
+      ORDER BY a.created_at ASC, a.id ASC
+    `;
+    return await query(sql, [taskId]);
+  }
+
+  // Files uploaded by a user (data export)
+  static async findByUserId(userId) {
+    const sql = `SELECT ${PUBLIC_COLUMNS} FROM task_attachments a WHERE a.user_id = ? ORDER BY a.created_at ASC`;
+    return await query(sql, [userId]);
+  }
+
+  // Storage keys removed from the database when tasks are deleted (a task and its subtasks)
+  static async findStorageKeysByTaskIds(taskIds) {
+    const [rows] = await pool.query('SELECT storage_key FROM task_attachments WHERE task_id IN (?)', [taskIds]);
+    return rows.map(row => row.storage_key);
+  }
+
+  // Storage keys of every attachment in a project, removed with it
+  static async findStorageKeysByProjectId(projectId) {
+    const sql = `
+      SELECT a.storage_key
+      FROM task_attachments a
+      JOIN tasks t ON a.task_id = t.id
+      WHERE t.project_id = ?
+    `;
+    const results = await query(sql, [projectId]);
+    return results.map(row => row.storage_key);
+  }
+
+  // Storage keys removed from the database when a user is deleted: their uploads and their tasks' files
+  static async findStorageKeysForUser(userId) {
+    const sql = `
+      SELECT a.storage_key
+      FROM task_attachments a
+      JOIN tasks t ON a.task_id = t.id
+      WHERE a.user_id = ? OR t.user_id = ?
+    `;
+    const results = await query(sql, [userId, userId]);
+    return results.map(row => row.storage_key);
+  }
+
+  // Bytes a user has uploaded, for the storage quota
+  static async sumSizeByUserId(userId) {
+    const results = await query(
+      'SELECT COALESCE(SUM(size_bytes), 0) as total FROM task_attachments WHERE user_id = ?',
+      [userId]
+    );
+    return Number(results[0].total);
+  }
+
+  // Delete attachment
+  static async delete(id) {
+    const result = await query('DELETE FROM task_attachments WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = TaskAttachment;
@@ -0,0 +1,99 @@
+const { query, transaction, pool } = require('../config/database');
+
+const ITEM_COLUMNS = `
+  i.id, i.task_id, i.body, i.position, i.completed_at, i.completed_by, i.created_at,
+  u.username AS completed_by_username
+`;
+
+class TaskChecklistItem {
+  // Add an item at the end of a task's checklist
+  static async create({ task_id, body }) {
+    const sql = `
+      INSERT INTO task_checklist_items (task_id, body, position)
+      SELECT ?, ?, COALESCE(MAX(position), -1) + 1 FROM task_checklist_items WHERE task_id = ?
+    `;
+
+    const result = await query(sql, [task_id, body, task_id]);
+    return await this.findById(result.insertId);
+  }
+
+  // Find checklist item by ID
+  static async findById(id) {
+    const sql = `
+      SELECT ${ITEM_COLUMNS}
+      FROM task_checklist_items i
+      LEFT JOIN users u ON i.completed_by = u.id
+      WHERE i.id = ?
+    `;
+    const results = await query(sql, [id]);
+    return results[0] || null;
+  }
+
+  // A task's checklist in order
+  static async findByTaskId(taskId) {
+    const sql = `
+      SELECT ${ITEM_COLUMNS}
+      FROM task_checklist_items i
+      LEFT JOIN users u ON i.completed_by = u.id
+      WHERE i.task_id = ?
+      ORDER BY i.position ASC, i.id ASC
+    `;
+    return await query(sql, [taskId]);
+  }
+
+  // Completed and total item counts of the given tasks, as rows with a task_id
+  static async countByTaskIds(taskIds) {
+    if (taskIds.length === 0) {
+      return [];
+    }
+
+    const [rows] = await pool.query(
+      `SELECT task_id, COUNT(*) as total, COUNT(completed_at) as completed
+       FROM task_checklist_items
+       WHERE task_id IN (?)
+       GROUP BY task_id`,
+      [taskIds]
+    );
+    return rows;
+  }
+
+  // Change the text of an item and/or tick it off (`completed` by `userId`) or untick it
+  static async update(id, { body, completed, userId }) {
+    if (body !== undefined) {
+      await query('UPDATE task_checklist_items SET body = ? WHERE id = ?', [body, id]);
+    }
+
+    if (completed === true) {
+      await query(
+        'UPDATE task_checklist_items SET completed_at = NOW(), completed_by = ? WHERE id = ? AND completed_at IS NULL',
+        [userId, id]
+      );
+    } else if (completed === false) {
+      await query('UPDATE task_checklist_items SET completed_at = NULL, completed_by = NULL WHERE id = ?', [id]);
+    }
+
+    return await this.findById(id);
+  }
+
+  // Store a new order for a task's items, given all of their IDs
+  static async reorder(taskId, itemIds) {
+    await transaction(async (connection) => {
+      for (const [position, itemId] of itemIds.entries()) {
+        await connection.execute(
+          'UPDATE task_checklist_items SET position = ? WHERE id = ? AND task_id = ?',
+          [position, itemId, taskId]
+        );
+      }
+    });
+
+    return await this.findByTaskId(taskId);
+  }
+
+  // Delete checklist item
+  static async delete(id) {
+    const result = await query('DELETE FROM task_checklist_items WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = TaskChecklistItem;
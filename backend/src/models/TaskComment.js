@@ -0,0 +1,94 @@
+const { query, pool } = require('../config/database');
+
+const COMMENT_COLUMNS = `
+  c.id, c.task_id, c.user_id, c.parent_id, c.body, c.edited_at, c.created_at,
+  u.username
+`;
+
+class TaskComment {
+  // Create a comment or a reply
+  static async create({ task_id, user_id, parent_id, body }) {
+    const sql = `
+      INSERT INTO task_comments (task_id, user_id, parent_id, body)
+      VALUES (?, ?, ?, ?)
+    `;
+
+    const result = await query(sql, [task_id, user_id, parent_id || null, body]);
+    return await this.findById(result.insertId);
+  }
+
+  // Find comment by ID
+  static async findById(id) {
+    const sql = `
+      SELECT ${COMMENT_COLUMNS}
+      FROM task_comments c
+      LEFT JOIN users u ON c.user_id = u.id
+      WHERE c.id = ?
+    `;
+    const results = await query(sql, [id]);
+    return results[0] || null;
+  }
+
+  // Top-level comments of a task, oldest first
+  static async findThreadsByTaskId(taskId, { limit = 20, offset = 0 } = {}) {
+    const sql = `
+      SELECT ${COMMENT_COLUMNS}
+      FROM task_comments c
+      LEFT JOIN users u ON c.user_id = u.id
+      WHERE c.task_id = ? AND c.parent_id IS NULL
+      ORDER BY c.created_at ASC, c.id ASC
+      LIMIT ? OFFSET ?
+    `;
+    return await query(sql, [taskId, limit, offset]);
+  }
+
+  // Replies to the given top-level comments, oldest first
+  static async findRepliesByParentIds(parentIds) {
+    if (parentIds.length === 0) {
+      return [];
+    }
+
+    // pool.query expands the array for IN (?), which execute does not
+    const [rows] = await pool.query(
+      `SELECT ${COMMENT_COLUMNS}
+       FROM task_comments c
+       LEFT JOIN users u ON c.user_id = u.id
+       WHERE c.parent_id IN (?)
+       ORDER BY c.created_at ASC, c.id ASC`,
+      [parentIds]
+    );
+    return rows;
+  }
+
+  // Count top-level comments of a task
+  static async countThreadsByTaskId(taskId) {
+    const sql = 'SELECT COUNT(*) as total FROM task_comments WHERE task_id = ? AND parent_id IS NULL';
+    const results = await query(sql, [taskId]);
+    return results[0].total;
+  }
+
+  // Every comment written by a user (data export)
+  static async findAllByUserId(userId) {
+    const sql = `
+      SELECT id, task_id, parent_id, body, edited_at, created_at
+      FROM task_comments
+      WHERE user_id = ?
+      ORDER BY created_at ASC
+    `;
+    return await query(sql, [userId]);
+  }
+
+  // Change the text of a comment and mark it as edited
+  static async update(id, body) {
+    await query('UPDATE task_comments SET body = ?, edited_at = NOW() WHERE id = ?', [body, id]);
+    return await this.findById(id);
+  }
+
+  // Delete a comment (its replies go with it)
+  static async delete(id) {
+    const result = await query('DELETE FROM task_comments WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = TaskComment;
@@ -0,0 +1,137 @@
+const { query, pool } = require('../config/database');
+
+// Columns of the tasks on either side of a dependency
+const LINKED_TASK_COLUMNS = 't.id, t.title, t.status, t.priority, t.user_id, t.project_id, t.assignee_id';
+
+// A blocking task stops blocking once it is completed or cancelled
+const OPEN_STATUS_SQL = "NOT IN ('completed', 'cancelled')";
+
+class TaskDependency {
+  // Record that a task is blocked by (depends on) another task
+  static async create({ task_id, depends_on_id, created_by }) {
+    const sql = 'INSERT INTO task_dependencies (task_id, depends_on_id, created_by) VALUES (?, ?, ?)';
+    await query(sql, [task_id, depends_on_id, created_by]);
+  }
+
+  // Whether a task already depends on another directly
+  static async exists(taskId, dependsOnId) {
+    const results = await query(
+      'SELECT 1 FROM task_dependencies WHERE task_id = ? AND depends_on_id = ?',
+      [taskId, dependsOnId]
+    );
+    return results.length > 0;
+  }
+
+  // Tasks a task is blocked by
+  static async findBlockers(taskId) {
+    const sql = `
+      SELECT ${LINKED_TASK_COLUMNS}
+      FROM task_dependencies d
+      JOIN tasks t ON d.depends_on_id = t.id
+      WHERE d.task_id = ?
+      ORDER BY d.created_at ASC, t.id ASC
+    `;
+    return await query(sql, [taskId]);
+  }
+
+  // Tasks blocked by a task
+  static async findDependents(taskId) {
+    const sql = `
+      SELECT ${LINKED_TASK_COLUMNS}
+      FROM task_dependencies d
+      JOIN tasks t ON d.task_id = t.id
+      WHERE d.depends_on_id = ?
+      ORDER BY d.created_at ASC, t.id ASC
+    `;
+    return await query(sql, [taskId]);
+  }
+
+  // IDs of the given tasks that have at least one open blocking task
+  static async findBlockedTaskIds(taskIds) {
+    if (taskIds.length === 0) {
+      return [];
+    }
+
+    const [rows] = await pool.query(
+      `SELECT DISTINCT d.task_id
+       FROM task_dependencies d
+       JOIN tasks b ON d.depends_on_id = b.id
+       WHERE d.task_id IN (?) AND b.status ${OPEN_STATUS_SQL}`,
+      [taskIds]
+    );
+    return rows.map(row => row.task_id);
+  }
+
+  // Whether `taskId` depends on `targetId`, directly or through other tasks. Adding the
+  // dependency "target depends on task" would then close a cycle.
+  static async dependsOn(taskId, targetId) {
+    const visited = new Set([taskId]);
+    let frontier = [taskId];
+
+    while (frontier.length > 0) {
+      const [rows] = await pool.query(
+        'SELECT DISTINCT depends_on_id FROM task_dependencies WHERE task_id IN (?)',
+        [frontier]
+      );
+      frontier = [];
+
+      for (const { depends_on_id: id } of rows) {
+        if (id === targetId) {
+          return true;
+        }
+
+        if (!visited.has(id)) {
+          visited.add(id);
+          frontier.push(id);
+        }
+      }
+    }
+
+    return false;
+  }
+
+  // The dependencies connected to a task, in either direction, as { taskIds, edges, truncated }.
+  // Each edge is { from, to } with `from` blocking `to`; the walk stops after `maxTasks` tasks.
+  static async findConnected(taskId, maxTasks) {
+    const taskIds = new Set([taskId]);
+    const edges = new Map();
+    let frontier = [taskId];
+    let truncated = false;
+
+    while (frontier.length > 0 && !truncated) {
+      const [rows] = await pool.query(
+        'SELECT task_id, depends_on_id FROM task_dependencies WHERE task_id IN (?) OR depends_on_id IN (?)',
+        [frontier, frontier]
+      );
+      frontier = [];
+
+      for (const row of rows) {
+        const newIds = [row.task_id, row.depends_on_id].filter(id => !taskIds.has(id));
+
+        if (taskIds.size + newIds.length > maxTasks) {
+          truncated = true;
+          continue;
+        }
+
+        newIds.forEach(id => {
+          taskIds.add(id);
+          frontier.push(id);
+        });
+        edges.set(`${row.depends_on_id}:${row.task_id}`, { from: row.depends_on_id, to: row.task_id });
+      }
+    }
+
+    return { taskIds: [...taskIds], edges: [...edges.values()], truncated };
+  }
+
+  // Remove a dependency
+  static async delete(taskId, dependsOnId) {
+    const result = await query(
+      'DELETE FROM task_dependencies WHERE task_id = ? AND depends_on_id = ?',
+      [taskId, dependsOnId]
+    );
+    return result.affectedRows > 0;
+  }
+}
+
+module.exports = TaskDependency;
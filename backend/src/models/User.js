@@ -1,4 +1,4 @@
-const { query } = require('../config/database');
+const { query, pool, transaction } = require('../config/database');
 const bcrypt = require('bcryptjs');
 
 class User {
@@ -12,12 +12,16 @@ class User {
     `;
     
     const result = await query(sql, [username, email, hashedPassword, role]);
-    return { id: result.insertId, username, email, role };
+    return { id: result.insertId, username, email, role, email_verified_at: null };
   }
 
   // Find user by ID
   static async findById(id) {
-    const sql = 'SELECT id, username, email, role, created_at, updated_at FROM users WHERE id = ?';
+    const sql = `
+      SELECT id, username, email, email_verified_at, role, two_factor_enabled_at, deletion_scheduled_at,
+        status, status_reason, status_changed_at, created_at, updated_at
+      FROM users WHERE id = ?
+    `;
     const results = await query(sql, [id]);
     return results[0] || null;
   }
@@ -29,6 +33,13 @@ class User {
     return results[0] || null;
   }
 
+  // Find user by ID (with password for re-authentication)
+  static async findByIdWithPassword(id) {
+    const sql = 'SELECT * FROM users WHERE id = ?';
+    const results = await query(sql, [id]);
+    return results[0] || null;
+  }
+
   // Find user by username
   static async findByUsername(username) {
     const sql = 'SELECT id, username, email, role, created_at FROM users WHERE username = ?';
@@ -37,15 +48,24 @@ class User {
   }
 
   // Get all users (admin only)
-  static async findAll({ limit = 10, offset = 0, role }) {
-    let sql = 'SELECT id, username, email, role, created_at, updated_at FROM users';
+  static async findAll({ limit = 10, offset = 0, role, status }) {
+    let sql = `
+      SELECT id, username, email, email_verified_at, role, status, status_reason, status_changed_at,
+        created_at, updated_at
+      FROM users WHERE 1=1
+    `;
     const params = [];
 
     if (role) {
-      sql += ' WHERE role = ?';
+      sql += ' AND role = ?';
       params.push(role);
     }
 
+    if (status) {
+      sql += ' AND status = ?';
+      params.push(status);
+    }
+
     sql += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
     params.push(limit, offset);
 
@@ -55,7 +75,7 @@ class User {
   // Update user
   static async update(id, updates) {
     const allowedFields = ['username', 'email', 'role'];
-    const fields = Object.keys(updates).filter(key => allowedFields.includes(key));
+    const fields = Object.keys(updates).filter(key => allowedFields.includes(key) && updates[key] !== undefined);
     
     if (fields.length === 0) {
       throw new Error('No valid fields to update');
@@ -70,6 +90,122 @@ class User {
     return await this.findById(id);
   }
 
+  // Mark email as verified (only if it still matches the verified address)
+  static async markEmailVerified(id, email) {
+    const sql = 'UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE id = ? AND email = ?';
+    const result = await query(sql, [id, email]);
+    return result.affectedRows > 0;
+  }
+
+  // Mark email as unverified (after an email change)
+  static async markEmailUnverified(id) {
+    const sql = 'UPDATE users SET email_verified_at = NULL WHERE id = ?';
+    await query(sql, [id]);
+  }
+
+  // Store a new (not yet confirmed) two-factor secret
+  static async setTwoFactorSecret(id, encryptedSecret) {
+    const sql = `
+      UPDATE users
+      SET two_factor_secret = ?, two_factor_enabled_at = NULL, two_factor_last_step = NULL
+      WHERE id = ?
+    `;
+    await query(sql, [encryptedSecret, id]);
+  }
+
+  // Turn two-factor authentication on
+  static async enableTwoFactor(id) {
+    const sql = 'UPDATE users SET two_factor_enabled_at = CURRENT_TIMESTAMP WHERE id = ? AND two_factor_secret IS NOT NULL';
+    const result = await query(sql, [id]);
+    return result.affectedRows > 0;
+  }
+
+  // Turn two-factor authentication off
+  static async disableTwoFactor(id) {
+    const sql = `
+      UPDATE users
+      SET two_factor_secret = NULL, two_factor_enabled_at = NULL, two_factor_last_step = NULL
+      WHERE id = ?
+    `;
+    await query(sql, [id]);
+  }
+
+  // Record the time step of an accepted TOTP code; returns false if it was already used
+  static async recordTwoFactorStep(id, step) {
+    const sql = `
+      UPDATE users SET two_factor_last_step = ?
+      WHERE id = ? AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)
+    `;
+    const result = await query(sql, [step, id, step]);
+    return result.affectedRows > 0;
+  }
+
+  // Update password (hashed)
+  static async updatePassword(id, password) {
+    const hashedPassword = await bcrypt.hash(password, parseInt(process.env.BCRYPT_ROUNDS) || 10);
+
+    return await transaction(async (connection) => {
+      // Keep the outgoing hash so the password policy can refuse reusing it
+      await connection.execute(
+        'INSERT INTO password_history (user_id, password_hash) SELECT id, password FROM users WHERE id = ?',
+        [id]
+      );
+
+      const [result] = await connection.execute(
+        'UPDATE users SET password = ?, password_changed_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [hashedPassword, id]
+      );
+      return result.affectedRows > 0;
+    });
+  }
+
+  // Set the account status (suspend, deactivate or reactivate), recording who changed it and why
+  static async setStatus(id, status, { reason = null, changedBy = null } = {}) {
+    const sql = `
+      UPDATE users
+      SET status = ?, status_reason = ?, status_changed_at = CURRENT_TIMESTAMP, status_changed_by = ?
+      WHERE id = ?
+    `;
+    const result = await query(sql, [status, reason, changedBy, id]);
+    return result.affectedRows > 0;
+  }
+
+  // Schedule self-service deletion; returns false if it is already scheduled
+  static async scheduleDeletion(id, deleteAt) {
+    const sql = 'UPDATE users SET deletion_scheduled_at = ? WHERE id = ? AND deletion_scheduled_at IS NULL';
+    const result = await query(sql, [deleteAt, id]);
+    return result.affectedRows > 0;
+  }
+
+  // Restore an account scheduled for deletion
+  static async cancelDeletion(id) {
+    const sql = 'UPDATE users SET deletion_scheduled_at = NULL WHERE id = ?';
+    await query(sql, [id]);
+  }
+
+  // Accounts whose deletion grace period is over
+  static async findDueForDeletion() {
+    const sql = `
+      SELECT id, username, email, deletion_scheduled_at FROM users
+      WHERE deletion_scheduled_at IS NOT NULL AND deletion_scheduled_at <= CURRENT_TIMESTAMP
+    `;
+    return await query(sql);
+  }
+
+  // Count active users with one of the given roles that are not scheduled for deletion
+  static async countActiveByRoles(roles) {
+    if (roles.length === 0) {
+      return 0;
+    }
+
+    const [results] = await pool.query(
+      `SELECT COUNT(*) as total FROM users
+       WHERE role IN (?) AND status = 'active' AND deletion_scheduled_at IS NULL`,
+      [roles]
+    );
+    return results[0].total;
+  }
+
   // Delete user
   static async delete(id) {
     const sql = 'DELETE FROM users WHERE id = ?';
@@ -83,15 +219,20 @@ class User {
   }
 
   // Count users
-  static async count(role) {
-    let sql = 'SELECT COUNT(*) as total FROM users';
+  static async count({ role, status } = {}) {
+    let sql = 'SELECT COUNT(*) as total FROM users WHERE 1=1';
     const params = [];
 
     if (role) {
-      sql += ' WHERE role = ?';
+      sql += ' AND role = ?';
       params.push(role);
     }
 
+    if (status) {
+      sql += ' AND status = ?';
+      params.push(status);
+    }
+
     const results = await query(sql, params);
     return results[0].total;
   }
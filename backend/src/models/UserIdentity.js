@@ -0,0 +1,40 @@
+const { query } = require('../config/database');
+
+class UserIdentity {
+  // Find the local account linked to an external identity
+  static async findBySubject(issuer, subject) {
+    const sql = 'SELECT * FROM user_identities WHERE issuer = ? AND subject = ?';
+    const results = await query(sql, [issuer, subject]);
+    return results[0] || null;
+  }
+
+  // External identities linked to a user
+  static async findByUserId(userId) {
+    const sql = `
+      SELECT id, issuer, subject, email, last_login_at, created_at
+      FROM user_identities
+      WHERE user_id = ?
+      ORDER BY created_at ASC
+    `;
+    return await query(sql, [userId]);
+  }
+
+  // Link an external identity to a local user
+  static async create({ user_id, issuer, subject, email }) {
+    const sql = `
+      INSERT INTO user_identities (user_id, issuer, subject, email, last_login_at)
+      VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `;
+
+    const result = await query(sql, [user_id, issuer, subject, email || null]);
+    return { id: result.insertId, user_id, issuer, subject, email };
+  }
+
+  // Record a login through the identity
+  static async touch(id, email) {
+    const sql = 'UPDATE user_identities SET last_login_at = CURRENT_TIMESTAMP, email = ? WHERE id = ?';
+    await query(sql, [email || null, id]);
+  }
+}
+
+module.exports = UserIdentity;
@@ -1,9 +1,53 @@
 const express = require('express');
 const router = express.Router();
-const { register, login, refreshToken, getMe, updateProfile } = require('../controllers/authController');
-const { registerValidation, loginValidation } = require('../validators/authValidator');
+const {
+  register,
+  login,
+  refreshToken,
+  logout,
+  getCsrfToken,
+  getMe,
+  updateProfile,
+} = require('../controllers/authController');
+const { getSessions, revokeSession, revokeAllSessions } = require('../controllers/sessionController');
+const {
+  getPasswordPolicy,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+} = require('../controllers/passwordController');
+const { verifyEmail, resendVerification } = require('../controllers/verificationController');
+const { getInviteByToken } = require('../controllers/inviteController');
+const { createToken, getTokens, revokeToken } = require('../controllers/tokenController');
+const { getOidcConfig, oidcLogin, oidcCallback, oidcExchange } = require('../controllers/oidcController');
+const {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin,
+} = require('../controllers/twoFactorController');
+const {
+  registerValidation,
+  loginValidation,
+  updateProfileValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  changePasswordValidation,
+  twoFactorCodeValidation,
+  twoFactorLoginValidation,
+  disableTwoFactorValidation,
+  verifyEmailValidation,
+  oidcExchangeValidation,
+  createTokenValidation,
+  deleteAccountValidation,
+} = require('../validators/authValidator');
 const validate = require('../middleware/validate');
-const { protect } = require('../middleware/auth');
+const { protect, forbidImpersonation } = require('../middleware/auth');
+const { stopImpersonation } = require('../controllers/impersonationController');
+const { exportAccountData, deleteAccount } = require('../controllers/accountController');
+const { getMyActivity } = require('../controllers/securityEventController');
+const { activityQueryValidation } = require('../validators/securityEventValidator');
 
 /**
  * @swagger
@@ -28,21 +72,50 @@ const { protect } = require('../middleware/auth');
  *                 type: string
  *               password:
  *                 type: string
- *               role:
+ *               inviteToken:
  *                 type: string
- *                 enum: [user, admin]
+ *                 description: Token from an admin invitation; the account gets the invited role
  *     responses:
  *       201:
  *         description: User registered successfully
+ *       403:
+ *         description: Registration is by invitation only
  */
 router.post('/register', registerValidation, validate, register);
 
+/**
+ * @swagger
+ * /api/v1/auth/invites/{token}:
+ *   get:
+ *     summary: Look up an invitation to pre-fill registration
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation email and role
+ *       404:
+ *         description: Invalid or expired invitation
+ */
+router.get('/invites/:token', getInviteByToken);
+
 /**
  * @swagger
  * /api/v1/auth/login:
  *   post:
  *     summary: Login user
+ *     description: When two-factor authentication is enabled, no tokens are returned. The response contains `twoFactorRequired` and a short-lived `challengeToken` to complete the login via /api/v1/auth/2fa/verify. With the `X-Auth-Mode` header set to `cookie`, the tokens are set as HttpOnly cookies instead of being returned, together with a `csrfToken`.
  *     tags: [Authentication]
+ *     parameters:
+ *       - in: header
+ *         name: X-Auth-Mode
+ *         schema:
+ *           type: string
+ *           enum: [cookie]
  *     requestBody:
  *       required: true
  *       content:
@@ -57,17 +130,22 @@ router.post('/register', registerValidation, validate, register);
  *                 type: string
  *               password:
  *                 type: string
+ *               restoreAccount:
+ *                 type: boolean
+ *                 description: Restore an account scheduled for deletion
  *     responses:
  *       200:
  *         description: Login successful
+ *       403:
+ *         description: Account scheduled for deletion (`accountPendingDeletion`, retry with `restoreAccount`), or password expired. The response contains `passwordExpired` and a short-lived `resetToken` for /api/v1/auth/reset-password.
  */
 router.post('/login', loginValidation, validate, login);
 
 /**
  * @swagger
- * /api/v1/auth/refresh:
+ * /api/v1/auth/2fa/verify:
  *   post:
- *     summary: Refresh access token
+ *     summary: Complete login with a two-factor code or recovery code
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -76,16 +154,318 @@ router.post('/login', loginValidation, validate, login);
  *           schema:
  *             type: object
  *             required:
- *               - refreshToken
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid code or expired challenge
+ *       403:
+ *         description: Password expired, same response as /api/v1/auth/login
+ */
+router.post('/2fa/verify', twoFactorLoginValidation, validate, verifyTwoFactorLogin);
+
+/**
+ * @swagger
+ * /api/v1/auth/oidc/config:
+ *   get:
+ *     summary: Whether SSO login is configured, and the provider's display name
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: SSO availability
+ */
+router.get('/oidc/config', getOidcConfig);
+
+/**
+ * @swagger
+ * /api/v1/auth/oidc/login:
+ *   get:
+ *     summary: Start SSO login
+ *     description: Redirects the browser to the OpenID Connect provider (authorization code flow with PKCE).
+ *     tags: [Authentication]
+ *     responses:
+ *       302:
+ *         description: Redirect to the identity provider
+ *       404:
+ *         description: SSO login is not configured
+ */
+router.get('/oidc/login', oidcLogin);
+
+/**
+ * @swagger
+ * /api/v1/auth/oidc/callback:
+ *   get:
+ *     summary: SSO callback from the identity provider
+ *     description: Validates the ID token, then redirects to the frontend login page with a one-time `ssoCode` (or an `ssoError` message).
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the frontend
+ */
+router.get('/oidc/callback', oidcCallback);
+
+/**
+ * @swagger
+ * /api/v1/auth/oidc/exchange:
+ *   post:
+ *     summary: Exchange a one-time SSO code for tokens
+ *     description: Responds like /api/v1/auth/login, including the two-factor challenge when the account has 2FA enabled.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *               restoreAccount:
+ *                 type: boolean
+ *                 description: Restore an account scheduled for deletion
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       400:
+ *         description: Invalid or expired SSO code
+ *       403:
+ *         description: Account scheduled for deletion; the code stays valid for a retry with `restoreAccount`
+ */
+router.post('/oidc/exchange', oidcExchangeValidation, validate, oidcExchange);
+
+/**
+ * @swagger
+ * /api/v1/auth/refresh:
+ *   post:
+ *     summary: Refresh access token
+ *     description: Rotates the refresh token. The presented token is invalidated and a new one is returned; presenting an already-rotated token revokes the whole token family. In cookie mode the token is read from the refresh_token cookie (an `X-CSRF-Token` header is then required) and the new tokens are set as cookies.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
  *             properties:
  *               refreshToken:
  *                 type: string
+ *                 description: Required unless sent as the refresh_token cookie
  *     responses:
  *       200:
  *         description: Token refreshed successfully
+ *       401:
+ *         description: Invalid, revoked or reused refresh token
+ *       403:
+ *         description: Invalid CSRF token
  */
 router.post('/refresh', refreshToken);
 
+/**
+ * @swagger
+ * /api/v1/auth/csrf-token:
+ *   get:
+ *     summary: Get the CSRF token for cookie-authenticated requests
+ *     description: Returns the value of the csrf_token cookie (setting one if missing). Send it as the `X-CSRF-Token` header on POST, PUT, PATCH and DELETE requests authenticated by cookie.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: CSRF token
+ */
+router.get('/csrf-token', getCsrfToken);
+
+/**
+ * @swagger
+ * /api/v1/auth/password-policy:
+ *   get:
+ *     summary: Get the password requirements enforced when a password is set
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Minimum length, required character classes, history and expiry settings
+ */
+router.get('/password-policy', getPasswordPolicy);
+
+/**
+ * @swagger
+ * /api/v1/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ */
+router.post('/forgot-password', forgotPasswordValidation, validate, forgotPassword);
+
+/**
+ * @swagger
+ * /api/v1/auth/reset-password:
+ *   post:
+ *     summary: Reset password with a reset token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired reset token, or the password breaks the policy or was used recently
+ */
+router.post('/reset-password', resetPasswordValidation, validate, resetPassword);
+
+/**
+ * @swagger
+ * /api/v1/auth/verify-email:
+ *   post:
+ *     summary: Verify email address with a verification token
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired verification token
+ */
+router.post('/verify-email', verifyEmailValidation, validate, verifyEmail);
+
+/**
+ * @swagger
+ * /api/v1/auth/verify-email/resend:
+ *   post:
+ *     summary: Resend the verification email
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       429:
+ *         description: Requested again too soon
+ */
+router.post('/verify-email/resend', protect, forbidImpersonation, resendVerification);
+
+/**
+ * @swagger
+ * /api/v1/auth/logout:
+ *   post:
+ *     summary: Logout and revoke the current session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ */
+router.post('/logout', protect, forbidImpersonation, logout);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   get:
+ *     summary: List active sessions of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ */
+router.get('/sessions', protect, getSessions);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions:
+ *   delete:
+ *     summary: Log out everywhere (revoke all sessions)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: keepCurrent
+ *         schema:
+ *           type: boolean
+ *         description: Keep the session making this request
+ *     responses:
+ *       200:
+ *         description: Sessions revoked successfully
+ */
+router.delete('/sessions', protect, forbidImpersonation, revokeAllSessions);
+
+/**
+ * @swagger
+ * /api/v1/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke a single session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', protect, forbidImpersonation, revokeSession);
+
 /**
  * @swagger
  * /api/v1/auth/me:
@@ -105,6 +485,7 @@ router.get('/me', protect, getMe);
  * /api/v1/auth/me:
  *   put:
  *     summary: Update user profile
+ *     description: Changing the email marks the account unverified and sends a new verification email.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -123,6 +504,290 @@ router.get('/me', protect, getMe);
  *       200:
  *         description: Profile updated successfully
  */
-router.put('/me', protect, updateProfile);
+router.put('/me', protect, forbidImpersonation, updateProfileValidation, validate, updateProfile);
+
+/**
+ * @swagger
+ * /api/v1/auth/me:
+ *   delete:
+ *     summary: Delete the current user's account
+ *     description: Requires the password. The account is disabled at once (all sessions and access tokens revoked) and permanently deleted with all of its data after ACCOUNT_DELETION_GRACE_DAYS. Logging in with `restoreAccount` before then restores it.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Deletion scheduled
+ *       400:
+ *         description: Password is incorrect, or the user is the last active one who can manage users or roles
+ */
+router.delete('/me', protect, forbidImpersonation, deleteAccountValidation, validate, deleteAccount);
+
+/**
+ * @swagger
+ * /api/v1/auth/me/export:
+ *   get:
+ *     summary: Download all data stored about the current user
+ *     description: A JSON file with the profile, tasks, linked identities, access tokens and account activity. Secrets are never included.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Export file (sent as an attachment)
+ */
+router.get('/me/export', protect, forbidImpersonation, exportAccountData);
+
+/**
+ * @swagger
+ * /api/v1/auth/me/activity:
+ *   get:
+ *     summary: Get the current user's recent account activity
+ *     description: Sign-ins (including failed attempts), token refreshes, password, 2FA and access token changes, newest first. Each event has its type, outcome, IP address and user agent.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Activity retrieved successfully
+ */
+router.get('/me/activity', protect, activityQueryValidation, validate, getMyActivity);
+
+/**
+ * @swagger
+ * /api/v1/auth/me/password:
+ *   put:
+ *     summary: Change password of the current user
+ *     description: Requires the current password. All other sessions are revoked.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: Current password is incorrect, or the new password breaks the policy or was used recently
+ */
+router.put('/me/password', protect, forbidImpersonation, changePasswordValidation, validate, changePassword);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Generates a new TOTP secret and returns it with an otpauth URI for authenticator apps. Not active until confirmed.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and otpauth URI generated
+ */
+router.post('/2fa/setup', protect, forbidImpersonation, setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/confirm:
+ *   post:
+ *     summary: Confirm two-factor enrollment
+ *     description: Enables two-factor authentication and returns one-time recovery codes (shown only once).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ */
+router.post('/2fa/confirm', protect, forbidImpersonation, twoFactorCodeValidation, validate, confirmTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       403:
+ *         description: Two-factor authentication is required for the user's role
+ */
+router.post('/2fa/disable', protect, forbidImpersonation, disableTwoFactorValidation, validate, disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes generated
+ */
+router.post('/2fa/recovery-codes', protect, forbidImpersonation, twoFactorCodeValidation, validate, regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /api/v1/auth/tokens:
+ *   post:
+ *     summary: Create a personal access token (returned once)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: CI export script
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [tasks:read, tasks:write, users:read, users:write]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 description: Omit for a token that does not expire
+ *     responses:
+ *       201:
+ *         description: Access token created
+ */
+router.post('/tokens', protect, forbidImpersonation, createTokenValidation, validate, createToken);
+
+/**
+ * @swagger
+ * /api/v1/auth/tokens:
+ *   get:
+ *     summary: List personal access tokens of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Access tokens retrieved successfully
+ */
+router.get('/tokens', protect, getTokens);
+
+/**
+ * @swagger
+ * /api/v1/auth/tokens/{id}:
+ *   delete:
+ *     summary: Revoke a personal access token
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Access token revoked
+ *       404:
+ *         description: Access token not found
+ */
+router.delete('/tokens/:id', protect, forbidImpersonation, revokeToken);
+
+/**
+ * @swagger
+ * /api/v1/auth/impersonation/stop:
+ *   post:
+ *     summary: Stop impersonating a user
+ *     description: Ends the impersonation and returns the admin's own profile. In cookie mode the access cookie is switched back to the admin. Succeeds as a no-op when not impersonating.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Impersonation ended
+ */
+router.post('/impersonation/stop', protect, stopImpersonation);
 
 module.exports = router;
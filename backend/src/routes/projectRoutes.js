@@ -0,0 +1,252 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getProjects,
+  createProject,
+  getProject,
+  updateProject,
+  deleteProject,
+  addMember,
+  updateMember,
+  removeMember,
+} = require('../controllers/projectController');
+const {
+  createProjectValidation,
+  updateProjectValidation,
+  addMemberValidation,
+  updateMemberValidation,
+} = require('../validators/projectValidator');
+const validate = require('../middleware/validate');
+const { protect, requirePermission } = require('../middleware/auth');
+const { loadProject, requireProjectRole } = require('../middleware/projectAccess');
+
+// All routes are protected; beyond the task permissions, access follows the user's role in the project
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/projects:
+ *   get:
+ *     summary: Get the current user's projects
+ *     description: Every project the user is a member of, with their role, member count and task count.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Projects retrieved successfully
+ */
+router.get('/', requirePermission('tasks:read:own', 'tasks:read:any'), getProjects);
+
+/**
+ * @swagger
+ * /api/v1/projects:
+ *   post:
+ *     summary: Create a project
+ *     description: The creator becomes the project's owner.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Project created successfully
+ */
+router.post('/', requirePermission('tasks:create'), createProjectValidation, validate, createProject);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}:
+ *   get:
+ *     summary: Get a project with its members
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Project retrieved successfully
+ *       404:
+ *         description: Project not found or not a member
+ */
+router.get('/:id', requirePermission('tasks:read:own', 'tasks:read:any'), loadProject, getProject);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}:
+ *   put:
+ *     summary: Update a project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Project updated successfully
+ *       403:
+ *         description: Not an owner of the project
+ */
+router.put('/:id', requirePermission('tasks:update:own', 'tasks:update:any'), loadProject, requireProjectRole('owner'), updateProjectValidation, validate, updateProject);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}:
+ *   delete:
+ *     summary: Delete a project
+ *     description: Deletes the project together with all of its tasks.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Project deleted successfully
+ *       403:
+ *         description: Not an owner of the project
+ */
+router.delete('/:id', requirePermission('tasks:delete:own', 'tasks:delete:any'), loadProject, requireProjectRole('owner'), deleteProject);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/members:
+ *   post:
+ *     summary: Add a member to a project
+ *     description: The reply is the same whether or not an active account uses the email, and members who are already in the project keep their role.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [owner, editor, viewer]
+ *                 default: viewer
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *       400:
+ *         description: Validation error
+ */
+router.post('/:id/members', requirePermission('tasks:update:own', 'tasks:update:any'), loadProject, requireProjectRole('owner'), addMemberValidation, validate, addMember);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/members/{userId}:
+ *   put:
+ *     summary: Change a member's role
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, editor, viewer]
+ *     responses:
+ *       200:
+ *         description: Member updated successfully
+ *       400:
+ *         description: The last owner cannot be demoted
+ */
+router.put('/:id/members/:userId', requirePermission('tasks:update:own', 'tasks:update:any'), loadProject, requireProjectRole('owner'), updateMemberValidation, validate, updateMember);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from a project
+ *     description: Owners can remove anyone; any member can remove themselves to leave the project. The last owner cannot leave.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       400:
+ *         description: The last owner cannot be removed
+ */
+router.delete('/:id/members/:userId', requirePermission('tasks:read:own', 'tasks:read:any'), loadProject, removeMember);
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getRoles,
+  getPermissions,
+  createRole,
+  updateRole,
+  deleteRole,
+} = require('../controllers/roleController');
+const { createRoleValidation, updateRoleValidation } = require('../validators/roleValidator');
+const validate = require('../middleware/validate');
+const { protect, requirePermission } = require('../middleware/auth');
+
+// All routes are protected; each one requires a roles:* permission
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/roles:
+ *   get:
+ *     summary: Get all roles with their permissions and user counts (requires roles:read)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ */
+router.get('/', requirePermission('roles:read'), getRoles);
+
+/**
+ * @swagger
+ * /api/v1/roles/permissions:
+ *   get:
+ *     summary: Get all available permissions (requires roles:read)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions retrieved successfully
+ */
+router.get('/permissions', requirePermission('roles:read'), getPermissions);
+
+/**
+ * @swagger
+ * /api/v1/roles:
+ *   post:
+ *     summary: Create a role (requires roles:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - permissions
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: support
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [tasks:read:any, users:read]
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Validation error or role already exists
+ */
+router.post('/', requirePermission('roles:manage'), createRoleValidation, validate, createRole);
+
+/**
+ * @swagger
+ * /api/v1/roles/{id}:
+ *   put:
+ *     summary: Update a role's description and permissions (requires roles:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       404:
+ *         description: Role not found
+ */
+router.put('/:id', requirePermission('roles:manage'), updateRoleValidation, validate, updateRole);
+
+/**
+ * @swagger
+ * /api/v1/roles/{id}:
+ *   delete:
+ *     summary: Delete a role that no user is assigned to (requires roles:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       400:
+ *         description: System role or role still assigned to users
+ */
+router.delete('/:id', requirePermission('roles:manage'), deleteRole);
+
+module.exports = router;
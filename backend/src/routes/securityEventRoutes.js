@@ -0,0 +1,65 @@
+const express = require('express');
+const router = express.Router();
+const { getSecurityEvents } = require('../controllers/securityEventController');
+const { securityEventQueryValidation } = require('../validators/securityEventValidator');
+const validate = require('../middleware/validate');
+const { protect, requirePermission } = require('../middleware/auth');
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/security-events:
+ *   get:
+ *     summary: Query the security event log (requires security_events:read)
+ *     description: Logins, token refreshes, password and 2FA changes and other account events of every user, newest first. Failed logins for unknown addresses have no userId but keep the attempted email.
+ *     tags: [Security Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           example: login
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, failure]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Events retrieved successfully
+ *       403:
+ *         description: Missing the security_events:read permission
+ */
+router.get('/', requirePermission('security_events:read'), securityEventQueryValidation, validate, getSecurityEvents);
+
+module.exports = router;
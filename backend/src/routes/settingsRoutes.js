@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const { getSecuritySettings, updateSecuritySettings } = require('../controllers/settingsController');
+const { securitySettingsValidation } = require('../validators/settingsValidator');
+const validate = require('../middleware/validate');
+const { protect, requirePermission } = require('../middleware/auth');
+
+// All routes are protected; each one requires a settings:* permission
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/settings/security:
+ *   get:
+ *     summary: Get security settings (requires settings:read)
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Settings retrieved successfully
+ */
+router.get('/security', requirePermission('settings:read'), getSecuritySettings);
+
+/**
+ * @swagger
+ * /api/v1/settings/security:
+ *   put:
+ *     summary: Update security settings (requires settings:update)
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - twoFactorRequiredRoles
+ *             properties:
+ *               twoFactorRequiredRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [user, admin]
+ *     responses:
+ *       200:
+ *         description: Settings updated successfully
+ */
+router.put('/security', requirePermission('settings:update'), securitySettingsValidation, validate, updateSecuritySettings);
+
+module.exports = router;
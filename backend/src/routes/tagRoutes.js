@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const { getTags, createTag, updateTag, deleteTag } = require('../controllers/tagController');
+const { createTagValidation, updateTagValidation } = require('../validators/tagValidator');
+const validate = require('../middleware/validate');
+const { protect, requirePermission } = require('../middleware/auth');
+
+// All routes are protected; tags are managed by whoever can work on their own tasks
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/tags:
+ *   get:
+ *     summary: Get the current user's tags
+ *     description: Sorted by name, each with the number of tasks using it.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tags retrieved successfully
+ */
+router.get('/', requirePermission('tasks:read:own', 'tasks:read:any'), getTags);
+
+/**
+ * @swagger
+ * /api/v1/tags:
+ *   post:
+ *     summary: Create a tag
+ *     description: Tags are also created automatically when a task is saved with a tag name the owner does not have yet.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *                 example: '#3b82f6'
+ *     responses:
+ *       201:
+ *         description: Tag created successfully
+ *       400:
+ *         description: Validation error or duplicate name
+ */
+router.post('/', requirePermission('tasks:create', 'tasks:update:own'), createTagValidation, validate, createTag);
+
+/**
+ * @swagger
+ * /api/v1/tags/{id}:
+ *   put:
+ *     summary: Rename or recolor a tag
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tag updated successfully
+ *       404:
+ *         description: Tag not found
+ */
+router.put('/:id', requirePermission('tasks:create', 'tasks:update:own'), updateTagValidation, validate, updateTag);
+
+/**
+ * @swagger
+ * /api/v1/tags/{id}:
+ *   delete:
+ *     summary: Delete a tag
+ *     description: The tag is removed from all tasks; the tasks themselves are kept.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Tag deleted successfully
+ *       404:
+ *         description: Tag not found
+ */
+router.delete('/:id', requirePermission('tasks:create', 'tasks:update:own'), deleteTag);
+
+module.exports = router;
@@ -6,11 +6,55 @@ const {
   getTask,
   updateTask,
   deleteTask,
+  reorderSubtasks,
   getTaskStats,
 } = require('../controllers/taskController');
-const { createTaskValidation, updateTaskValidation, queryValidation } = require('../validators/taskValidator');
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+} = require('../controllers/commentController');
+const {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment,
+} = require('../controllers/attachmentController');
+const {
+  getChecklist,
+  createChecklistItem,
+  updateChecklistItem,
+  reorderChecklist,
+  deleteChecklistItem,
+} = require('../controllers/checklistController');
+const {
+  addDependency,
+  removeDependency,
+  getDependencyGraph,
+} = require('../controllers/dependencyController');
+const {
+  createTaskValidation,
+  updateTaskValidation,
+  queryValidation,
+  statsQueryValidation,
+  addDependencyValidation,
+  reorderSubtasksValidation,
+} = require('../validators/taskValidator');
+const {
+  createCommentValidation,
+  updateCommentValidation,
+  commentQueryValidation,
+} = require('../validators/commentValidator');
+const {
+  createChecklistItemValidation,
+  updateChecklistItemValidation,
+  reorderChecklistValidation,
+} = require('../validators/checklistValidator');
 const validate = require('../middleware/validate');
-const { protect } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { loadReadableTask, requireTaskUpdate } = require('../middleware/taskAccess');
+const { singleFileUpload } = require('../middleware/upload');
 
 // All routes are protected
 router.use(protect);
@@ -20,6 +64,7 @@ router.use(protect);
  * /api/v1/tasks:
  *   get:
  *     summary: Get all tasks
+ *     description: Personal tasks, tasks assigned to the user and the tasks of the user's projects, or every task with tasks:read:any.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -40,11 +85,46 @@ router.use(protect);
  *         name: priority
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: tags
+ *         description: Comma-separated tag names
+ *         schema:
+ *           type: string
+ *           example: work,urgent
+ *       - in: query
+ *         name: tagMode
+ *         description: Match tasks with any of the tags (default) or with all of them
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *       - in: query
+ *         name: projectId
+ *         description: Only tasks of this project
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: assignee
+ *         description: Only tasks assigned to this user ID, or `me`
+ *         schema:
+ *           type: string
+ *           example: me
+ *       - in: query
+ *         name: created_by
+ *         description: Only tasks created by this user ID, or `me`
+ *         schema:
+ *           type: string
+ *           example: me
+ *       - in: query
+ *         name: parentId
+ *         description: Only the direct subtasks of this task ID, or `none` for top-level tasks
+ *         schema:
+ *           type: string
+ *           example: none
  *     responses:
  *       200:
- *         description: Tasks retrieved successfully
+ *         description: Tasks retrieved successfully, each with its progress over subtasks and checklist items
  */
-router.get('/', queryValidation, validate, getTasks);
+router.get('/', requirePermission('tasks:read:own', 'tasks:read:any'), queryValidation, validate, getTasks);
 
 /**
  * @swagger
@@ -54,11 +134,27 @@ router.get('/', queryValidation, validate, getTasks);
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: projectId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: assignee
+ *         description: Only tasks assigned to this user ID, or `me`
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: groupBy
+ *         description: Also return the statistics per assignee as byAssignee
+ *         schema:
+ *           type: string
+ *           enum: [assignee]
  *     responses:
  *       200:
  *         description: Statistics retrieved successfully
  */
-router.get('/stats', getTaskStats);
+router.get('/stats', requirePermission('tasks:read:own', 'tasks:read:any'), statsQueryValidation, validate, getTaskStats);
 
 /**
  * @swagger
@@ -90,11 +186,32 @@ router.get('/stats', getTaskStats);
  *               due_date:
  *                 type: string
  *                 format: date-time
+ *               tags:
+ *                 type: array
+ *                 description: Tag names; tags the owner does not have yet are created
+ *                 items:
+ *                   type: string
+ *               project_id:
+ *                 type: integer
+ *                 description: Requires the editor or owner role in the project
+ *               assignee_id:
+ *                 type: integer
+ *                 description: An active member of the project for project tasks; personal tasks can only be assigned to their owner
+ *               parent_id:
+ *                 type: integer
+ *                 description: Create the task as a subtask (update access to the parent required). It joins the parent's project, and nesting is limited to SUBTASK_MAX_DEPTH levels.
+ *               auto_complete:
+ *                 type: boolean
+ *                 description: Complete the task automatically once all of its subtasks and checklist items are done
  *     responses:
  *       201:
  *         description: Task created successfully
+ *       400:
+ *         description: The parent task is too deeply nested
+ *       403:
+ *         description: Not an editor of the project
  */
-router.post('/', createTaskValidation, validate, createTask);
+router.post('/', requirePermission('tasks:create'), createTaskValidation, validate, createTask);
 
 /**
  * @swagger
@@ -112,15 +229,16 @@ router.post('/', createTaskValidation, validate, createTask);
  *           type: integer
  *     responses:
  *       200:
- *         description: Task retrieved successfully
+ *         description: Task retrieved successfully, with its subtask tree, checklist, progress and dependencies (`blocked_by`, `blocking`)
  */
-router.get('/:id', getTask);
+router.get('/:id', requirePermission('tasks:read:own', 'tasks:read:any'), getTask);
 
 /**
  * @swagger
  * /api/v1/tasks/{id}:
  *   put:
  *     summary: Update a task
+ *     description: Requires update access to the task. The assignee of a task may change its status alone without it.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -147,11 +265,36 @@ router.get('/:id', getTask);
  *                 type: string
  *               due_date:
  *                 type: string
+ *               tags:
+ *                 type: array
+ *                 description: Replaces the task's tags
+ *                 items:
+ *                   type: string
+ *               project_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Move the task to another project (editor role there), or null to make it personal again (task owner only)
+ *               assignee_id:
+ *                 type: integer
+ *                 nullable: true
+ *               parent_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Move the task under another task, or null to make it a top-level task. A task cannot be moved under one of its own subtasks.
+ *               auto_complete:
+ *                 type: boolean
+ *               force:
+ *                 type: boolean
+ *                 description: Start or complete the task even though it is blocked by unfinished tasks
  *     responses:
  *       200:
  *         description: Task updated successfully
+ *       400:
+ *         description: The move would create a cycle or exceed the nesting limit, or the task is blocked
+ *       403:
+ *         description: Not authorized to update or move the task
  */
-router.put('/:id', updateTaskValidation, validate, updateTask);
+router.put('/:id', requirePermission('tasks:update:own', 'tasks:update:any'), updateTaskValidation, validate, updateTask);
 
 /**
  * @swagger
@@ -171,6 +314,528 @@ router.put('/:id', updateTaskValidation, validate, updateTask);
  *       200:
  *         description: Task deleted successfully
  */
-router.delete('/:id', deleteTask);
+router.delete('/:id', requirePermission('tasks:delete:own', 'tasks:delete:any'), deleteTask);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/subtasks/order:
+ *   put:
+ *     summary: Reorder the direct subtasks of a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - taskIds
+ *             properties:
+ *               taskIds:
+ *                 type: array
+ *                 description: Every direct subtask of the task, in the new order
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Subtasks reordered successfully
+ *       400:
+ *         description: taskIds does not list the task's subtasks
+ */
+router.put('/:id/subtasks/order', requirePermission('tasks:update:own', 'tasks:update:any'), loadReadableTask, reorderSubtasksValidation, validate, reorderSubtasks);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/checklist:
+ *   get:
+ *     summary: Get the checklist of a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Checklist retrieved successfully
+ */
+router.get('/:id/checklist', requirePermission('tasks:read:own', 'tasks:read:any'), loadReadableTask, getChecklist);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/checklist:
+ *   post:
+ *     summary: Add a checklist item
+ *     description: Requires update access to the task. The item is added at the end of the checklist.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Checklist item added successfully
+ */
+router.post('/:id/checklist', requirePermission('tasks:update:own', 'tasks:update:any'), loadReadableTask, createChecklistItemValidation, validate, createChecklistItem);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/checklist/order:
+ *   put:
+ *     summary: Reorder the checklist of a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - itemIds
+ *             properties:
+ *               itemIds:
+ *                 type: array
+ *                 description: Every checklist item of the task, in the new order
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Checklist reordered successfully
+ *       400:
+ *         description: itemIds does not list the task's checklist items
+ */
+router.put('/:id/checklist/order', requirePermission('tasks:update:own', 'tasks:update:any'), loadReadableTask, reorderChecklistValidation, validate, reorderChecklist);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/checklist/{itemId}:
+ *   put:
+ *     summary: Edit or tick off a checklist item
+ *     description: Editing the text requires update access to the task; the assignee may also tick items off.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 500
+ *               completed:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Checklist item updated successfully
+ *       404:
+ *         description: Checklist item not found
+ */
+router.put('/:id/checklist/:itemId', requirePermission('tasks:update:own', 'tasks:update:any'), loadReadableTask, updateChecklistItemValidation, validate, updateChecklistItem);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/checklist/{itemId}:
+ *   delete:
+ *     summary: Delete a checklist item
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Checklist item deleted successfully
+ */
+router.delete('/:id/checklist/:itemId', requirePermission('tasks:update:own', 'tasks:update:any'), loadReadableTask, deleteChecklistItem);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/dependencies:
+ *   post:
+ *     summary: Mark a task as blocked by another task
+ *     description: Requires update access to the task and read access to the blocking task. A task is `blocked` while any task it depends on is neither completed nor cancelled.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - dependsOnId
+ *             properties:
+ *               dependsOnId:
+ *                 type: integer
+ *                 description: The task that has to be finished first
+ *     responses:
+ *       201:
+ *         description: Dependency added successfully
+ *       400:
+ *         description: The dependency exists already, or would make a task depend on itself or create a cycle
+ *       404:
+ *         description: Blocking task not found
+ */
+router.post('/:id/dependencies', requirePermission('tasks:update:own', 'tasks:update:any'), loadReadableTask, addDependencyValidation, validate, addDependency);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/dependencies/{dependsOnId}:
+ *   delete:
+ *     summary: Remove a dependency
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: dependsOnId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Dependency removed successfully
+ *       404:
+ *         description: Dependency not found
+ */
+router.delete('/:id/dependencies/:dependsOnId', requirePermission('tasks:update:own', 'tasks:update:any'), loadReadableTask, removeDependency);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/dependency-graph:
+ *   get:
+ *     summary: Get the dependency graph around a task
+ *     description: Every task connected to this one through dependencies, as `nodes`, and the dependencies as `edges` from the blocking to the blocked task. Tasks the user cannot read only show their ID and status; `truncated` is set when the graph was cut off at 200 tasks.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Dependency graph retrieved successfully
+ */
+router.get('/:id/dependency-graph', requirePermission('tasks:read:own', 'tasks:read:any'), loadReadableTask, getDependencyGraph);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/comments:
+ *   get:
+ *     summary: Get the comments of a task
+ *     description: Top-level comments, oldest first, each with all of its replies. Pagination counts top-level comments only.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Comments retrieved successfully
+ */
+router.get('/:id/comments', requirePermission('tasks:read:own', 'tasks:read:any'), loadReadableTask, commentQueryValidation, validate, getComments);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/comments:
+ *   post:
+ *     summary: Comment on a task
+ *     description: Anyone who can read the task can comment, with tasks:update:own or tasks:update:any (the tasks:write scope for access tokens). Set parentId to reply to a top-level comment; replies cannot be replied to.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *               parentId:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Comment added successfully
+ *       400:
+ *         description: Validation error, or the parent is itself a reply
+ *       404:
+ *         description: Task or parent comment not found
+ */
+router.post('/:id/comments', requirePermission('tasks:update:own', 'tasks:update:any'), loadReadableTask, createCommentValidation, validate, createComment);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/comments/{commentId}:
+ *   put:
+ *     summary: Edit a comment (author only)
+ *     description: Sets edited_at on the comment.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Comment updated successfully
+ *       403:
+ *         description: Not the author of the comment
+ */
+router.put('/:id/comments/:commentId', requirePermission('tasks:update:own', 'tasks:update:any'), loadReadableTask, updateCommentValidation, validate, updateComment);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment and its replies
+ *     description: Allowed for the author, the owner of the task and users with tasks:delete:any.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Comment deleted successfully
+ */
+router.delete('/:id/comments/:commentId', requirePermission('tasks:update:own', 'tasks:update:any'), loadReadableTask, deleteComment);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/attachments:
+ *   get:
+ *     summary: List the attachments of a task
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Attachments retrieved successfully
+ */
+router.get('/:id/attachments', requirePermission('tasks:read:own', 'tasks:read:any'), loadReadableTask, getAttachments);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/attachments:
+ *   post:
+ *     summary: Upload a file to a task
+ *     description: Requires update access to the task. File size, allowed content types and the per-user storage quota are set with ATTACHMENT_MAX_SIZE_MB, ATTACHMENT_ALLOWED_TYPES and ATTACHMENT_USER_QUOTA_MB.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: Attachment uploaded successfully
+ *       400:
+ *         description: No file in the request
+ *       403:
+ *         description: No update access to the task (checked before the file is read)
+ *       413:
+ *         description: File too large, or the user's storage quota would be exceeded
+ *       415:
+ *         description: File type not allowed
+ */
+router.post('/:id/attachments', requirePermission('tasks:update:own', 'tasks:update:any'), loadReadableTask, requireTaskUpdate('Not authorized to add attachments to this task'), singleFileUpload, uploadAttachment);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/attachments/{attachmentId}/download:
+ *   get:
+ *     summary: Download an attachment
+ *     description: Sent with the stored content type and Content-Disposition attachment with the original file name.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: File contents
+ *       404:
+ *         description: Attachment not found
+ */
+router.get('/:id/attachments/:attachmentId/download', requirePermission('tasks:read:own', 'tasks:read:any'), loadReadableTask, downloadAttachment);
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/attachments/{attachmentId}:
+ *   delete:
+ *     summary: Delete an attachment
+ *     description: Allowed for the uploader and for users who can update the task; both need tasks:update:own or tasks:update:any.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Attachment deleted successfully
+ */
+router.delete('/:id/attachments/:attachmentId', requirePermission('tasks:update:own', 'tasks:update:any'), loadReadableTask, deleteAttachment);
 
 module.exports = router;
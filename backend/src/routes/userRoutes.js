@@ -1,19 +1,34 @@
 const express = require('express');
 const router = express.Router();
-const { getUsers, getUser, updateUser, deleteUser } = require('../controllers/userController');
-const { protect, authorize } = require('../middleware/auth');
-const { queryValidation } = require('../validators/taskValidator');
+const {
+  getUsers,
+  getUser,
+  unlockUser,
+  suspendUser,
+  deactivateUser,
+  reactivateUser,
+  updateUser,
+  deleteUser,
+} = require('../controllers/userController');
+const { createInvite, getInvites, revokeInvite } = require('../controllers/inviteController');
+const { startImpersonation } = require('../controllers/impersonationController');
+const { protect, requirePermission, forbidImpersonation } = require('../middleware/auth');
+const { createInviteValidation } = require('../validators/inviteValidator');
+const {
+  userQueryValidation,
+  updateUserValidation,
+  userStatusValidation,
+} = require('../validators/userValidator');
 const validate = require('../middleware/validate');
 
-// All routes are protected and require admin role
+// All routes are protected; each one requires a users:* permission
 router.use(protect);
-router.use(authorize('admin'));
 
 /**
  * @swagger
  * /api/v1/users:
  *   get:
- *     summary: Get all users (Admin only)
+ *     summary: Get all users (requires users:read)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -30,17 +45,94 @@ router.use(authorize('admin'));
  *         name: role
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, suspended, deactivated]
  *     responses:
  *       200:
  *         description: Users retrieved successfully
  */
-router.get('/', queryValidation, validate, getUsers);
+router.get('/', requirePermission('users:read'), userQueryValidation, validate, getUsers);
+
+/**
+ * @swagger
+ * /api/v1/users/invites:
+ *   post:
+ *     summary: Invite someone to create an account (requires users:invite)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [user, admin]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *     responses:
+ *       201:
+ *         description: Invitation sent successfully
+ *       400:
+ *         description: User with this email already exists
+ *       403:
+ *         description: The role grants permissions the inviter does not have
+ */
+router.post('/invites', requirePermission('users:invite'), createInviteValidation, validate, createInvite);
+
+/**
+ * @swagger
+ * /api/v1/users/invites:
+ *   get:
+ *     summary: Get pending invitations (requires users:invite)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ */
+router.get('/invites', requirePermission('users:invite'), getInvites);
+
+/**
+ * @swagger
+ * /api/v1/users/invites/{id}:
+ *   delete:
+ *     summary: Revoke a pending invitation (requires users:invite)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       404:
+ *         description: Invitation not found
+ */
+router.delete('/invites/:id', requirePermission('users:invite'), revokeInvite);
 
 /**
  * @swagger
  * /api/v1/users/{id}:
  *   get:
- *     summary: Get a single user (Admin only)
+ *     summary: Get a single user (requires users:read)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -54,13 +146,161 @@ router.get('/', queryValidation, validate, getUsers);
  *       200:
  *         description: User retrieved successfully
  */
-router.get('/:id', getUser);
+router.get('/:id', requirePermission('users:read'), getUser);
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/unlock:
+ *   post:
+ *     summary: Clear failed login attempts and lockout of a user (requires users:update)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User account unlocked
+ *       403:
+ *         description: The user's role grants permissions the caller does not have
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/unlock', requirePermission('users:update'), unlockUser);
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/suspend:
+ *   post:
+ *     summary: Suspend a user (requires users:suspend)
+ *     description: The user can no longer log in or use the API (including personal access tokens) and is signed out everywhere. Their tasks are kept and stay visible to admins.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Shown to the user when they try to log in
+ *     responses:
+ *       200:
+ *         description: User suspended
+ *       400:
+ *         description: Own account, or the last active user who can manage users or roles
+ *       403:
+ *         description: The user's role grants permissions the caller does not have
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/suspend', requirePermission('users:suspend'), userStatusValidation, validate, suspendUser);
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/deactivate:
+ *   post:
+ *     summary: Deactivate a user (requires users:suspend)
+ *     description: For accounts that are no longer in use, e.g. someone who left. Same effect as a suspension.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Shown to the user when they try to log in
+ *     responses:
+ *       200:
+ *         description: User deactivated
+ *       400:
+ *         description: Own account, or the last active user who can manage users or roles
+ *       403:
+ *         description: The user's role grants permissions the caller does not have
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/deactivate', requirePermission('users:suspend'), userStatusValidation, validate, deactivateUser);
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/reactivate:
+ *   post:
+ *     summary: Reactivate a suspended or deactivated user (requires users:suspend)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: User reactivated
+ *       400:
+ *         description: User is already active
+ *       403:
+ *         description: The user's role grants permissions the caller does not have
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/reactivate', requirePermission('users:suspend'), reactivateUser);
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/impersonate:
+ *   post:
+ *     summary: View the app as a user (requires users:impersonate)
+ *     description: Issues a short-lived access token that acts as the user on behalf of the admin (`act` claim). Password changes, token creation and other account actions are refused while impersonating, and every request is written to the impersonation log. In cookie mode the access cookie is replaced instead of returning the token.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Impersonation started
+ *       403:
+ *         description: Target can impersonate others or has permissions the caller lacks, or the request is not from an interactive login
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/impersonate', requirePermission('users:impersonate'), forbidImpersonation, startImpersonation);
 
 /**
  * @swagger
  * /api/v1/users/{id}:
  *   put:
- *     summary: Update a user (Admin only)
+ *     summary: Update a user (requires users:update)
+ *     description: A changed email address has to be verified again; a verification email is sent to it.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -86,14 +326,19 @@ router.get('/:id', getUser);
  *     responses:
  *       200:
  *         description: User updated successfully
+ *       403:
+ *         description: The new or current role grants permissions the caller does not have
+ *       404:
+ *         description: User not found
  */
-router.put('/:id', updateUser);
+router.put('/:id', requirePermission('users:update'), updateUserValidation, validate, updateUser);
 
 /**
  * @swagger
  * /api/v1/users/{id}:
  *   delete:
- *     summary: Delete a user (Admin only)
+ *     summary: Delete a user (requires users:delete)
+ *     description: Deletes the user's personal tasks. Their tasks in projects with other members are handed to an owner of the project (a member is promoted if the user was the only owner); projects without other members are deleted.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -106,7 +351,11 @@ router.put('/:id', updateUser);
  *     responses:
  *       200:
  *         description: User deleted successfully
+ *       403:
+ *         description: The user's role grants permissions the caller does not have
+ *       404:
+ *         description: User not found
  */
-router.delete('/:id', deleteUser);
+router.delete('/:id', requirePermission('users:delete'), deleteUser);
 
 module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const { getJwksDocument } = require('../controllers/keyController');
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: Public keys for verifying access tokens
+ *     description: JSON Web Key Set with the active key and retired keys that are still within their overlap window. Match a token's `kid` header against these keys; re-fetch the set when a `kid` is unknown.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: JSON Web Key Set
+ */
+router.get('/jwks.json', getJwksDocument);
+
+module.exports = router;
@@ -4,6 +4,7 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
+const cookieParser = require('cookie-parser');
 const rateLimit = require('express-rate-limit');
 const swaggerUi = require('swagger-ui-express');
 
@@ -13,7 +14,13 @@ const { errorHandler, notFound } = require('./middleware/errorHandler');
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const taskRoutes = require('./routes/taskRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const projectRoutes = require('./routes/projectRoutes');
 const userRoutes = require('./routes/userRoutes');
+const settingsRoutes = require('./routes/settingsRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const securityEventRoutes = require('./routes/securityEventRoutes');
+const wellKnownRoutes = require('./routes/wellKnownRoutes');
 
 const app = express();
 
@@ -29,6 +36,7 @@ app.use(cors({
 // Body parser middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 
 // Logging middleware
 if (process.env.NODE_ENV === 'development') {
@@ -65,11 +73,19 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Key discovery for services that verify our access tokens
+app.use('/.well-known', wellKnownRoutes);
+
 // API routes
 const API_VERSION = process.env.API_VERSION || 'v1';
 app.use(`/api/${API_VERSION}/auth`, authRoutes);
 app.use(`/api/${API_VERSION}/tasks`, taskRoutes);
+app.use(`/api/${API_VERSION}/tags`, tagRoutes);
+app.use(`/api/${API_VERSION}/projects`, projectRoutes);
 app.use(`/api/${API_VERSION}/users`, userRoutes);
+app.use(`/api/${API_VERSION}/settings`, settingsRoutes);
+app.use(`/api/${API_VERSION}/roles`, roleRoutes);
+app.use(`/api/${API_VERSION}/security-events`, securityEventRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -82,6 +98,9 @@ app.get('/', (req, res) => {
       auth: `/api/${API_VERSION}/auth`,
       tasks: `/api/${API_VERSION}/tasks`,
       users: `/api/${API_VERSION}/users`,
+      settings: `/api/${API_VERSION}/settings`,
+      roles: `/api/${API_VERSION}/roles`,
+      jwks: '/.well-known/jwks.json',
     },
   });
 });
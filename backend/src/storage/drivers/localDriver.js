@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+
+// Keeps files in a directory on the API server's disk
+class LocalDriver {
+  constructor(options = {}) {
+    this.directory = path.resolve(options.directory);
+  }
+
+  // Keys are generated by the API, but never let one point outside the storage directory
+  resolve(key) {
+    const file = path.resolve(this.directory, key);
+
+    if (!file.startsWith(this.directory + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  }
+
+  async put(key, body) {
+    const file = this.resolve(key);
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, body);
+  }
+
+  async createReadStream(key) {
+    const file = this.resolve(key);
+
+    // Fail before the response starts rather than halfway through streaming it
+    await fs.promises.access(file);
+    return fs.createReadStream(file);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+module.exports = LocalDriver;
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as required for S3 object keys, keeping the slashes
+const encodeKey = (key) => key
+  .split('/')
+  .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`))
+  .join('/');
+
+// Stores files in an S3-compatible bucket (AWS S3, MinIO, ...) with Signature Version 4 requests
+class S3Driver {
+  constructor(options = {}) {
+    this.endpoint = new URL(options.endpoint || `https://s3.${options.region}.amazonaws.com`);
+    this.region = options.region || 'us-east-1';
+    this.bucket = options.bucket;
+    this.accessKeyId = options.accessKeyId;
+    this.secretAccessKey = options.secretAccessKey;
+    // Most self-hosted servers only support path-style URLs (endpoint/bucket/key)
+    this.forcePathStyle = options.forcePathStyle;
+  }
+
+  objectUrl(key) {
+    const url = new URL(this.endpoint);
+
+    if (this.forcePathStyle) {
+      url.pathname = `${url.pathname.replace(/\/$/, '')}/${this.bucket}/${encodeKey(key)}`;
+    } else {
+      url.hostname = `${this.bucket}.${url.hostname}`;
+      url.pathname = `/${encodeKey(key)}`;
+    }
+    return url;
+  }
+
+  // Authorization header for a request without query parameters
+  sign(method, url, headers, payloadHash) {
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+
+    const signed = {
+      ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate,
+    };
+    const names = Object.keys(signed).sort();
+    const signedHeaders = names.join(';');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      ...names.map(name => `${name}:${signed[name]}`),
+      '',
+      signedHeaders,
+      payloadHash,
+    ].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, date), this.region)
+    );
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+      ...signed,
+      authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    };
+  }
+
+  async request(method, key, { body, headers = {} } = {}) {
+    const url = this.objectUrl(key);
+    const response = await fetch(url, {
+      method,
+      headers: this.sign(method, url, headers, sha256(body || '')),
+      body,
+    });
+
+    if (!response.ok && !(method === 'DELETE' && response.status === 404)) {
+      const error = new Error(`S3 ${method} ${key} failed with status ${response.status}`);
+      error.statusCode = response.status === 404 ? 404 : 502;
+      throw error;
+    }
+    return response;
+  }
+
+  async put(key, body, { contentType } = {}) {
+    await this.request('PUT', key, {
+      body,
+      headers: { 'content-type': contentType || 'application/octet-stream' },
+    });
+  }
+
+  async createReadStream(key) {
+    const response = await this.request('GET', key);
+    return Readable.fromWeb(response.body);
+  }
+
+  async delete(key) {
+    await this.request('DELETE', key);
+  }
+}
+
+module.exports = S3Driver;
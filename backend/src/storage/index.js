@@ -0,0 +1,46 @@
+const path = require('path');
+const LocalDriver = require('./drivers/localDriver');
+const S3Driver = require('./drivers/s3Driver');
+
+let driver;
+
+// Build the driver selected by ATTACHMENT_STORAGE (local | s3)
+const createDriver = () => {
+  const type = process.env.ATTACHMENT_STORAGE || 'local';
+
+  switch (type) {
+    case 'local':
+      return new LocalDriver({
+        directory: process.env.ATTACHMENT_DIR || path.join(__dirname, '../../uploads'),
+      });
+    case 's3':
+      return new S3Driver({
+        endpoint: process.env.S3_ENDPOINT,
+        region: process.env.S3_REGION || 'us-east-1',
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      });
+    default:
+      throw new Error(`Unknown attachment storage: ${type}`);
+  }
+};
+
+// Every driver implements put(key, buffer, { contentType }), createReadStream(key) and delete(key)
+const getStorage = () => {
+  if (!driver) {
+    driver = createDriver();
+  }
+  return driver;
+};
+
+// Replace the driver (e.g. with an in-memory one in tests)
+const setStorage = (customDriver) => {
+  driver = customDriver;
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+};
@@ -0,0 +1,82 @@
+const User = require('../models/User');
+const Project = require('../models/Project');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const TaskAttachment = require('../models/TaskAttachment');
+const { sendMail, frontendUrl } = require('../mail');
+const { removeStoredFiles } = require('./attachments');
+
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+// Disable the account until the grace period ends; the purge job deletes it afterwards.
+// Returns the deletion time, or null if deletion was already scheduled.
+const scheduleAccountDeletion = async (user) => {
+  const deleteAt = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+  if (!(await User.scheduleDeletion(user.id, deleteAt))) {
+    return null;
+  }
+
+  // Nothing may act on the account while it waits for deletion
+  await Session.revokeAllForUser(user.id);
+  await PersonalAccessToken.deleteAllForUser(user.id);
+
+  try {
+    await sendMail(user.email, 'accountDeletionScheduled', {
+      username: user.username,
+      deleteAt: deleteAt.toUTCString(),
+      loginUrl: frontendUrl('/login'),
+    });
+  } catch (error) {
+    console.error('Failed to send account deletion email:', error.message);
+  }
+
+  return deleteAt;
+};
+
+// Body of the 403 returned when someone logs into an account awaiting deletion
+const buildPendingDeletionResponse = (user) => ({
+  success: false,
+  message: 'This account is scheduled for deletion',
+  data: {
+    accountPendingDeletion: true,
+    deletionScheduledAt: user.deletion_scheduled_at,
+  },
+});
+
+// Delete an account for good. Its personal tasks and tokens cascade; projects that others are
+// members of keep their tasks and an owner, and projects nobody else is in are deleted with it.
+const deleteUserAccount = async (userId) => {
+  const abandonedProjectIds = await Project.handOverFromUser(userId);
+  const storageKeys = await TaskAttachment.findStorageKeysForUser(userId);
+
+  for (const projectId of abandonedProjectIds) {
+    storageKeys.push(...(await TaskAttachment.findStorageKeysByProjectId(projectId)));
+    await Project.delete(projectId);
+  }
+
+  const deleted = await User.delete(userId);
+
+  // Files of the user's uploads and tasks are not covered by the database cascade
+  await removeStoredFiles(storageKeys);
+  return deleted;
+};
+
+// Hard-delete every account whose grace period is over
+const purgeDeletedAccounts = async () => {
+  const users = await User.findDueForDeletion();
+
+  for (const user of users) {
+    await deleteUserAccount(user.id);
+  }
+
+  return users;
+};
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  scheduleAccountDeletion,
+  buildPendingDeletionResponse,
+  deleteUserAccount,
+  purgeDeletedAccounts,
+};
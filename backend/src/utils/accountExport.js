@@ -0,0 +1,46 @@
+const Task = require('../models/Task');
+const TaskComment = require('../models/TaskComment');
+const TaskAttachment = require('../models/TaskAttachment');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const UserIdentity = require('../models/UserIdentity');
+const ImpersonationLog = require('../models/ImpersonationLog');
+const SecurityEvent = require('../models/SecurityEvent');
+
+const EXPORT_FORMAT_VERSION = 1;
+
+// Everything stored about a user, for the self-service data export.
+// Secrets (password and token hashes, 2FA secret) are never included.
+const buildAccountExport = async (user) => ({
+  format_version: EXPORT_FORMAT_VERSION,
+  exported_at: new Date().toISOString(),
+  profile: {
+    id: user.id,
+    username: user.username,
+    email: user.email,
+    email_verified_at: user.email_verified_at,
+    role: user.role,
+    two_factor_enabled: Boolean(user.two_factor_enabled_at),
+    password_changed_at: user.password_changed_at,
+    created_at: user.created_at,
+    updated_at: user.updated_at,
+  },
+  tasks: await Task.findAllByUserId(user.id),
+  tags: await Tag.findByUserId(user.id),
+  projects: await Project.findByUserId(user.id),
+  comments: await TaskComment.findAllByUserId(user.id),
+  attachments: await TaskAttachment.findByUserId(user.id),
+  linked_identities: await UserIdentity.findByUserId(user.id),
+  access_tokens: await PersonalAccessToken.findByUserId(user.id),
+  activity: {
+    sessions: await Session.findByUserId(user.id),
+    impersonations: await ImpersonationLog.findByUserId(user.id),
+    security_events: await SecurityEvent.findAllByUserId(user.id),
+  },
+});
+
+module.exports = {
+  buildAccountExport,
+};
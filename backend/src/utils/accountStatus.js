@@ -0,0 +1,24 @@
+const ACCOUNT_STATUSES = ['active', 'suspended', 'deactivated'];
+
+const STATUS_MESSAGES = {
+  suspended: 'Your account has been suspended',
+  deactivated: 'Your account has been deactivated',
+};
+
+const isAccountActive = (user) => user.status === 'active';
+
+// Body of the 403 returned to suspended or deactivated users (login and every protected route)
+const buildInactiveAccountResponse = (user) => ({
+  success: false,
+  message: `${STATUS_MESSAGES[user.status]}${user.status_reason ? `: ${user.status_reason}` : ''}. Please contact an administrator.`,
+  data: {
+    accountStatus: user.status,
+    reason: user.status_reason,
+  },
+});
+
+module.exports = {
+  ACCOUNT_STATUSES,
+  isAccountActive,
+  buildInactiveAccountResponse,
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const { getStorage } = require('../storage');
+
+const MB = 1024 * 1024;
+
+const DEFAULT_ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'application/zip',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+];
+
+const ATTACHMENT_LIMITS = {
+  maxFileSize: (parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || 10) * MB,
+  // Total size of everything a user has uploaded
+  userQuota: (parseInt(process.env.ATTACHMENT_USER_QUOTA_MB) || 100) * MB,
+  allowedTypes: process.env.ATTACHMENT_ALLOWED_TYPES
+    ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_ALLOWED_TYPES,
+};
+
+const formatMegabytes = (bytes) => `${Math.round((bytes / MB) * 10) / 10} MB`;
+
+// Random keys, so user-supplied file names never reach the storage backend
+const generateStorageKey = (taskId) => `tasks/${taskId}/${crypto.randomUUID()}`;
+
+// Keep only the base name, without control characters, as sent in Content-Disposition later
+const sanitizeFileName = (name) => {
+  const base = String(name || '').split(/[\\/]/).pop().replace(/[\x00-\x1f\x7f]/g, '').trim();
+  return (base || 'file').slice(0, 255);
+};
+
+// Delete stored files whose database rows are gone. Failures only leave orphaned files
+// behind, so they are logged rather than failing the request.
+const removeStoredFiles = async (storageKeys) => {
+  const results = await Promise.allSettled(storageKeys.map(key => getStorage().delete(key)));
+
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Failed to delete attachment file:', result.reason.message));
+};
+
+module.exports = {
+  ATTACHMENT_LIMITS,
+  formatMegabytes,
+  generateStorageKey,
+  sanitizeFileName,
+  removeStoredFiles,
+};
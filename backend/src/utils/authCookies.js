@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { getTokenExpiry } = require('./jwt');
+
+// Browsers opt in with `X-Auth-Mode: cookie`; API clients keep receiving tokens in the body
+const AUTH_MODE_HEADER = 'x-auth-mode';
+const CSRF_HEADER = 'x-csrf-token';
+
+const ACCESS_COOKIE = 'access_token';
+const REFRESH_COOKIE = 'refresh_token';
+const CSRF_COOKIE = 'csrf_token';
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const AUTH_COOKIE_SAMESITE = process.env.AUTH_COOKIE_SAMESITE || 'strict';
+
+const isCookieMode = (req) => req.get(AUTH_MODE_HEADER) === 'cookie';
+
+const cookieOptions = (overrides) => ({
+  secure: process.env.NODE_ENV === 'production' || AUTH_COOKIE_SAMESITE === 'none',
+  sameSite: AUTH_COOKIE_SAMESITE,
+  domain: process.env.AUTH_COOKIE_DOMAIN || undefined,
+  path: '/',
+  ...overrides,
+});
+
+// The refresh token is only sent to the auth routes that consume it
+const refreshCookiePath = (req) => req.baseUrl;
+
+// The CSRF cookie is readable by the frontend, which echoes it in the X-CSRF-Token header
+const setCsrfCookie = (res, maxAge) => {
+  const csrfToken = crypto.randomBytes(32).toString('hex');
+  res.cookie(CSRF_COOKIE, csrfToken, cookieOptions({ maxAge }));
+  return csrfToken;
+};
+
+const setAccessCookie = (res, accessToken) => {
+  res.cookie(ACCESS_COOKIE, accessToken, cookieOptions({
+    httpOnly: true,
+    maxAge: getTokenExpiry(accessToken).getTime() - Date.now(),
+  }));
+};
+
+// Hand out freshly issued tokens: in cookie mode they go into HttpOnly cookies and are
+// withheld from the body (scripts never see them); otherwise the body carries them
+const deliverTokens = (req, res, data) => {
+  if (!isCookieMode(req) || !data.accessToken) {
+    return data;
+  }
+
+  const { accessToken, refreshToken, ...rest } = data;
+  const refreshMaxAge = getTokenExpiry(refreshToken).getTime() - Date.now();
+
+  setAccessCookie(res, accessToken);
+  res.cookie(REFRESH_COOKIE, refreshToken, cookieOptions({
+    httpOnly: true,
+    path: refreshCookiePath(req),
+    maxAge: refreshMaxAge,
+  }));
+
+  return { ...rest, csrfToken: setCsrfCookie(res, refreshMaxAge) };
+};
+
+const clearAuthCookies = (req, res) => {
+  res.clearCookie(ACCESS_COOKIE, cookieOptions());
+  res.clearCookie(REFRESH_COOKIE, cookieOptions({ path: refreshCookiePath(req) }));
+  res.clearCookie(CSRF_COOKIE, cookieOptions());
+};
+
+// Double-submit check for cookie-authenticated requests: the header must match the cookie.
+// Other sites can make the browser send the cookie but cannot read it to set the header.
+const isCsrfValid = (req) => {
+  if (SAFE_METHODS.includes(req.method)) {
+    return true;
+  }
+
+  const cookie = req.cookies[CSRF_COOKIE];
+  const header = req.get(CSRF_HEADER);
+
+  if (!cookie || !header || cookie.length !== header.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(cookie), Buffer.from(header));
+};
+
+module.exports = {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  CSRF_COOKIE,
+  isCookieMode,
+  deliverTokens,
+  setAccessCookie,
+  clearAuthCookies,
+  setCsrfCookie,
+  isCsrfValid,
+};
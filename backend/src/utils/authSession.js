@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const {
+  generateAccessToken,
+  generateRefreshToken,
+  generateChallengeToken,
+  hashToken,
+  getTokenExpiry,
+} = require('./jwt');
+const { isTwoFactorRequired } = require('./securityPolicy');
+const { getRolePermissions } = require('./permissions');
+const User = require('../models/User');
+
+const IMPERSONATION_EXPIRE_MINUTES = parseInt(process.env.IMPERSONATION_EXPIRE_MINUTES) || 30;
+
+// Issue a refresh token for a token family and persist its hash
+const issueRefreshToken = async (userId, familyId) => {
+  const token = generateRefreshToken({ id: userId, family: familyId });
+
+  const record = await RefreshToken.create({
+    user_id: userId,
+    token_hash: hashToken(token),
+    family_id: familyId,
+    expires_at: getTokenExpiry(token),
+  });
+
+  return { token, record };
+};
+
+// Access tokens carry the session id so revoked sessions can be rejected
+const issueAccessToken = async (user, sessionId) => {
+  return await generateAccessToken({ id: user.id, role: user.role, sid: sessionId });
+};
+
+// Short-lived access token acting as `user` on behalf of `actor` (RFC 8693 `act` claim).
+// It runs on the actor's session, so logging that session out ends the impersonation too.
+const issueImpersonationToken = async (user, actor, sessionId) => {
+  return await generateAccessToken(
+    { id: user.id, role: user.role, sid: sessionId, act: { id: actor.id } },
+    { expiresIn: `${IMPERSONATION_EXPIRE_MINUTES}m` }
+  );
+};
+
+// Start a new session for a successful login and issue its tokens
+const startSession = async (user, req) => {
+  const session = await Session.create({
+    user_id: user.id,
+    token_family: crypto.randomUUID(),
+    user_agent: req.get('user-agent'),
+    ip_address: req.ip,
+  });
+
+  const { token: refreshToken } = await issueRefreshToken(user.id, session.token_family);
+  const accessToken = await issueAccessToken(user, session.id);
+
+  return { session, accessToken, refreshToken };
+};
+
+// Finish a login whose first factor succeeded (password or SSO): a 2FA challenge
+// when the user has it enabled, otherwise a new session. `restoreAccount` cancels a
+// scheduled deletion, after the second factor when there is one.
+const completeLogin = async (user, req, { restoreAccount = false } = {}) => {
+  if (user.two_factor_enabled_at) {
+    return {
+      message: 'Two-factor authentication required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken({ id: user.id, ...(restoreAccount && { restoreAccount: true }) }),
+      },
+    };
+  }
+
+  if (restoreAccount) {
+    await User.cancelDeletion(user.id);
+  }
+
+  const { accessToken, refreshToken } = await startSession(user, req);
+
+  return {
+    message: restoreAccount ? 'Welcome back! Your account has been restored.' : 'Login successful',
+    data: {
+      user: await buildUserPayload(user),
+      accessToken,
+      refreshToken,
+      ...(restoreAccount && { accountRestored: true }),
+    },
+  };
+};
+
+// Public representation of the authenticated user returned by auth endpoints
+const buildUserPayload = async (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  email_verified_at: user.email_verified_at,
+  role: user.role,
+  two_factor_enabled: Boolean(user.two_factor_enabled_at),
+  two_factor_required: await isTwoFactorRequired(user.role),
+  permissions: await getRolePermissions(user.role),
+});
+
+// The admin behind an impersonated request, shown by the frontend's banner
+const buildImpersonatorPayload = (actor, expiresAt) => ({
+  id: actor.id,
+  username: actor.username,
+  expires_at: expiresAt,
+});
+
+module.exports = {
+  buildUserPayload,
+  buildImpersonatorPayload,
+  issueRefreshToken,
+  issueAccessToken,
+  issueImpersonationToken,
+  startSession,
+  completeLogin,
+};
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const EmailVerificationToken = require('../models/EmailVerificationToken');
+const { hashToken } = require('./jwt');
+const { sendMail, frontendUrl } = require('../mail');
+
+const VERIFICATION_EXPIRE_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+
+// Issue a verification token for the user's current email and mail the link
+const sendVerificationEmail = async (user) => {
+  await EmailVerificationToken.invalidateForUser(user.id);
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await EmailVerificationToken.create({
+    user_id: user.id,
+    email: user.email,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + VERIFICATION_EXPIRE_HOURS * 60 * 60 * 1000),
+  });
+
+  try {
+    await sendMail(user.email, 'emailVerification', {
+      username: user.username,
+      verifyUrl: frontendUrl(`/verify-email?token=${token}`),
+      expiresInHours: VERIFICATION_EXPIRE_HOURS,
+    });
+  } catch (error) {
+    console.error('Failed to send verification email:', error.message);
+  }
+};
+
+// Seconds until the user may request another verification email (0 if allowed now)
+const getResendCooldown = async (userId) => {
+  const latest = await EmailVerificationToken.findLatestForUser(userId);
+
+  if (!latest) {
+    return 0;
+  }
+
+  const elapsed = (Date.now() - new Date(latest.created_at).getTime()) / 1000;
+  return Math.max(0, Math.ceil(RESEND_COOLDOWN_SECONDS - elapsed));
+};
+
+module.exports = {
+  sendVerificationEmail,
+  getResendCooldown,
+};
@@ -1,23 +1,61 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { getActiveSigningKey, getVerificationKey } = require('./signingKeys');
 
-// Generate access token
-const generateAccessToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d',
+const JWT_ISSUER = process.env.JWT_ISSUER || `http://localhost:${process.env.PORT || 5000}`;
+const JWT_AUDIENCE = process.env.JWT_AUDIENCE || 'task-manager-api';
+
+// Generate access token: signed with the active RS256/ES256 key (kid in the header),
+// or HS256 with JWT_SECRET until the first key is generated
+const generateAccessToken = async (payload, { expiresIn } = {}) => {
+  const options = {
+    expiresIn: expiresIn || process.env.JWT_EXPIRE || '7d',
+    issuer: JWT_ISSUER,
+    audience: JWT_AUDIENCE,
+  };
+  const signingKey = await getActiveSigningKey();
+
+  if (!signingKey) {
+    return jwt.sign(payload, process.env.JWT_SECRET, options);
+  }
+
+  return jwt.sign(payload, signingKey.privateKey, {
+    ...options,
+    algorithm: signingKey.algorithm,
+    keyid: signingKey.kid,
   });
 };
 
-// Generate refresh token
+// Generate refresh token (unique jti so every rotation yields a distinct token)
 const generateRefreshToken = (payload) => {
   return jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
     expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d',
+    jwtid: crypto.randomBytes(16).toString('hex'),
   });
 };
 
-// Verify access token
-const verifyAccessToken = (token) => {
+// Verify access token against the key named by its kid (retired keys verify until they expire).
+// Tokens without a kid are only accepted while no signing key exists yet.
+const verifyAccessToken = async (token) => {
+  const { kid } = jwt.decode(token, { complete: true })?.header || {};
+  let key = null;
+  let algorithms;
+
+  if (kid) {
+    const verificationKey = await getVerificationKey(kid);
+    key = verificationKey && verificationKey.publicKey;
+    algorithms = verificationKey && [verificationKey.algorithm];
+  } else if (!(await getActiveSigningKey())) {
+    key = process.env.JWT_SECRET;
+    algorithms = ['HS256'];
+  }
+
   try {
-    return jwt.verify(token, process.env.JWT_SECRET);
+    if (!key) {
+      throw new Error('Unknown signing key');
+    }
+
+    return jwt.verify(token, key, { algorithms, issuer: JWT_ISSUER, audience: JWT_AUDIENCE });
   } catch (error) {
     throw new Error('Invalid or expired token');
   }
@@ -32,9 +70,43 @@ const verifyRefreshToken = (token) => {
   }
 };
 
+// Login challenge tokens (second factor pending) use their own key so they can never pass as access tokens
+const challengeSecret = () => `${process.env.JWT_SECRET}:login-challenge`;
+
+// Generate login challenge token
+const generateChallengeToken = (payload) => {
+  return jwt.sign(payload, challengeSecret(), {
+    expiresIn: process.env.JWT_CHALLENGE_EXPIRE || '5m',
+  });
+};
+
+// Verify login challenge token
+const verifyChallengeToken = (token) => {
+  try {
+    return jwt.verify(token, challengeSecret());
+  } catch (error) {
+    throw new Error('Invalid or expired challenge token');
+  }
+};
+
+// Hash a token for storage (tokens are never persisted in plain text)
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Get expiry date of a signed token
+const getTokenExpiry = (token) => {
+  const { exp } = jwt.decode(token);
+  return new Date(exp * 1000);
+};
+
 module.exports = {
   generateAccessToken,
   generateRefreshToken,
   verifyAccessToken,
   verifyRefreshToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  hashToken,
+  getTokenExpiry,
 };
@@ -0,0 +1,90 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const { sendMail, frontendUrl } = require('../mail');
+
+const MAX_ACCOUNT_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const MAX_IP_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 50;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const ATTEMPT_WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15;
+
+// Accounts are keyed by normalized email so unknown emails are throttled the same way
+const accountKey = (email) => String(email).trim().toLowerCase();
+
+// Progressive delay before the next attempt: 2s, 4s, 8s ... from the third failure
+const progressiveDelaySeconds = (failedCount) => {
+  return failedCount >= 3 ? Math.min(2 ** (failedCount - 2), 60) : 0;
+};
+
+// Seconds until the account and the IP may try again (0 when allowed now)
+const getLoginRetryAfter = async (email, ip) => {
+  const [account, address] = await Promise.all([
+    LoginThrottle.find('account', accountKey(email)),
+    LoginThrottle.find('ip', ip),
+  ]);
+
+  return Math.max(account ? account.retry_after : 0, address ? address.retry_after : 0);
+};
+
+const notifyLockedAccount = async (user) => {
+  try {
+    await sendMail(user.email, 'accountLocked', {
+      username: user.username,
+      lockoutMinutes: LOCKOUT_MINUTES,
+      resetUrl: frontendUrl('/forgot-password'),
+    });
+  } catch (error) {
+    console.error('Failed to send account locked email:', error.message);
+  }
+};
+
+// Record a failed attempt for the account and the IP and apply delays/lockouts
+const registerFailedLogin = async (email, ip, user = null) => {
+  const [account, address] = await Promise.all([
+    LoginThrottle.recordFailure('account', accountKey(email), ATTEMPT_WINDOW_MINUTES),
+    LoginThrottle.recordFailure('ip', ip, ATTEMPT_WINDOW_MINUTES),
+  ]);
+
+  if (account.failed_count >= MAX_ACCOUNT_ATTEMPTS) {
+    await LoginThrottle.lock('account', account.identifier, LOCKOUT_MINUTES * 60);
+
+    // Notify once, when the lock is first reached
+    if (user && account.failed_count === MAX_ACCOUNT_ATTEMPTS) {
+      await notifyLockedAccount(user);
+    }
+  } else {
+    const delay = progressiveDelaySeconds(account.failed_count);
+    if (delay > 0) {
+      await LoginThrottle.lock('account', account.identifier, delay);
+    }
+  }
+
+  if (address.failed_count >= MAX_IP_ATTEMPTS) {
+    await LoginThrottle.lock('ip', ip, LOCKOUT_MINUTES * 60);
+  }
+};
+
+// A completed login clears the account's failures (the IP counter keeps running)
+const registerSuccessfulLogin = async (email) => {
+  await LoginThrottle.clear('account', accountKey(email));
+};
+
+const getAccountLockStatus = async (email) => {
+  const account = await LoginThrottle.find('account', accountKey(email));
+
+  return {
+    failed_attempts: account ? account.failed_count : 0,
+    locked: Boolean(account && account.retry_after > 0),
+    locked_until: account && account.retry_after > 0 ? account.locked_until : null,
+  };
+};
+
+const unlockAccount = async (email) => {
+  return await LoginThrottle.clear('account', accountKey(email));
+};
+
+module.exports = {
+  getLoginRetryAfter,
+  registerFailedLogin,
+  registerSuccessfulLogin,
+  getAccountLockStatus,
+  unlockAccount,
+};
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const API_BASE = `http://localhost:${process.env.PORT || 5000}/api/${process.env.API_VERSION || 'v1'}`;
+
+const OIDC_ISSUER = (process.env.OIDC_ISSUER || '').replace(/\/$/, '');
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID;
+const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET;
+const OIDC_REDIRECT_URI = process.env.OIDC_REDIRECT_URI || `${API_BASE}/auth/oidc/callback`;
+const OIDC_SCOPES = process.env.OIDC_SCOPES || 'openid email profile';
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const JWKS_REFRESH_MIN_MS = 60 * 1000;
+
+let discovery = { document: null, expiresAt: 0 };
+let jwks = { keys: [], fetchedAt: 0 };
+
+const isOidcEnabled = () => Boolean(OIDC_ISSUER && OIDC_CLIENT_ID);
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(body.error_description || body.error || `Request to ${url} failed with ${response.status}`);
+  }
+
+  return body;
+};
+
+// Provider metadata from /.well-known/openid-configuration (cached)
+const discover = async () => {
+  if (discovery.document && discovery.expiresAt > Date.now()) {
+    return discovery.document;
+  }
+
+  const document = await fetchJson(`${OIDC_ISSUER}/.well-known/openid-configuration`);
+
+  if (document.issuer.replace(/\/$/, '') !== OIDC_ISSUER) {
+    throw new Error('OIDC discovery issuer does not match OIDC_ISSUER');
+  }
+
+  discovery = { document, expiresAt: Date.now() + DISCOVERY_TTL_MS };
+  return document;
+};
+
+// Public key for an ID token; the key set is re-fetched when the provider rotates keys
+const getSigningKey = async (kid) => {
+  const findKey = () => jwks.keys.find(key => (kid ? key.kid === kid : key.use !== 'enc'));
+
+  if (!findKey() && Date.now() - jwks.fetchedAt > JWKS_REFRESH_MIN_MS) {
+    const { jwks_uri: jwksUri } = await discover();
+    const { keys = [] } = await fetchJson(jwksUri);
+    jwks = { keys, fetchedAt: Date.now() };
+  }
+
+  const jwk = findKey();
+
+  if (!jwk) {
+    throw new Error('No matching signing key for ID token');
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// PKCE verifier and its S256 challenge
+const createPkcePair = () => {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  return { verifier, challenge };
+};
+
+const buildAuthorizationUrl = async ({ state, nonce, codeChallenge }) => {
+  const { authorization_endpoint: authorizationEndpoint } = await discover();
+
+  const url = new URL(authorizationEndpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: OIDC_CLIENT_ID,
+    redirect_uri: OIDC_REDIRECT_URI,
+    scope: OIDC_SCOPES,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  }).toString();
+
+  return url.toString();
+};
+
+// Redeem the authorization code at the token endpoint
+const exchangeAuthorizationCode = async (code, codeVerifier) => {
+  const { token_endpoint: tokenEndpoint } = await discover();
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: OIDC_REDIRECT_URI,
+    client_id: OIDC_CLIENT_ID,
+    code_verifier: codeVerifier,
+  });
+
+  // Confidential clients authenticate with client_secret_post; public clients rely on PKCE
+  if (OIDC_CLIENT_SECRET) {
+    body.set('client_secret', OIDC_CLIENT_SECRET);
+  }
+
+  const tokens = await fetchJson(tokenEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body,
+  });
+
+  if (!tokens.id_token) {
+    throw new Error('Token response did not include an ID token');
+  }
+
+  return tokens;
+};
+
+// Verify signature, issuer, audience, expiry and nonce; returns the claims
+const verifyIdToken = async (idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) {
+    throw new Error('Malformed ID token');
+  }
+
+  const key = await getSigningKey(decoded.header.kid);
+  const { issuer } = await discover();
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer,
+    audience: OIDC_CLIENT_ID,
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+};
+
+module.exports = {
+  isOidcEnabled,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  verifyIdToken,
+};
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/User');
+const PasswordHistory = require('../models/PasswordHistory');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const { hashToken } = require('./jwt');
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const PASSWORD_POLICY = {
+  minLength: envInt('PASSWORD_MIN_LENGTH', 6),
+  requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+  requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+  requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+  requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+  // Reuse of the current password or the previous historyCount - 1 is refused (0 disables)
+  historyCount: envInt('PASSWORD_HISTORY_COUNT', 5),
+  // Passwords older than this must be changed at the next login (0 disables)
+  maxAgeDays: envInt('PASSWORD_MAX_AGE_DAYS', 0),
+  checkBreached: process.env.PASSWORD_BREACH_CHECK !== 'false',
+};
+
+const EXPIRED_PASSWORD_TOKEN_MINUTES = 15;
+
+const BREACHED_PASSWORDS_FILE = process.env.BREACHED_PASSWORDS_FILE
+  || path.join(__dirname, '../data/breached-passwords.txt');
+
+// Character rules, in the order their reasons are reported
+const RULES = [
+  {
+    code: 'too_short',
+    enabled: () => true,
+    test: (password) => password.length >= PASSWORD_POLICY.minLength,
+    message: () => `Password must be at least ${PASSWORD_POLICY.minLength} characters long`,
+  },
+  {
+    code: 'missing_lowercase',
+    enabled: () => PASSWORD_POLICY.requireLowercase,
+    test: (password) => /[a-z]/.test(password),
+    message: () => 'Password must contain a lowercase letter',
+  },
+  {
+    code: 'missing_uppercase',
+    enabled: () => PASSWORD_POLICY.requireUppercase,
+    test: (password) => /[A-Z]/.test(password),
+    message: () => 'Password must contain an uppercase letter',
+  },
+  {
+    code: 'missing_number',
+    enabled: () => PASSWORD_POLICY.requireNumber,
+    test: (password) => /\d/.test(password),
+    message: () => 'Password must contain a number',
+  },
+  {
+    code: 'missing_symbol',
+    enabled: () => PASSWORD_POLICY.requireSymbol,
+    test: (password) => /[^a-zA-Z0-9]/.test(password),
+    message: () => 'Password must contain a symbol',
+  },
+];
+
+// Breached password hashes grouped by 5-character SHA-1 prefix, the same k-anonymity
+// layout as the Have I Been Pwned range API. Loaded once, on first use.
+let breachedRanges = null;
+
+const loadBreachedRanges = async () => {
+  if (breachedRanges) {
+    return breachedRanges;
+  }
+
+  const ranges = new Map();
+
+  try {
+    const content = await fs.promises.readFile(BREACHED_PASSWORDS_FILE, 'utf8');
+
+    for (const line of content.split('\n')) {
+      const [prefix, suffix] = line.trim().toUpperCase().split(':');
+
+      if (prefix && suffix) {
+        if (!ranges.has(prefix)) {
+          ranges.set(prefix, new Set());
+        }
+        ranges.get(prefix).add(suffix);
+      }
+    }
+  } catch (error) {
+    console.error('Breached password list unavailable:', error.message);
+  }
+
+  breachedRanges = ranges;
+  return ranges;
+};
+
+const isBreachedPassword = async (password) => {
+  const hash = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+  const range = (await loadBreachedRanges()).get(hash.slice(0, 5));
+
+  return Boolean(range && range.has(hash.slice(5)));
+};
+
+// Every way a new password breaks the policy, as { code, message } (empty when it is acceptable)
+const checkPassword = async (password) => {
+  const violations = RULES
+    .filter(rule => rule.enabled() && !rule.test(password))
+    .map(rule => ({ code: rule.code, message: rule.message() }));
+
+  if (PASSWORD_POLICY.checkBreached && (await isBreachedPassword(password))) {
+    violations.push({
+      code: 'breached',
+      message: 'This password has appeared in a data breach. Please choose a different one.',
+    });
+  }
+
+  return violations;
+};
+
+// Whether the password matches the user's current or one of their recent passwords
+const isPasswordReused = async (userId, password) => {
+  if (PASSWORD_POLICY.historyCount <= 0) {
+    return false;
+  }
+
+  const user = await User.findByIdWithPassword(userId);
+  const previous = await PasswordHistory.findRecent(userId, PASSWORD_POLICY.historyCount - 1);
+
+  for (const hash of [user.password, ...previous]) {
+    if (await User.verifyPassword(password, hash)) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+const reusedPasswordError = (field) => ({
+  field,
+  code: 'reused',
+  message: `Password must differ from your last ${PASSWORD_POLICY.historyCount} passwords`,
+});
+
+// Set a new password and drop history entries the policy no longer needs
+const savePassword = async (userId, password) => {
+  await User.updatePassword(userId, password);
+  await PasswordHistory.prune(userId, Math.max(PASSWORD_POLICY.historyCount - 1, 0));
+};
+
+const isPasswordExpired = (user) => {
+  if (PASSWORD_POLICY.maxAgeDays <= 0) {
+    return false;
+  }
+
+  const changedAt = new Date(user.password_changed_at || user.created_at);
+  return Date.now() - changedAt.getTime() > PASSWORD_POLICY.maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+// Short-lived reset token handed back by login when the password has expired, so the
+// user can pick a new one straight away instead of going through the reset email
+const issueExpiredPasswordToken = async (userId) => {
+  await PasswordResetToken.invalidateForUser(userId);
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await PasswordResetToken.create({
+    user_id: userId,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + EXPIRED_PASSWORD_TOKEN_MINUTES * 60 * 1000),
+  });
+
+  return token;
+};
+
+// Requirements shown next to password fields
+const getPublicPolicy = () => ({ ...PASSWORD_POLICY });
+
+module.exports = {
+  checkPassword,
+  isBreachedPassword,
+  isPasswordReused,
+  reusedPasswordError,
+  savePassword,
+  isPasswordExpired,
+  issueExpiredPasswordToken,
+  getPublicPolicy,
+};
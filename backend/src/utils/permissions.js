@@ -0,0 +1,80 @@
+const Role = require('../models/Role');
+const User = require('../models/User');
+
+const CACHE_TTL_MS = 30 * 1000;
+
+// Short per-role cache: permissions are resolved on every authenticated request
+const cache = new Map();
+
+const getRolePermissions = async (roleName) => {
+  const cached = cache.get(roleName);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const permissions = await Role.getPermissionNames(roleName);
+  cache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+// Drop cached permissions after roles change (other instances pick it up within the TTL)
+const clearPermissionCache = () => {
+  cache.clear();
+};
+
+// `user.permissions` is set by the protect middleware
+const hasPermission = (user, permission) => {
+  return Boolean(user && user.permissions && user.permissions.includes(permission));
+};
+
+// Roles can be handed out (invites, role changes) by users who hold every permission the role
+// grants, so no one gives away more than they have. roles:manage can grant any role.
+const canGrantRole = async (user, roleName) => {
+  if (hasPermission(user, 'roles:manage')) {
+    return true;
+  }
+
+  const permissions = await getRolePermissions(roleName);
+  return permissions.every(permission => hasPermission(user, permission));
+};
+
+// Someone active has to keep these, or nobody could manage users and roles any more
+const ADMINISTRATION_PERMISSIONS = ['users:suspend', 'roles:manage'];
+
+// Whether the user is the last active one whose role grants one of the administration
+// permissions, and so may not be taken out of use
+const isLastAdministrator = async (user) => {
+  const permissions = (await getRolePermissions(user.role))
+    .filter(permission => ADMINISTRATION_PERMISSIONS.includes(permission));
+
+  if (permissions.length === 0) {
+    return false;
+  }
+
+  const roles = await Role.findAll();
+
+  for (const permission of permissions) {
+    const roleNames = [];
+
+    for (const role of roles) {
+      if ((await getRolePermissions(role.name)).includes(permission)) {
+        roleNames.push(role.name);
+      }
+    }
+
+    if ((await User.countActiveByRoles(roleNames)) <= 1) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+module.exports = {
+  canGrantRole,
+  isLastAdministrator,
+  getRolePermissions,
+  clearPermissionCache,
+  hasPermission,
+};
@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+const { hashToken } = require('./jwt');
+const { TOKEN_SCOPES } = require('../config/permissions');
+
+// Personal access tokens are recognisable by their prefix, JWTs never start with it
+const TOKEN_PREFIX = 'pat_';
+
+const isPersonalAccessToken = (token) => token.startsWith(TOKEN_PREFIX);
+
+// New random token plus what gets stored: a short display prefix and the hash
+const generatePersonalAccessToken = () => {
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+  return {
+    token,
+    tokenPrefix: token.substring(0, 12),
+    tokenHash: hashToken(token),
+  };
+};
+
+// Narrow a role's permissions to what the token's scopes cover
+const getScopedPermissions = (permissions, scopes) => {
+  const allowed = scopes.flatMap(scope => TOKEN_SCOPES[scope] || []);
+  return permissions.filter(permission => allowed.includes(permission));
+};
+
+module.exports = {
+  isPersonalAccessToken,
+  generatePersonalAccessToken,
+  getScopedPermissions,
+};
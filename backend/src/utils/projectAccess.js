@@ -0,0 +1,21 @@
+const ProjectMember = require('../models/ProjectMember');
+
+// Project roles from least to most privileged: viewers read the project's tasks and
+// comment on them, editors also add and change tasks, owners manage the project itself
+const PROJECT_ROLES = ['viewer', 'editor', 'owner'];
+
+// Whether `role` (null for non-members) is at least `minimum`
+const hasProjectRole = (role, minimum) => {
+  return PROJECT_ROLES.indexOf(role) >= PROJECT_ROLES.indexOf(minimum);
+};
+
+// The user's role in the task's project, or null for personal tasks and non-members
+const getTaskProjectRole = async (user, task) => {
+  return task.project_id ? await ProjectMember.findRole(task.project_id, user.id) : null;
+};
+
+module.exports = {
+  PROJECT_ROLES,
+  hasProjectRole,
+  getTaskProjectRole,
+};
@@ -0,0 +1,42 @@
+const SecurityEvent = require('../models/SecurityEvent');
+
+// Every event type written to security_events (the admin endpoint filters on these)
+const SECURITY_EVENT_TYPES = [
+  'register',
+  'login',
+  'two_factor_challenge',
+  'token_refresh',
+  'logout',
+  'profile_update',
+  'password_change',
+  'password_reset_request',
+  'password_reset',
+  'two_factor_enabled',
+  'two_factor_disabled',
+  'recovery_codes_regenerated',
+  'session_revoked',
+  'access_token_created',
+  'access_token_revoked',
+  'account_deletion_requested',
+  'account_status_changed',
+];
+
+// Record an event for the request's client without holding up or failing the response.
+// `user` may be omitted for attempts that do not match an account; `email` keeps the attempted address.
+// Actions taken while impersonating are attributed to the admin in `details`.
+const recordSecurityEvent = (req, { type, outcome = 'success', user, email, details }) => {
+  SecurityEvent.create({
+    user_id: user ? user.id : null,
+    email: email || (user && user.email),
+    event_type: type,
+    outcome,
+    ip_address: req.ip,
+    user_agent: req.get('user-agent'),
+    details: req.actor ? { ...details, impersonatedBy: req.actor.id } : details,
+  }).catch(error => console.error('Failed to record security event:', error.message));
+};
+
+module.exports = {
+  SECURITY_EVENT_TYPES,
+  recordSecurityEvent,
+};
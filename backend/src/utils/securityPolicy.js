@@ -0,0 +1,35 @@
+const Setting = require('../models/Setting');
+
+const TWO_FACTOR_ROLES_KEY = 'two_factor_required_roles';
+const CACHE_TTL_MS = 30 * 1000;
+
+// Short cache: the policy is read on every authenticated request
+let cache = { roles: null, expiresAt: 0 };
+
+// Roles whose members must have two-factor authentication enabled
+const getTwoFactorRequiredRoles = async () => {
+  if (cache.roles && cache.expiresAt > Date.now()) {
+    return cache.roles;
+  }
+
+  const roles = await Setting.get(TWO_FACTOR_ROLES_KEY, []);
+  cache = { roles, expiresAt: Date.now() + CACHE_TTL_MS };
+  return roles;
+};
+
+const setTwoFactorRequiredRoles = async (roles) => {
+  await Setting.set(TWO_FACTOR_ROLES_KEY, roles);
+  cache = { roles, expiresAt: Date.now() + CACHE_TTL_MS };
+  return roles;
+};
+
+const isTwoFactorRequired = async (role) => {
+  const roles = await getTwoFactorRequiredRoles();
+  return roles.includes(role);
+};
+
+module.exports = {
+  getTwoFactorRequiredRoles,
+  setTwoFactorRequiredRoles,
+  isTwoFactorRequired,
+};
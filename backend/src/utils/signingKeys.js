@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const SigningKey = require('../models/SigningKey');
+const { encrypt, decrypt } = require('./secretBox');
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+const CACHE_TTL_MS = 30 * 1000;
+// A token signed by a key this instance has not loaded yet triggers a reload, at most this often
+const MIN_RELOAD_MS = 5 * 1000;
+
+let cache = { keyring: null, loadedAt: 0 };
+
+const generateKeyPair = (algorithm) => {
+  if (algorithm === 'ES256') {
+    return crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  }
+  return crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+};
+
+// New key material ready to be stored; the private key is encrypted with DATA_ENCRYPTION_KEY
+const createSigningKey = (algorithm) => {
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unsupported signing algorithm: ${algorithm} (use ${SUPPORTED_ALGORITHMS.join(' or ')})`);
+  }
+
+  const { publicKey, privateKey } = generateKeyPair(algorithm);
+
+  return {
+    kid: crypto.randomBytes(8).toString('hex'),
+    algorithm,
+    public_key: publicKey.export({ type: 'spki', format: 'pem' }),
+    private_key: encrypt(privateKey.export({ type: 'pkcs8', format: 'pem' })),
+  };
+};
+
+// Active signing key plus every key that still verifies, cached briefly so
+// rotations on one instance reach the others within the TTL
+const loadKeyring = async ({ force = false } = {}) => {
+  const maxAge = force ? MIN_RELOAD_MS : CACHE_TTL_MS;
+
+  if (cache.keyring && Date.now() - cache.loadedAt < maxAge) {
+    return cache.keyring;
+  }
+
+  const rows = await SigningKey.findUsable();
+  const active = rows.find(row => !row.retired_at);
+
+  const keyring = {
+    signing: active
+      ? {
+        kid: active.kid,
+        algorithm: active.algorithm,
+        privateKey: crypto.createPrivateKey(decrypt(active.private_key)),
+      }
+      : null,
+    verification: new Map(rows.map(row => [row.kid, {
+      algorithm: row.algorithm,
+      publicKey: crypto.createPublicKey(row.public_key),
+    }])),
+  };
+
+  cache = { keyring, loadedAt: Date.now() };
+  return keyring;
+};
+
+// Key that signs new access tokens; null until the first key is generated
+const getActiveSigningKey = async () => {
+  return (await loadKeyring()).signing;
+};
+
+const getVerificationKey = async (kid) => {
+  const keyring = await loadKeyring();
+
+  if (keyring.verification.has(kid)) {
+    return keyring.verification.get(kid);
+  }
+
+  return (await loadKeyring({ force: true })).verification.get(kid) || null;
+};
+
+// Public keys for /.well-known/jwks.json
+const getJwks = async () => {
+  const { verification } = await loadKeyring();
+
+  return {
+    keys: [...verification].map(([kid, { algorithm, publicKey }]) => ({
+      ...publicKey.export({ format: 'jwk' }),
+      kid,
+      alg: algorithm,
+      use: 'sig',
+    })),
+  };
+};
+
+const clearKeyringCache = () => {
+  cache = { keyring: null, loadedAt: 0 };
+};
+
+module.exports = {
+  SUPPORTED_ALGORITHMS,
+  createSigningKey,
+  getActiveSigningKey,
+  getVerificationKey,
+  getJwks,
+  clearKeyringCache,
+};
@@ -0,0 +1,48 @@
+const Task = require('../models/Task');
+const { canUpdateTask } = require('./taskAccess');
+
+// How many levels of subtasks a top-level task can have
+const SUBTASK_MAX_DEPTH = parseInt(process.env.SUBTASK_MAX_DEPTH) || 3;
+
+// Load the parent of a new subtask, or of `task` when it is moved under another task, and
+// check it can take it. Resolves to { parent }, or to { error: { status, message } }.
+const resolveParent = async (user, parentId, task = null) => {
+  const parent = await Task.findById(parentId);
+
+  if (!parent) {
+    return { error: { status: 404, message: 'Parent task not found' } };
+  }
+
+  if (!(await canUpdateTask(user, parent))) {
+    return { error: { status: 403, message: 'Not authorized to add subtasks to this task' } };
+  }
+
+  const depth = (await Task.findAncestorIds(parent.id)).length + 1;
+  let height = 0;
+
+  if (task) {
+    const descendants = await Task.findDescendants(task.id);
+
+    if (parent.id === task.id || descendants.ids.includes(parent.id)) {
+      return { error: { status: 400, message: 'A task cannot be moved under itself or one of its subtasks' } };
+    }
+
+    // Subtasks of personal tasks have to stay visible to the parent's owner, all the way down
+    if (!parent.project_id && (await Task.hasOtherOwners(task.id, parent.user_id))) {
+      return { error: { status: 400, message: 'Subtasks of a personal task must have the same owner' } };
+    }
+
+    height = descendants.height;
+  }
+
+  if (depth + height > SUBTASK_MAX_DEPTH) {
+    return { error: { status: 400, message: `Subtasks can be nested at most ${SUBTASK_MAX_DEPTH} levels deep` } };
+  }
+
+  return { parent };
+};
+
+module.exports = {
+  SUBTASK_MAX_DEPTH,
+  resolveParent,
+};
@@ -0,0 +1,59 @@
+const { hasPermission } = require('./permissions');
+const { hasProjectRole, getTaskProjectRole } = require('./projectAccess');
+
+// Personal tasks are reachable by their owner, project tasks by the project's members
+// (viewers read, editors and owners change). The :own permissions are still required,
+// and the :any permissions reach every task.
+const hasTaskAccess = async (user, task, { own, any, projectRole, assignee = false }) => {
+  if (hasPermission(user, any)) {
+    return true;
+  }
+
+  if (!hasPermission(user, own)) {
+    return false;
+  }
+
+  if (assignee && task.assignee_id === user.id) {
+    return true;
+  }
+
+  if (!task.project_id) {
+    return task.user_id === user.id;
+  }
+
+  return hasProjectRole(await getTaskProjectRole(user, task), projectRole);
+};
+
+const canReadTask = (user, task) => {
+  return hasTaskAccess(user, task, { own: 'tasks:read:own', any: 'tasks:read:any', projectRole: 'viewer', assignee: true });
+};
+
+const canUpdateTask = (user, task) => {
+  return hasTaskAccess(user, task, { own: 'tasks:update:own', any: 'tasks:update:any', projectRole: 'editor' });
+};
+
+const canDeleteTask = (user, task) => {
+  return hasTaskAccess(user, task, { own: 'tasks:delete:own', any: 'tasks:delete:any', projectRole: 'editor' });
+};
+
+// Assignees who cannot otherwise update a task may still change its status
+const canUpdateTaskStatus = async (user, task) => {
+  return (task.assignee_id === user.id && hasPermission(user, 'tasks:update:own'))
+    || (await canUpdateTask(user, task));
+};
+
+// Tasks linked to one the user can see (dependencies, graph nodes) may themselves be out of
+// reach; those are reduced to their ID and status
+const redactUnreadableTasks = (user, tasks) => Promise.all(tasks.map(async (task) => (
+  (await canReadTask(user, task))
+    ? task
+    : { id: task.id, status: task.status, ...(task.blocked !== undefined && { blocked: task.blocked }), restricted: true }
+)));
+
+module.exports = {
+  canReadTask,
+  canUpdateTask,
+  canUpdateTaskStatus,
+  canDeleteTask,
+  redactUnreadableTasks,
+};
@@ -1,4 +1,21 @@
 const { body } = require('express-validator');
+const { TOKEN_SCOPES } = require('../config/permissions');
+const { checkPassword } = require('../utils/passwordPolicy');
+
+// Password policy shared by every endpoint that sets a password. A failing password
+// reports every rule it breaks, so the client can list them all at once.
+const passwordStrength = (field = 'password') =>
+  body(field)
+    .isString()
+    .withMessage('Password is required')
+    .bail()
+    .custom(async (value) => {
+      const violations = await checkPassword(value);
+
+      if (violations.length > 0) {
+        throw violations;
+      }
+    });
 
 const registerValidation = [
   body('username')
@@ -14,16 +31,12 @@ const registerValidation = [
     .withMessage('Please provide a valid email')
     .normalizeEmail(),
   
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+  passwordStrength(),
   
-  body('role')
+  body('inviteToken')
     .optional()
-    .isIn(['user', 'admin'])
-    .withMessage('Role must be either user or admin'),
+    .isString()
+    .withMessage('Invite token must be a string'),
 ];
 
 const loginValidation = [
@@ -36,9 +49,142 @@ const loginValidation = [
   body('password')
     .notEmpty()
     .withMessage('Password is required'),
+  
+  body('restoreAccount')
+    .optional()
+    .isBoolean()
+    .withMessage('restoreAccount must be a boolean')
+    .toBoolean(),
+];
+
+const updateProfileValidation = [
+  body('username')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Username must be between 3 and 50 characters')
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username can only contain letters, numbers, and underscores'),
+  
+  body('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+];
+
+const resetPasswordValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  
+  passwordStrength(),
+];
+
+const changePasswordValidation = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  
+  passwordStrength('newPassword')
+    .custom((value, { req }) => value !== req.body.currentPassword)
+    .withMessage('New password must be different from the current password'),
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+];
+
+// Either a TOTP code or a recovery code must be supplied
+const secondFactorRule = body('code')
+  .custom((value, { req }) => Boolean(value || req.body.recoveryCode))
+  .withMessage('A two-factor code or recovery code is required');
+
+const twoFactorLoginValidation = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  
+  secondFactorRule,
+];
+
+const disableTwoFactorValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  
+  secondFactorRule,
+];
+
+const verifyEmailValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage('Verification token is required'),
+];
+
+const oidcExchangeValidation = [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('SSO code is required'),
+  
+  body('restoreAccount')
+    .optional()
+    .isBoolean()
+    .withMessage('restoreAccount must be a boolean')
+    .toBoolean(),
+];
+
+const deleteAccountValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+];
+
+const createTokenValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  
+  body('scopes.*')
+    .isIn(Object.keys(TOKEN_SCOPES))
+    .withMessage(`Scope must be one of: ${Object.keys(TOKEN_SCOPES).join(', ')}`),
+  
+  body('expiresInDays')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 365 })
+    .withMessage('expiresInDays must be between 1 and 365'),
 ];
 
 module.exports = {
   registerValidation,
   loginValidation,
+  updateProfileValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  changePasswordValidation,
+  twoFactorCodeValidation,
+  twoFactorLoginValidation,
+  disableTwoFactorValidation,
+  verifyEmailValidation,
+  oidcExchangeValidation,
+  createTokenValidation,
+  deleteAccountValidation,
 };
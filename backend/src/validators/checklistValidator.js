@@ -0,0 +1,39 @@
+const { body } = require('express-validator');
+
+const createChecklistItemValidation = [
+  body('body')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Checklist item must be between 1 and 500 characters'),
+];
+
+const updateChecklistItemValidation = [
+  body('body')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Checklist item must be between 1 and 500 characters'),
+  
+  body('completed')
+    .optional()
+    .isBoolean()
+    .withMessage('completed must be a boolean')
+    .toBoolean(),
+];
+
+const reorderChecklistValidation = [
+  body('itemIds')
+    .isArray()
+    .withMessage('itemIds must be an array'),
+  
+  body('itemIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Each item ID must be a positive integer')
+    .toInt(),
+];
+
+module.exports = {
+  createChecklistItemValidation,
+  updateChecklistItemValidation,
+  reorderChecklistValidation,
+};
@@ -0,0 +1,40 @@
+const { body, query } = require('express-validator');
+
+const commentBody = body('body')
+  .trim()
+  .notEmpty()
+  .withMessage('Comment cannot be empty')
+  .isLength({ max: 5000 })
+  .withMessage('Comment must not exceed 5000 characters');
+
+const createCommentValidation = [
+  commentBody,
+  
+  body('parentId')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('parentId must be a comment id')
+    .toInt(),
+];
+
+const updateCommentValidation = [
+  commentBody,
+];
+
+const commentQueryValidation = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a positive number'),
+];
+
+module.exports = {
+  createCommentValidation,
+  updateCommentValidation,
+  commentQueryValidation,
+};
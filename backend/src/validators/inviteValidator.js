@@ -0,0 +1,21 @@
+const { body } = require('express-validator');
+const { roleExists } = require('./roleValidator');
+
+const createInviteValidation = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  
+  roleExists().optional(),
+  
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 30 })
+    .withMessage('expiresInDays must be between 1 and 30'),
+];
+
+module.exports = {
+  createInviteValidation,
+};
@@ -0,0 +1,51 @@
+const { body } = require('express-validator');
+const { PROJECT_ROLES } = require('../utils/projectAccess');
+
+const createProjectValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim(),
+];
+
+const updateProjectValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim(),
+];
+
+const addMemberValidation = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  
+  body('role')
+    .optional()
+    .isIn(PROJECT_ROLES)
+    .withMessage(`Role must be one of: ${PROJECT_ROLES.join(', ')}`),
+];
+
+const updateMemberValidation = [
+  body('role')
+    .isIn(PROJECT_ROLES)
+    .withMessage(`Role must be one of: ${PROJECT_ROLES.join(', ')}`),
+];
+
+module.exports = {
+  createProjectValidation,
+  updateProjectValidation,
+  addMemberValidation,
+  updateMemberValidation,
+};
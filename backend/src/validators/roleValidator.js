@@ -0,0 +1,54 @@
+const { body } = require('express-validator');
+const Role = require('../models/Role');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Role names refer to rows in the roles table, so they are checked against the database
+const roleExists = (field = 'role') =>
+  body(field)
+    .custom(async (value) => {
+      if (!(await Role.findByName(value))) {
+        throw new Error(`Role '${value}' does not exist`);
+      }
+      return true;
+    });
+
+const permissionsValidation = ({ optional = false } = {}) => [
+  (optional ? body('permissions').optional() : body('permissions'))
+    .isArray()
+    .withMessage('permissions must be an array'),
+  
+  body('permissions.*')
+    .isIn(Object.keys(PERMISSIONS))
+    .withMessage('Unknown permission'),
+];
+
+const createRoleValidation = [
+  body('name')
+    .trim()
+    .matches(/^[a-z][a-z0-9_-]{1,49}$/)
+    .withMessage('Role name must be 2-50 lowercase letters, numbers, dashes or underscores'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description cannot exceed 255 characters'),
+  
+  ...permissionsValidation(),
+];
+
+const updateRoleValidation = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description cannot exceed 255 characters'),
+  
+  ...permissionsValidation({ optional: true }),
+];
+
+module.exports = {
+  roleExists,
+  createRoleValidation,
+  updateRoleValidation,
+};
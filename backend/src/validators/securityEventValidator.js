@@ -0,0 +1,54 @@
+const { query } = require('express-validator');
+const { SECURITY_EVENT_TYPES } = require('../utils/securityEvents');
+
+const pagination = (maxLimit) => [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: maxLimit })
+    .withMessage(`Limit must be between 1 and ${maxLimit}`),
+  
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a positive number'),
+];
+
+const activityQueryValidation = pagination(50);
+
+const securityEventQueryValidation = [
+  ...pagination(200),
+  
+  query('userId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('userId must be a positive integer')
+    .toInt(),
+  
+  query('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  
+  query('type')
+    .optional()
+    .isIn(SECURITY_EVENT_TYPES)
+    .withMessage(`Type must be one of: ${SECURITY_EVENT_TYPES.join(', ')}`),
+  
+  query('outcome')
+    .optional()
+    .isIn(['success', 'failure'])
+    .withMessage('Outcome must be either success or failure'),
+  
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('from and to must be ISO 8601 dates')
+    .toDate(),
+];
+
+module.exports = {
+  activityQueryValidation,
+  securityEventQueryValidation,
+};
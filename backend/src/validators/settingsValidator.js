@@ -0,0 +1,14 @@
+const { body } = require('express-validator');
+const { roleExists } = require('./roleValidator');
+
+const securitySettingsValidation = [
+  body('twoFactorRequiredRoles')
+    .isArray()
+    .withMessage('twoFactorRequiredRoles must be an array'),
+  
+  roleExists('twoFactorRequiredRoles.*'),
+];
+
+module.exports = {
+  securitySettingsValidation,
+};
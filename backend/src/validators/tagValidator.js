@@ -0,0 +1,37 @@
+const { body } = require('express-validator');
+
+const createTagValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters')
+    .not()
+    .contains(',')
+    .withMessage('Name cannot contain commas'),
+  
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex color such as #3b82f6'),
+];
+
+const updateTagValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters')
+    .not()
+    .contains(',')
+    .withMessage('Name cannot contain commas'),
+  
+  body('color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex color such as #3b82f6'),
+];
+
+module.exports = {
+  createTagValidation,
+  updateTagValidation,
+};
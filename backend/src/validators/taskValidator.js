@@ -28,6 +28,46 @@ const createTaskValidation = [
     .optional()
     .isISO8601()
     .withMessage('Due date must be a valid date'),
+  
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tags must be an array of at most 20 names'),
+  
+  body('tags.*')
+    .isString()
+    .withMessage('Each tag must be a string')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Tag names must be between 1 and 50 characters')
+    .not()
+    .contains(',')
+    .withMessage('Tag names cannot contain commas'),
+  
+  body('project_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Project ID must be a positive integer')
+    .toInt(),
+  
+  body('assignee_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Assignee ID must be a positive integer')
+    .toInt(),
+  
+  body('parent_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Parent ID must be a positive integer')
+    .toInt(),
+  
+  body('auto_complete')
+    .optional()
+    .isBoolean()
+    .withMessage('auto_complete must be a boolean')
+    .toBoolean(),
 ];
 
 const updateTaskValidation = [
@@ -59,8 +99,62 @@ const updateTaskValidation = [
     .optional()
     .isISO8601()
     .withMessage('Due date must be a valid date'),
+  
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tags must be an array of at most 20 names'),
+  
+  body('tags.*')
+    .isString()
+    .withMessage('Each tag must be a string')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Tag names must be between 1 and 50 characters')
+    .not()
+    .contains(',')
+    .withMessage('Tag names cannot contain commas'),
+  
+  body('project_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Project ID must be a positive integer')
+    .toInt(),
+  
+  body('assignee_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Assignee ID must be a positive integer')
+    .toInt(),
+  
+  body('parent_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Parent ID must be a positive integer')
+    .toInt(),
+  
+  body('auto_complete')
+    .optional()
+    .isBoolean()
+    .withMessage('auto_complete must be a boolean')
+    .toBoolean(),
+  
+  body('force')
+    .optional()
+    .isBoolean()
+    .withMessage('force must be a boolean')
+    .toBoolean(),
 ];
 
+// A user ID filter, where `me` stands for the current user
+const userFilter = (field) =>
+  query(field)
+    .optional()
+    .custom(value => value === 'me' || /^[1-9]\d*$/.test(value))
+    .withMessage(`${field} must be a user ID or me`)
+    .customSanitizer((value, { req }) => (value === 'me' ? req.user.id : parseInt(value)));
+
 const queryValidation = [
   query('limit')
     .optional()
@@ -81,10 +175,78 @@ const queryValidation = [
     .optional()
     .isIn(['low', 'medium', 'high', 'urgent'])
     .withMessage('Invalid priority filter'),
+  
+  // Comma-separated tag names, e.g. ?tags=bug,frontend
+  query('tags')
+    .optional()
+    .isString()
+    .withMessage('Tags must be a comma-separated list')
+    .bail()
+    .customSanitizer(value => [...new Set(value.split(',').map(name => name.trim()).filter(Boolean))])
+    .custom(value => value.length <= 20)
+    .withMessage('Filter by at most 20 tags'),
+  
+  query('tagMode')
+    .optional()
+    .isIn(['any', 'all'])
+    .withMessage('tagMode must be either any or all'),
+  
+  query('projectId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Project ID must be a positive integer')
+    .toInt(),
+  
+  // A parent task ID, or `none` for top-level tasks only
+  query('parentId')
+    .optional()
+    .custom(value => value === 'none' || /^[1-9]\d*$/.test(value))
+    .withMessage('parentId must be a task ID or none')
+    .customSanitizer(value => (value === 'none' ? value : parseInt(value))),
+  
+  userFilter('assignee'),
+  
+  userFilter('created_by'),
+];
+
+const statsQueryValidation = [
+  query('projectId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Project ID must be a positive integer')
+    .toInt(),
+  
+  userFilter('assignee'),
+  
+  query('groupBy')
+    .optional()
+    .isIn(['assignee'])
+    .withMessage('groupBy must be assignee'),
+];
+
+const addDependencyValidation = [
+  body('dependsOnId')
+    .isInt({ min: 1 })
+    .withMessage('dependsOnId must be a task ID')
+    .toInt(),
+];
+
+const reorderSubtasksValidation = [
+  body('taskIds')
+    .isArray()
+    .withMessage('taskIds must be an array'),
+  
+  body('taskIds.*')
+    .isInt({ min: 1 })
+    .withMessage('Each task ID must be a positive integer')
+    .toInt(),
 ];
 
 module.exports = {
   createTaskValidation,
   updateTaskValidation,
   queryValidation,
+  statsQueryValidation,
+  addDependencyValidation,
+  reorderSubtasksValidation,
 };
@@ -0,0 +1,53 @@
+const { body, query } = require('express-validator');
+const { roleExists } = require('./roleValidator');
+const { ACCOUNT_STATUSES } = require('../utils/accountStatus');
+
+const userQueryValidation = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a positive number'),
+  
+  query('status')
+    .optional()
+    .isIn(ACCOUNT_STATUSES)
+    .withMessage(`Status must be one of: ${ACCOUNT_STATUSES.join(', ')}`),
+];
+
+const updateUserValidation = [
+  body('username')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Username must be between 3 and 50 characters')
+    .matches(/^[a-zA-Z0-9_]+$/)
+    .withMessage('Username can only contain letters, numbers, and underscores'),
+  
+  body('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  
+  roleExists().optional(),
+];
+
+const userStatusValidation = [
+  body('reason')
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Reason must be at most 255 characters'),
+];
+
+module.exports = {
+  userQueryValidation,
+  updateUserValidation,
+  userStatusValidation,
+};
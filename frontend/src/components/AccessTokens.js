@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import { authAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import './AccessTokens.css';
+
+const SCOPES = ['tasks:read', 'tasks:write', 'users:read', 'users:write'];
+
+const AccessTokens = () => {
+  const [tokens, setTokens] = useState([]);
+  const [formData, setFormData] = useState({ name: '', scopes: ['tasks:read'], expiresInDays: '90' });
+  const [newToken, setNewToken] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetchTokens();
+  }, []);
+
+  const fetchTokens = async () => {
+    try {
+      const response = await authAPI.getTokens();
+      setTokens(response.data.data.tokens);
+    } catch (error) {
+      toast.error('Failed to fetch access tokens');
+    }
+  };
+
+  const handleScopeToggle = (scope) => {
+    const scopes = formData.scopes.includes(scope)
+      ? formData.scopes.filter(s => s !== scope)
+      : [...formData.scopes, scope];
+
+    setFormData({ ...formData, scopes });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await authAPI.createToken({
+        name: formData.name,
+        scopes: formData.scopes,
+        expiresInDays: formData.expiresInDays ? parseInt(formData.expiresInDays) : null,
+      });
+      setNewToken(response.data.data.token);
+      setFormData({ ...formData, name: '' });
+      fetchTokens();
+    } catch (error) {
+      const errors = error.response?.data?.errors;
+
+      if (errors && errors.length > 0) {
+        errors.forEach(err => toast.error(err.message));
+      } else {
+        toast.error(error.response?.data?.message || 'Failed to create access token');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) {
+      try {
+        await authAPI.revokeToken(token.id);
+        toast.success('Access token revoked');
+        fetchTokens();
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to revoke access token');
+      }
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+    });
+  };
+
+  return (
+    <div className="access-tokens">
+      <form onSubmit={handleSubmit} className="account-form">
+        <div className="form-group">
+          <label htmlFor="tokenName">Name</label>
+          <input
+            type="text"
+            id="tokenName"
+            value={formData.name}
+            onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+            required
+            maxLength="100"
+            placeholder="e.g. Nightly export script"
+          />
+        </div>
+
+        <div className="token-scopes">
+          {SCOPES.map((scope) => (
+            <label key={scope} className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={formData.scopes.includes(scope)}
+                onChange={() => handleScopeToggle(scope)}
+              />
+              {scope}
+            </label>
+          ))}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="tokenExpiry">Expires</label>
+          <select
+            id="tokenExpiry"
+            value={formData.expiresInDays}
+            onChange={(e) => setFormData({ ...formData, expiresInDays: e.target.value })}
+          >
+            <option value="30">In 30 days</option>
+            <option value="90">In 90 days</option>
+            <option value="365">In 1 year</option>
+            <option value="">Never</option>
+          </select>
+        </div>
+
+        <button type="submit" className="btn-primary" disabled={loading || formData.scopes.length === 0}>
+          {loading ? 'Creating...' : 'Create Token'}
+        </button>
+      </form>
+
+      {newToken && (
+        <div className="token-created">
+          <p>Copy your new token now. It will not be shown again.</p>
+          <code>{newToken}</code>
+        </div>
+      )}
+
+      {tokens.map((token) => (
+        <div key={token.id} className="token-item">
+          <div>
+            <p className="token-name">
+              {token.name} <span className="token-prefix">{token.token_prefix}…</span>
+            </p>
+            <p className="token-meta">
+              {token.scopes.join(', ')} · {token.expires_at ? `Expires ${formatDate(token.expires_at)}` : 'Never expires'}
+              {' · '}
+              {token.last_used_at ? `Last used ${formatDate(token.last_used_at)}` : 'Never used'}
+            </p>
+          </div>
+          <button onClick={() => handleRevoke(token)} className="btn-revoke">
+            Revoke
+          </button>
+        </div>
+      ))}
+
+      {tokens.length === 0 && <p className="token-empty">No access tokens.</p>}
+    </div>
+  );
+};
+
+export default AccessTokens;
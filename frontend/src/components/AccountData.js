@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import { authAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import toast from 'react-hot-toast';
+import './AccountData.css';
+
+const AccountData = () => {
+  const { user, clearSession } = useAuth();
+  const [exporting, setExporting] = useState(false);
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const response = await authAPI.exportData();
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `task-manager-export-${user.username}-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to export your data');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const response = await authAPI.deleteAccount(password);
+      const date = new Date(response.data.data.deletionScheduledAt).toLocaleDateString();
+      toast.success(`Your account will be deleted on ${date}. Log in before then to restore it.`, {
+        duration: 8000,
+      });
+      clearSession();
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0]?.message || error.response?.data?.message || 'Failed to delete account');
+      setLoading(false);
+    }
+  };
+
+  const handleCancel = () => {
+    setConfirmingDelete(false);
+    setPassword('');
+  };
+
+  return (
+    <div className="account-data">
+      <div className="account-data-row">
+        <div>
+          <p className="account-data-title">Export your data</p>
+          <p className="account-data-text">
+            Download your profile, tasks and account activity as a JSON file.
+          </p>
+        </div>
+        <button onClick={handleExport} className="btn-secondary" disabled={exporting}>
+          {exporting ? 'Preparing...' : 'Download'}
+        </button>
+      </div>
+
+      <div className="account-data-row">
+        <div>
+          <p className="account-data-title">Delete account</p>
+          <p className="account-data-text">
+            Your account is disabled right away and permanently deleted with all of its tasks after a
+            grace period. Logging in before then restores it.
+          </p>
+        </div>
+        {!confirmingDelete && (
+          <button onClick={() => setConfirmingDelete(true)} className="btn-danger">
+            Delete account
+          </button>
+        )}
+      </div>
+
+      {confirmingDelete && (
+        <form onSubmit={handleDelete} className="account-form">
+          <div className="form-group">
+            <label htmlFor="deletePassword">Confirm with your password</label>
+            <input
+              type="password"
+              id="deletePassword"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              autoComplete="current-password"
+            />
+          </div>
+          <div className="account-data-actions">
+            <button type="submit" className="btn-danger" disabled={loading}>
+              {loading ? 'Deleting...' : 'Delete my account'}
+            </button>
+            <button type="button" onClick={handleCancel} className="btn-secondary">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default AccountData;
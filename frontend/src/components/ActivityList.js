@@ -0,0 +1,93 @@
+import React, { useState, useEffect } from 'react';
+import { authAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import './SessionList.css';
+import './ActivityList.css';
+
+const PAGE_SIZE = 10;
+
+const EVENT_LABELS = {
+  register: 'Account created',
+  login: 'Sign-in',
+  two_factor_challenge: 'Password accepted, waiting for 2FA code',
+  token_refresh: 'Session refreshed',
+  logout: 'Signed out',
+  profile_update: 'Profile updated',
+  password_change: 'Password changed',
+  password_reset_request: 'Password reset requested',
+  password_reset: 'Password reset',
+  two_factor_enabled: 'Two-factor authentication enabled',
+  two_factor_disabled: 'Two-factor authentication disabled',
+  recovery_codes_regenerated: 'Recovery codes regenerated',
+  session_revoked: 'Session revoked',
+  access_token_created: 'Access token created',
+  access_token_revoked: 'Access token revoked',
+  account_deletion_requested: 'Account deletion requested',
+  account_status_changed: 'Account status changed',
+};
+
+const ActivityList = () => {
+  const [events, setEvents] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchActivity(0);
+  }, []);
+
+  const fetchActivity = async (offset) => {
+    try {
+      const response = await authAPI.getActivity({ limit: PAGE_SIZE, offset });
+      const { events: page, pagination } = response.data.data;
+
+      setEvents((current) => (offset === 0 ? page : [...current, ...page]));
+      setHasMore(pagination.hasMore);
+    } catch (error) {
+      toast.error('Failed to fetch account activity');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  if (loading) {
+    return <p className="session-empty">Loading activity...</p>;
+  }
+
+  return (
+    <div className="session-list">
+      {events.map((event) => (
+        <div key={event.id} className="session-item">
+          <div className="session-info">
+            <p className="session-device">
+              {EVENT_LABELS[event.event_type] || event.event_type}
+              {event.outcome === 'failure' && <span className="activity-failure">Failed</span>}
+            </p>
+            <p className="session-meta">
+              {formatDate(event.created_at)} · {event.ip_address || 'Unknown IP'} · {event.user_agent || 'Unknown device'}
+            </p>
+          </div>
+        </div>
+      ))}
+
+      {events.length === 0 && <p className="session-empty">No recent activity.</p>}
+
+      {hasMore && (
+        <button onClick={() => fetchActivity(events.length)} className="btn-secondary">
+          Load more
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ActivityList;
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { authAPI } from '../services/api';
+import PasswordRequirements from './PasswordRequirements';
+import toast from 'react-hot-toast';
+
+const initialState = {
+  currentPassword: '',
+  newPassword: '',
+  confirmPassword: '',
+};
+
+const ChangePasswordForm = () => {
+  const [formData, setFormData] = useState(initialState);
+  const [passwordErrors, setPasswordErrors] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setPasswordErrors([]);
+    setLoading(true);
+
+    try {
+      const { currentPassword, newPassword } = formData;
+      const response = await authAPI.changePassword({ currentPassword, newPassword });
+      toast.success(response.data.message);
+      setFormData(initialState);
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to change password';
+      const errors = error.response?.data?.errors;
+
+      if (errors && errors.length > 0) {
+        setPasswordErrors(errors.filter(err => err.field === 'newPassword'));
+        errors.filter(err => err.field !== 'newPassword').forEach(err => toast.error(err.message));
+      } else {
+        toast.error(message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="account-form">
+      <div className="form-group">
+        <label htmlFor="currentPassword">Current Password</label>
+        <input
+          type="password"
+          id="currentPassword"
+          name="currentPassword"
+          value={formData.currentPassword}
+          onChange={handleChange}
+          required
+          autoComplete="current-password"
+        />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="newPassword">New Password</label>
+        <input
+          type="password"
+          id="newPassword"
+          name="newPassword"
+          value={formData.newPassword}
+          onChange={handleChange}
+          required
+          autoComplete="new-password"
+        />
+        <PasswordRequirements errors={passwordErrors} />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="confirmPassword">Confirm New Password</label>
+        <input
+          type="password"
+          id="confirmPassword"
+          name="confirmPassword"
+          value={formData.confirmPassword}
+          onChange={handleChange}
+          required
+          autoComplete="new-password"
+        />
+      </div>
+
+      <button type="submit" className="btn-primary" disabled={loading}>
+        {loading ? 'Changing...' : 'Change Password'}
+      </button>
+    </form>
+  );
+};
+
+export default ChangePasswordForm;
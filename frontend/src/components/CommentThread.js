@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import { taskAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import toast from 'react-hot-toast';
+import './CommentThread.css';
+
+const PAGE_SIZE = 20;
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+const CommentForm = ({ initialValue = '', submitLabel, onSubmit, onCancel }) => {
+  const [body, setBody] = useState(initialValue);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    if (await onSubmit(body.trim())) {
+      setBody('');
+    }
+    setSaving(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="comment-form">
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        rows={3}
+        maxLength={5000}
+        placeholder="Write a comment..."
+      />
+      <div className="comment-form-actions">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="btn-secondary">
+            Cancel
+          </button>
+        )}
+        <button type="submit" className="btn-primary" disabled={saving || !body.trim()}>
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const CommentThread = ({ task }) => {
+  const { user } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+
+  // Writing comments takes update permissions, reading them only read access to the task
+  const canComment = ['tasks:update:own', 'tasks:update:any'].some((permission) => user?.permissions?.includes(permission));
+  const canDeleteAny = task.user_id === user?.id || Boolean(user?.permissions?.includes('tasks:delete:any'));
+
+  useEffect(() => {
+    fetchComments(0);
+  }, [task.id]);
+
+  const fetchComments = async (offset) => {
+    try {
+      const response = await taskAPI.getComments(task.id, { limit: PAGE_SIZE, offset });
+      const { comments: page, pagination } = response.data.data;
+
+      setComments((current) => (offset === 0 ? page : [...current, ...page]));
+      setHasMore(pagination.hasMore);
+    } catch (error) {
+      toast.error('Failed to fetch comments');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Reload every page loaded so far, so the thread stays in place after a change
+  const refresh = async () => {
+    try {
+      const response = await taskAPI.getComments(task.id, {
+        limit: Math.max(comments.length, PAGE_SIZE),
+        offset: 0,
+      });
+      setComments(response.data.data.comments);
+      setHasMore(response.data.data.pagination.hasMore);
+    } catch (error) {
+      toast.error('Failed to fetch comments');
+    }
+  };
+
+  const handleCreate = (parentId) => async (body) => {
+    try {
+      await taskAPI.createComment(task.id, { body, parentId });
+      setReplyingTo(null);
+      await refresh();
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add comment');
+      return false;
+    }
+  };
+
+  const handleUpdate = (commentId) => async (body) => {
+    try {
+      await taskAPI.updateComment(task.id, commentId, body);
+      setEditingId(null);
+      await refresh();
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update comment');
+      return false;
+    }
+  };
+
+  const handleDelete = async (comment) => {
+    const question = comment.replies?.length
+      ? 'Delete this comment and all of its replies?'
+      : 'Delete this comment?';
+
+    if (window.confirm(question)) {
+      try {
+        await taskAPI.deleteComment(task.id, comment.id);
+        toast.success('Comment deleted');
+        await refresh();
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to delete comment');
+      }
+    }
+  };
+
+  const renderComment = (comment, isReply = false) => (
+    <div key={comment.id} className={isReply ? 'comment comment-reply' : 'comment'}>
+      <p className="comment-meta">
+        <strong>{comment.username || 'Deleted user'}</strong> · {formatDate(comment.created_at)}
+        {comment.edited_at && <span title={formatDate(comment.edited_at)}> · edited</span>}
+      </p>
+
+      {editingId === comment.id ? (
+        <CommentForm
+          initialValue={comment.body}
+          submitLabel="Save"
+          onSubmit={handleUpdate(comment.id)}
+          onCancel={() => setEditingId(null)}
+        />
+      ) : (
+        <p className="comment-body">{comment.body}</p>
+      )}
+
+      <div className="comment-actions">
+        {canComment && !isReply && (
+          <button onClick={() => setReplyingTo(comment.id)} className="btn-link">Reply</button>
+        )}
+        {canComment && comment.user_id === user?.id && (
+          <button onClick={() => setEditingId(comment.id)} className="btn-link">Edit</button>
+        )}
+        {canComment && (comment.user_id === user?.id || canDeleteAny) && (
+          <button onClick={() => handleDelete(comment)} className="btn-link">Delete</button>
+        )}
+      </div>
+
+      {!isReply && (
+        <div className="comment-replies">
+          {comment.replies.map((reply) => renderComment(reply, true))}
+
+          {replyingTo === comment.id && (
+            <CommentForm
+              submitLabel="Reply"
+              onSubmit={handleCreate(comment.id)}
+              onCancel={() => setReplyingTo(null)}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+
+  if (loading) {
+    return <p className="comment-empty">Loading comments...</p>;
+  }
+
+  return (
+    <div className="comment-thread">
+      {comments.map((comment) => renderComment(comment))}
+
+      {comments.length === 0 && <p className="comment-empty">No comments yet. Start the discussion!</p>}
+
+      {hasMore && (
+        <button onClick={() => fetchComments(comments.length)} className="btn-secondary">
+          Load more comments
+        </button>
+      )}
+
+      {canComment && <CommentForm submitLabel="Comment" onSubmit={handleCreate(null)} />}
+    </div>
+  );
+};
+
+export default CommentThread;
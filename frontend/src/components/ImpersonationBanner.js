@@ -0,0 +1,55 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import toast from 'react-hot-toast';
+import './ImpersonationBanner.css';
+
+const ImpersonationBanner = () => {
+  const { user, stopImpersonation } = useAuth();
+  const [stopping, setStopping] = useState(false);
+  const navigate = useNavigate();
+
+  const impersonator = user?.impersonator;
+
+  const handleStop = async () => {
+    setStopping(true);
+    try {
+      await stopImpersonation();
+      toast.success('Back to your own account');
+      navigate('/account');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to stop impersonating');
+    } finally {
+      setStopping(false);
+    }
+  };
+
+  // The impersonation token is short-lived; switch back when it runs out
+  useEffect(() => {
+    if (!impersonator?.expires_at) return undefined;
+
+    const timer = setTimeout(() => {
+      toast('Impersonation expired');
+      handleStop();
+    }, Math.max(0, new Date(impersonator.expires_at) - Date.now()));
+
+    return () => clearTimeout(timer);
+  }, [impersonator?.expires_at]);
+
+  if (!impersonator) {
+    return null;
+  }
+
+  return (
+    <div className="impersonation-banner" role="alert">
+      <span>
+        Impersonating <strong>{user.username}</strong> ({user.email}) · signed in as {impersonator.username}
+      </span>
+      <button onClick={handleStop} className="impersonation-banner-btn" disabled={stopping}>
+        {stopping ? 'Stopping...' : 'Stop'}
+      </button>
+    </div>
+  );
+};
+
+export default ImpersonationBanner;
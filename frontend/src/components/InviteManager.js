@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+import { userAPI, roleAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import './InviteManager.css';
+
+const InviteManager = () => {
+  const [invites, setInvites] = useState([]);
+  const [roles, setRoles] = useState(['user']);
+  const [formData, setFormData] = useState({ email: '', role: 'user' });
+  const [inviteUrl, setInviteUrl] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    fetchInvites();
+    fetchRoles();
+  }, []);
+
+  const fetchRoles = async () => {
+    try {
+      const response = await roleAPI.getAll();
+      setRoles(response.data.data.roles.map(role => role.name));
+    } catch (error) {
+      // Without roles:read only the default role can be offered
+    }
+  };
+
+  const fetchInvites = async () => {
+    try {
+      const response = await userAPI.getInvites();
+      setInvites(response.data.data.invites);
+    } catch (error) {
+      toast.error('Failed to fetch invitations');
+    }
+  };
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await userAPI.createInvite(formData);
+      setInviteUrl(response.data.data.inviteUrl);
+      setFormData({ email: '', role: 'user' });
+      toast.success('Invitation sent');
+      fetchInvites();
+    } catch (error) {
+      const errors = error.response?.data?.errors;
+
+      if (errors && errors.length > 0) {
+        errors.forEach(err => toast.error(err.message));
+      } else {
+        toast.error(error.response?.data?.message || 'Failed to send invitation');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    try {
+      await userAPI.revokeInvite(id);
+      toast.success('Invitation revoked');
+      fetchInvites();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke invitation');
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+    });
+  };
+
+  return (
+    <div className="invite-manager">
+      <form onSubmit={handleSubmit} className="invite-form">
+        <div className="form-group">
+          <label htmlFor="inviteEmail">Email</label>
+          <input
+            type="email"
+            id="inviteEmail"
+            name="email"
+            value={formData.email}
+            onChange={handleChange}
+            required
+            placeholder="Email to invite"
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="inviteRole">Role</label>
+          <select id="inviteRole" name="role" value={formData.role} onChange={handleChange}>
+            {roles.map((role) => (
+              <option key={role} value={role}>{role}</option>
+            ))}
+          </select>
+        </div>
+
+        <button type="submit" className="btn-primary" disabled={loading}>
+          {loading ? 'Sending...' : 'Send Invite'}
+        </button>
+      </form>
+
+      {inviteUrl && (
+        <p className="invite-link">
+          Invitation link: <code>{inviteUrl}</code>
+        </p>
+      )}
+
+      {invites.map((invite) => (
+        <div key={invite.id} className="invite-item">
+          <div>
+            <p className="invite-email">
+              {invite.email}
+              <span className="invite-role">{invite.role}</span>
+            </p>
+            <p className="invite-meta">
+              Invited by {invite.invited_by || 'a deleted user'} · Expires {formatDate(invite.expires_at)}
+            </p>
+          </div>
+          <button onClick={() => handleRevoke(invite.id)} className="btn-revoke">
+            Revoke
+          </button>
+        </div>
+      ))}
+
+      {invites.length === 0 && <p className="invite-empty">No pending invitations.</p>}
+    </div>
+  );
+};
+
+export default InviteManager;
@@ -0,0 +1,49 @@
+import React, { useState, useEffect } from 'react';
+import { authAPI } from '../services/api';
+import './PasswordRequirements.css';
+
+// Human-readable summary of the server's password policy
+const describePolicy = (policy) => {
+  const classes = [
+    policy.requireUppercase && 'uppercase',
+    policy.requireLowercase && 'lowercase',
+    policy.requireNumber && 'a number',
+    policy.requireSymbol && 'a symbol',
+  ].filter(Boolean);
+
+  let hint = `Must be at least ${policy.minLength} characters`;
+
+  if (classes.length > 0) {
+    hint += ` with ${classes.length > 1
+      ? `${classes.slice(0, -1).join(', ')} and ${classes[classes.length - 1]}`
+      : classes[0]}`;
+  }
+
+  return `${hint}.${policy.checkBreached ? ' Common or breached passwords are rejected.' : ''}`;
+};
+
+// Hint shown under a new-password input, followed by the reasons the server rejected it
+const PasswordRequirements = ({ errors = [] }) => {
+  const [policy, setPolicy] = useState(null);
+
+  useEffect(() => {
+    authAPI.getPasswordPolicy()
+      .then((response) => setPolicy(response.data.data.policy))
+      .catch(() => setPolicy(null));
+  }, []);
+
+  return (
+    <>
+      {policy && <small>{describePolicy(policy)}</small>}
+      {errors.length > 0 && (
+        <ul className="password-errors">
+          {errors.map((error) => (
+            <li key={error.code || error.message}>{error.message}</li>
+          ))}
+        </ul>
+      )}
+    </>
+  );
+};
+
+export default PasswordRequirements;
@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { projectAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import './TaskForm.css';
+import './SessionList.css';
+import './InviteManager.css';
+import './ProjectMembers.css';
+
+const PROJECT_ROLES = ['viewer', 'editor', 'owner'];
+
+const ProjectMembers = ({ project, onClose, onLeave }) => {
+  const { user } = useAuth();
+  const [members, setMembers] = useState([]);
+  const [formData, setFormData] = useState({ email: '', role: 'viewer' });
+  const [loading, setLoading] = useState(false);
+
+  const isOwner = project.role === 'owner';
+
+  useEffect(() => {
+    fetchMembers();
+  }, [project.id]);
+
+  const fetchMembers = async () => {
+    try {
+      const response = await projectAPI.getOne(project.id);
+      setMembers(response.data.data.members);
+    } catch (error) {
+      toast.error('Failed to fetch project members');
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const response = await projectAPI.addMember(project.id, formData);
+      toast.success(response.data.message);
+      setFormData({ email: '', role: 'viewer' });
+      fetchMembers();
+    } catch (error) {
+      const errors = error.response?.data?.errors;
+
+      if (errors && errors.length > 0) {
+        errors.forEach(err => toast.error(err.message));
+      } else {
+        toast.error(error.response?.data?.message || 'Failed to add member');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    try {
+      await projectAPI.updateMember(project.id, member.user_id, role);
+      toast.success(`${member.username} is now ${role === 'owner' ? 'an' : 'a'} ${role}`);
+      fetchMembers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to change role');
+    }
+  };
+
+  const handleRemove = async (member) => {
+    const leaving = member.user_id === user?.id;
+    const question = leaving
+      ? `Leave ${project.name}? You will lose access to its tasks.`
+      : `Remove ${member.username} from ${project.name}?`;
+
+    if (!window.confirm(question)) {
+      return;
+    }
+
+    try {
+      await projectAPI.removeMember(project.id, member.user_id);
+
+      if (leaving) {
+        toast.success('You left the project');
+        onLeave();
+      } else {
+        toast.success('Member removed');
+        fetchMembers();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove member');
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{project.name} members</h2>
+          <button onClick={onClose} className="close-btn">&times;</button>
+        </div>
+
+        <div className="project-members">
+          {isOwner && (
+            <form onSubmit={handleAdd} className="invite-form">
+              <div className="form-group">
+                <label htmlFor="memberEmail">Email</label>
+                <input
+                  type="email"
+                  id="memberEmail"
+                  value={formData.email}
+                  onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                  required
+                  placeholder="Email of an existing user"
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="memberRole">Role</label>
+                <select
+                  id="memberRole"
+                  value={formData.role}
+                  onChange={(e) => setFormData({ ...formData, role: e.target.value })}
+                >
+                  {PROJECT_ROLES.map((role) => (
+                    <option key={role} value={role}>{role}</option>
+                  ))}
+                </select>
+              </div>
+
+              <button type="submit" className="btn-primary" disabled={loading}>
+                {loading ? 'Adding...' : 'Add Member'}
+              </button>
+            </form>
+          )}
+
+          <div className="session-list">
+            {members.map((member) => (
+              <div key={member.user_id} className="session-item">
+                <div className="session-info">
+                  <p className="session-device">
+                    {member.username}
+                    {member.user_id === user?.id && <span className="session-current">You</span>}
+                  </p>
+                  <p className="session-meta">{member.email}</p>
+                </div>
+
+                {isOwner ? (
+                  <select
+                    value={member.role}
+                    onChange={(e) => handleRoleChange(member, e.target.value)}
+                    className="member-role-select"
+                  >
+                    {PROJECT_ROLES.map((role) => (
+                      <option key={role} value={role}>{role}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <span className="invite-role">{member.role}</span>
+                )}
+
+                {(isOwner || member.user_id === user?.id) && (
+                  <button onClick={() => handleRemove(member)} className="btn-revoke">
+                    {member.user_id === user?.id ? 'Leave' : 'Remove'}
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectMembers;
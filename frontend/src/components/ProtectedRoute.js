@@ -2,7 +2,7 @@ import React from 'react';
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
-const ProtectedRoute = ({ children, adminOnly = false }) => {
+const ProtectedRoute = ({ children, permission }) => {
   const { isAuthenticated, user, loading } = useAuth();
 
   if (loading) {
@@ -17,7 +17,7 @@ const ProtectedRoute = ({ children, adminOnly = false }) => {
     return <Navigate to="/login" replace />;
   }
 
-  if (adminOnly && user?.role !== 'admin') {
+  if (permission && !user?.permissions?.includes(permission)) {
     return <Navigate to="/dashboard" replace />;
   }
 
@@ -0,0 +1,64 @@
+import React, { useState, useEffect } from 'react';
+import { settingsAPI, roleAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const SecuritySettings = ({ canUpdate = false }) => {
+  const [roles, setRoles] = useState([]);
+  const [requiredRoles, setRequiredRoles] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const fetchSettings = async () => {
+    try {
+      const [settingsResponse, rolesResponse] = await Promise.all([
+        settingsAPI.getSecurity(),
+        roleAPI.getAll(),
+      ]);
+      setRequiredRoles(settingsResponse.data.data.settings.twoFactorRequiredRoles);
+      setRoles(rolesResponse.data.data.roles.map(role => role.name));
+    } catch (error) {
+      toast.error('Failed to fetch security settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggle = async (role) => {
+    const updatedRoles = requiredRoles.includes(role)
+      ? requiredRoles.filter(r => r !== role)
+      : [...requiredRoles, role];
+
+    try {
+      const response = await settingsAPI.updateSecurity({ twoFactorRequiredRoles: updatedRoles });
+      setRequiredRoles(response.data.data.settings.twoFactorRequiredRoles);
+      toast.success('Security settings updated');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update security settings');
+    }
+  };
+
+  if (loading) {
+    return null;
+  }
+
+  return (
+    <div className="account-form">
+      {roles.map((role) => (
+        <label key={role} className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={requiredRoles.includes(role)}
+            onChange={() => handleToggle(role)}
+            disabled={!canUpdate}
+          />
+          Require two-factor authentication for <strong>{role}</strong> accounts
+        </label>
+      ))}
+    </div>
+  );
+};
+
+export default SecuritySettings;
@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import { authAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import toast from 'react-hot-toast';
+import './SessionList.css';
+
+const SessionList = () => {
+  const { clearSession } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await authAPI.getSessions();
+      setSessions(response.data.data.sessions);
+    } catch (error) {
+      toast.error('Failed to fetch sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    try {
+      await authAPI.revokeSession(session.id);
+      toast.success('Session revoked');
+
+      if (session.current) {
+        clearSession();
+        return;
+      }
+      fetchSessions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke session');
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    if (window.confirm('Log out from all devices, including this one?')) {
+      try {
+        await authAPI.revokeAllSessions();
+        toast.success('Logged out everywhere');
+        clearSession();
+      } catch (error) {
+        toast.error('Failed to revoke sessions');
+      }
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  if (loading) {
+    return <p className="session-empty">Loading sessions...</p>;
+  }
+
+  return (
+    <div className="session-list">
+      {sessions.map((session) => (
+        <div key={session.id} className="session-item">
+          <div className="session-info">
+            <p className="session-device">
+              {session.user_agent || 'Unknown device'}
+              {session.current && <span className="session-current">This device</span>}
+            </p>
+            <p className="session-meta">
+              {session.ip_address || 'Unknown IP'} · Signed in {formatDate(session.created_at)} · Last active {formatDate(session.last_used_at)}
+            </p>
+          </div>
+          <button onClick={() => handleRevoke(session)} className="btn-revoke">
+            Revoke
+          </button>
+        </div>
+      ))}
+
+      {sessions.length === 0 && <p className="session-empty">No active sessions.</p>}
+
+      <button onClick={handleRevokeAll} className="btn-secondary">
+        Log out everywhere
+      </button>
+    </div>
+  );
+};
+
+export default SessionList;
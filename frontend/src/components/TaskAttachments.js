@@ -0,0 +1,101 @@
+import React, { useState, useRef } from 'react';
+import { taskAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import toast from 'react-hot-toast';
+import './SessionList.css';
+import './TaskAttachments.css';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const TaskAttachments = ({ task, onChange }) => {
+  const { user } = useAuth();
+  const [uploading, setUploading] = useState(false);
+  const fileInput = useRef(null);
+
+  const can = (permission) => Boolean(user?.permissions?.includes(permission));
+  const canUpdateTask = can('tasks:update:any') || (task.user_id === user?.id && can('tasks:update:own'));
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setUploading(true);
+    try {
+      await taskAPI.uploadAttachment(task.id, file);
+      toast.success('File attached');
+      onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to upload file');
+    } finally {
+      setUploading(false);
+      fileInput.current.value = '';
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      const response = await taskAPI.downloadAttachment(task.id, attachment.id);
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.original_name;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to download file');
+    }
+  };
+
+  const handleDelete = async (attachment) => {
+    if (window.confirm(`Delete ${attachment.original_name}?`)) {
+      try {
+        await taskAPI.deleteAttachment(task.id, attachment.id);
+        toast.success('Attachment deleted');
+        onChange();
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to delete attachment');
+      }
+    }
+  };
+
+  return (
+    <div className="session-list">
+      {task.attachments.map((attachment) => (
+        <div key={attachment.id} className="session-item">
+          <div className="session-info">
+            <p className="session-device">📎 {attachment.original_name}</p>
+            <p className="session-meta">
+              {formatSize(attachment.size_bytes)} · {attachment.username || 'Deleted user'} ·{' '}
+              {new Date(attachment.created_at).toLocaleDateString()}
+            </p>
+          </div>
+          <div className="attachment-actions">
+            <button onClick={() => handleDownload(attachment)} className="btn-revoke">
+              Download
+            </button>
+            {((attachment.user_id === user?.id && (can('tasks:update:own') || can('tasks:update:any'))) || canUpdateTask) && (
+              <button onClick={() => handleDelete(attachment)} className="btn-revoke">
+                Delete
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+
+      {task.attachments.length === 0 && <p className="session-empty">No files attached.</p>}
+
+      {canUpdateTask && (
+        <label className="btn-secondary attachment-upload">
+          {uploading ? 'Uploading...' : '+ Attach file'}
+          <input type="file" ref={fileInput} onChange={handleUpload} disabled={uploading} hidden />
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default TaskAttachments;
@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { taskAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import toast from 'react-hot-toast';
+import './SessionList.css';
+import './TaskChecklist.css';
+
+const TaskChecklist = ({ task, onChange }) => {
+  const { user } = useAuth();
+  const [newItem, setNewItem] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const can = (permission) => Boolean(user?.permissions?.includes(permission));
+  const canUpdateTask = can('tasks:update:any') || (task.user_id === user?.id && can('tasks:update:own'));
+  const canTick = canUpdateTask || (task.assignee_id === user?.id && can('tasks:update:own'));
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newItem.trim()) return;
+
+    setSaving(true);
+    try {
+      await taskAPI.addChecklistItem(task.id, newItem.trim());
+      setNewItem('');
+      onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add checklist item');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (item) => {
+    try {
+      await taskAPI.updateChecklistItem(task.id, item.id, { completed: !item.completed_at });
+      onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update checklist item');
+    }
+  };
+
+  const handleMove = async (index, offset) => {
+    const itemIds = task.checklist.map((item) => item.id);
+    [itemIds[index], itemIds[index + offset]] = [itemIds[index + offset], itemIds[index]];
+
+    try {
+      await taskAPI.reorderChecklist(task.id, itemIds);
+      onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reorder checklist');
+    }
+  };
+
+  const handleDelete = async (item) => {
+    try {
+      await taskAPI.deleteChecklistItem(task.id, item.id);
+      onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete checklist item');
+    }
+  };
+
+  return (
+    <div className="session-list">
+      {task.checklist.map((item, index) => (
+        <div key={item.id} className="session-item checklist-item">
+          <label className={`checklist-label ${item.completed_at ? 'done' : ''}`}>
+            <input
+              type="checkbox"
+              checked={Boolean(item.completed_at)}
+              onChange={() => handleToggle(item)}
+              disabled={!canTick}
+            />
+            {item.body}
+          </label>
+          {canUpdateTask && (
+            <div className="checklist-actions">
+              <button onClick={() => handleMove(index, -1)} className="btn-revoke" disabled={index === 0}>
+                ↑
+              </button>
+              <button
+                onClick={() => handleMove(index, 1)}
+                className="btn-revoke"
+                disabled={index === task.checklist.length - 1}
+              >
+                ↓
+              </button>
+              <button onClick={() => handleDelete(item)} className="btn-revoke">
+                Delete
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+
+      {task.checklist.length === 0 && <p className="session-empty">No checklist items.</p>}
+
+      {canUpdateTask && (
+        <form onSubmit={handleAdd} className="checklist-form">
+          <input
+            type="text"
+            value={newItem}
+            onChange={(e) => setNewItem(e.target.value)}
+            placeholder="Add an item"
+            maxLength={500}
+          />
+          <button type="submit" className="btn-secondary" disabled={saving || !newItem.trim()}>
+            Add
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TaskChecklist;
@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { taskAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import toast from 'react-hot-toast';
+import './SessionList.css';
+import './TaskDependencies.css';
+
+// Columns of the graph from left to right: each task sits one column after the last of its blockers
+const layoutColumns = ({ nodes, edges }) => {
+  const column = new Map(nodes.map((node) => [node.id, 0]));
+
+  // The graph has no cycles, so a longest path has at most nodes.length - 1 edges
+  for (let pass = 0; pass < nodes.length; pass++) {
+    let changed = false;
+
+    edges.forEach(({ from, to }) => {
+      if (column.has(from) && column.has(to) && column.get(to) <= column.get(from)) {
+        column.set(to, column.get(from) + 1);
+        changed = true;
+      }
+    });
+
+    if (!changed) break;
+  }
+
+  const columns = [];
+  nodes.forEach((node) => {
+    const index = column.get(node.id);
+    columns[index] = [...(columns[index] || []), node];
+  });
+
+  return columns;
+};
+
+const linkedTaskLabel = (task) => (task.restricted ? `Task #${task.id} (no access)` : task.title);
+
+const TaskDependencies = ({ task, onChange }) => {
+  const { user } = useAuth();
+  const [candidates, setCandidates] = useState([]);
+  const [dependsOnId, setDependsOnId] = useState('');
+  const [graph, setGraph] = useState(null);
+
+  const can = (permission) => Boolean(user?.permissions?.includes(permission));
+  const canUpdateTask = can('tasks:update:any') || (task.user_id === user?.id && can('tasks:update:own'));
+
+  useEffect(() => {
+    fetchGraph();
+  }, [task]);
+
+  // Tasks this one can wait for: the others of its project, or any task you can see for personal tasks
+  useEffect(() => {
+    const fetchCandidates = async () => {
+      try {
+        const response = await taskAPI.getAll({ projectId: task.project_id, limit: 100 });
+        setCandidates(response.data.data.tasks.filter((candidate) => candidate.id !== task.id));
+      } catch (error) {
+        setCandidates([]);
+      }
+    };
+
+    if (canUpdateTask) {
+      fetchCandidates();
+    }
+  }, [task.id, task.project_id, canUpdateTask]);
+
+  const fetchGraph = async () => {
+    try {
+      const response = await taskAPI.getDependencyGraph(task.id);
+      setGraph(response.data.data);
+    } catch (error) {
+      setGraph(null);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!dependsOnId) return;
+
+    try {
+      await taskAPI.addDependency(task.id, Number(dependsOnId));
+      setDependsOnId('');
+      onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add dependency');
+    }
+  };
+
+  const handleRemove = async (blocker) => {
+    try {
+      await taskAPI.removeDependency(task.id, blocker.id);
+      onChange();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove dependency');
+    }
+  };
+
+  const available = candidates.filter((candidate) => !task.blocked_by.some((blocker) => blocker.id === candidate.id));
+
+  return (
+    <div className="session-list">
+      <h3 className="dependency-heading">Blocked by</h3>
+      {task.blocked_by.map((blocker) => (
+        <div key={blocker.id} className="session-item">
+          <div className="session-info">
+            <p className="session-device">
+              {blocker.restricted ? linkedTaskLabel(blocker) : <Link to={`/tasks/${blocker.id}`}>{blocker.title}</Link>}
+            </p>
+            <p className="session-meta">{blocker.status.replace('_', ' ')}</p>
+          </div>
+          {canUpdateTask && (
+            <button onClick={() => handleRemove(blocker)} className="btn-revoke">
+              Remove
+            </button>
+          )}
+        </div>
+      ))}
+      {task.blocked_by.length === 0 && <p className="session-empty">Not waiting for any task.</p>}
+
+      {canUpdateTask && (
+        <form onSubmit={handleAdd} className="dependency-form">
+          <select value={dependsOnId} onChange={(e) => setDependsOnId(e.target.value)}>
+            <option value="">Choose a task to wait for</option>
+            {available.map((candidate) => (
+              <option key={candidate.id} value={candidate.id}>{candidate.title}</option>
+            ))}
+          </select>
+          <button type="submit" className="btn-secondary" disabled={!dependsOnId}>
+            Add
+          </button>
+        </form>
+      )}
+
+      {task.blocking.length > 0 && (
+        <>
+          <h3 className="dependency-heading">Blocking</h3>
+          {task.blocking.map((dependent) => (
+            <div key={dependent.id} className="session-item">
+              <div className="session-info">
+                <p className="session-device">
+                  {dependent.restricted
+                    ? linkedTaskLabel(dependent)
+                    : <Link to={`/tasks/${dependent.id}`}>{dependent.title}</Link>}
+                </p>
+                <p className="session-meta">{dependent.status.replace('_', ' ')}</p>
+              </div>
+            </div>
+          ))}
+        </>
+      )}
+
+      {graph && graph.edges.length > 0 && (
+        <>
+          <h3 className="dependency-heading">Graph</h3>
+          <div className="dependency-graph">
+            {layoutColumns(graph).map((nodes, index) => (
+              <div key={index} className="dependency-column">
+                {nodes.map((node) => (
+                  <div
+                    key={node.id}
+                    className={`dependency-node status-${node.status.replace('_', '-')} ${node.id === task.id ? 'current' : ''}`}
+                  >
+                    {node.restricted || node.id === task.id
+                      ? linkedTaskLabel(node)
+                      : <Link to={`/tasks/${node.id}`}>{node.title}</Link>}
+                    {node.blocked && <span className="dependency-blocked">blocked</span>}
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+          {graph.truncated && <p className="session-empty">Only part of the graph is shown.</p>}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TaskDependencies;
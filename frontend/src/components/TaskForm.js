@@ -1,13 +1,21 @@
 import React, { useState, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { projectAPI } from '../services/api';
 import './TaskForm.css';
 
-const TaskForm = ({ task, onSubmit, onClose }) => {
+const TaskForm = ({ task, projects = [], defaultProjectId = '', onSubmit, onClose }) => {
+  const { user } = useAuth();
+  const [assignees, setAssignees] = useState([]);
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     status: 'pending',
     priority: 'medium',
     due_date: '',
+    tags: '',
+    project_id: defaultProjectId,
+    assignee_id: '',
+    auto_complete: false,
   });
 
   useEffect(() => {
@@ -18,20 +26,48 @@ const TaskForm = ({ task, onSubmit, onClose }) => {
         status: task.status || 'pending',
         priority: task.priority || 'medium',
         due_date: task.due_date ? task.due_date.split('T')[0] : '',
+        tags: (task.tags || []).map((tag) => tag.name).join(', '),
+        project_id: task.project_id || '',
+        assignee_id: task.assignee_id || '',
+        auto_complete: Boolean(task.auto_complete),
       });
     }
   }, [task]);
 
+  // Project tasks can be assigned to the project's members, personal tasks to yourself
+  useEffect(() => {
+    const fetchAssignees = async () => {
+      if (!formData.project_id) {
+        setAssignees(user ? [{ id: user.id, username: user.username }] : []);
+        return;
+      }
+
+      try {
+        const response = await projectAPI.getOne(formData.project_id);
+        setAssignees(response.data.data.members.map((member) => ({ id: member.user_id, username: member.username })));
+      } catch (error) {
+        setAssignees([]);
+      }
+    };
+
+    fetchAssignees();
+  }, [formData.project_id, user]);
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
-      [e.target.name]: e.target.value,
+      [e.target.name]: e.target.type === 'checkbox' ? e.target.checked : e.target.value,
     });
   };
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSubmit(formData);
+    onSubmit({
+      ...formData,
+      tags: formData.tags.split(',').map((name) => name.trim()).filter(Boolean),
+      project_id: formData.project_id ? Number(formData.project_id) : null,
+      assignee_id: formData.assignee_id ? Number(formData.assignee_id) : null,
+    });
   };
 
   return (
@@ -111,6 +147,72 @@ const TaskForm = ({ task, onSubmit, onClose }) => {
             />
           </div>
 
+          <div className="form-row">
+            {(projects.length > 0 || formData.project_id) && (
+              <div className="form-group">
+                <label htmlFor="project_id">Project</label>
+                <select
+                  id="project_id"
+                  name="project_id"
+                  value={formData.project_id}
+                  onChange={handleChange}
+                >
+                  <option value="">Personal</option>
+                  {task?.project_id && !projects.some((project) => project.id === task.project_id) && (
+                    <option value={task.project_id}>{task.project_name}</option>
+                  )}
+                  {projects.map((project) => (
+                    <option key={project.id} value={project.id}>{project.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="assignee_id">Assignee</label>
+              <select
+                id="assignee_id"
+                name="assignee_id"
+                value={formData.assignee_id}
+                onChange={handleChange}
+              >
+                <option value="">Unassigned</option>
+                {task?.assignee_id && !assignees.some((assignee) => assignee.id === task.assignee_id) && (
+                  <option value={task.assignee_id}>{task.assignee_username}</option>
+                )}
+                {assignees.map((assignee) => (
+                  <option key={assignee.id} value={assignee.id}>
+                    {assignee.id === user?.id ? `${assignee.username} (you)` : assignee.username}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="tags">Tags</label>
+            <input
+              type="text"
+              id="tags"
+              name="tags"
+              value={formData.tags}
+              onChange={handleChange}
+              placeholder="e.g. work, urgent"
+            />
+          </div>
+
+          <div className="form-group form-checkbox">
+            <label>
+              <input
+                type="checkbox"
+                name="auto_complete"
+                checked={formData.auto_complete}
+                onChange={handleChange}
+              />
+              Complete automatically when all subtasks and checklist items are done
+            </label>
+          </div>
+
           <div className="form-actions">
             <button type="button" onClick={onClose} className="btn-secondary">
               Cancel
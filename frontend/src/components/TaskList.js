@@ -1,7 +1,33 @@
 import React from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
 import './TaskList.css';
 
-const TaskList = ({ tasks, onEdit, onDelete }) => {
+// Starting or completing a blocked task needs confirmation. Returns the extra update fields,
+// or null when the user backs out.
+export const blockedStatusOverride = (task, status) => {
+  if (!task.blocked || status === task.status || !['in_progress', 'completed'].includes(status)) {
+    return {};
+  }
+
+  return window.confirm(`"${task.title}" is blocked by unfinished tasks. Change its status anyway?`)
+    ? { force: true }
+    : null;
+};
+
+// Share of subtasks and checklist items that are done
+export const TaskProgress = ({ progress }) => (
+  <div className="task-progress" title={`${progress.completed} of ${progress.total} subtasks and checklist items done`}>
+    <div className="task-progress-bar">
+      <div style={{ width: `${Math.round((progress.completed / progress.total) * 100)}%` }} />
+    </div>
+    <span>{progress.completed}/{progress.total}</span>
+  </div>
+);
+
+const TaskList = ({ tasks, showProject = false, onEdit, onDelete, onStatusChange }) => {
+  const { user } = useAuth();
+
   const getStatusClass = (status) => {
     const classes = {
       pending: 'status-pending',
@@ -32,6 +58,8 @@ const TaskList = ({ tasks, onEdit, onDelete }) => {
     });
   };
 
+  const getInitials = (username) => username.slice(0, 2).toUpperCase();
+
   if (tasks.length === 0) {
     return (
       <div className="empty-state">
@@ -45,7 +73,9 @@ const TaskList = ({ tasks, onEdit, onDelete }) => {
       {tasks.map((task) => (
         <div key={task.id} className="task-card">
           <div className="task-header">
-            <h3>{task.title}</h3>
+            <h3>
+              <Link to={`/tasks/${task.id}`} className="task-title-link">{task.title}</Link>
+            </h3>
             <div className="task-badges">
               <span className={`badge ${getStatusClass(task.status)}`}>
                 {task.status.replace('_', ' ')}
@@ -53,6 +83,7 @@ const TaskList = ({ tasks, onEdit, onDelete }) => {
               <span className={`badge ${getPriorityClass(task.priority)}`}>
                 {task.priority}
               </span>
+              {task.blocked && <span className="badge status-blocked" title="Waiting for other tasks">blocked</span>}
             </div>
           </div>
 
@@ -60,9 +91,45 @@ const TaskList = ({ tasks, onEdit, onDelete }) => {
             <p className="task-description">{task.description}</p>
           )}
 
+          {task.tags?.length > 0 && (
+            <div className="task-tags">
+              {task.tags.map((tag) => (
+                <span key={tag.id} className="tag-chip" style={{ backgroundColor: tag.color }}>
+                  {tag.name}
+                </span>
+              ))}
+            </div>
+          )}
+
+          {task.progress?.total > 0 && <TaskProgress progress={task.progress} />}
+
           <div className="task-footer">
-            <span className="task-date">📅 {formatDate(task.due_date)}</span>
+            <span className="task-date">
+              📅 {formatDate(task.due_date)}
+              {showProject && task.project_name && <> · 📁 {task.project_name}</>}
+            </span>
+            {task.assignee_username && (
+              <span className="task-assignee" title={`Assigned to ${task.assignee_username}`}>
+                <span className="assignee-avatar">{getInitials(task.assignee_username)}</span>
+                {task.assignee_id === user?.id ? 'You' : task.assignee_username}
+              </span>
+            )}
             <div className="task-actions">
+              {onStatusChange && task.assignee_id === user?.id && (
+                <select
+                  value={task.status}
+                  onChange={(e) => onStatusChange(task, e.target.value)}
+                  className="status-select"
+                >
+                  <option value="pending">Pending</option>
+                  <option value="in_progress">In Progress</option>
+                  <option value="completed">Completed</option>
+                  <option value="cancelled">Cancelled</option>
+                </select>
+              )}
+              <Link to={`/tasks/${task.id}`} className="btn-icon comments">
+                💬 Discuss
+              </Link>
               <button onClick={() => onEdit(task)} className="btn-icon edit">
                 ✏️ Edit
               </button>
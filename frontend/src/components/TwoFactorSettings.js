@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import { authAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import toast from 'react-hot-toast';
+import './TwoFactorSettings.css';
+
+const TwoFactorSettings = () => {
+  const { user, updateUser } = useAuth();
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleError = (error, fallback) => {
+    const errors = error.response?.data?.errors;
+    if (errors && errors.length > 0) {
+      errors.forEach(err => toast.error(err.message));
+    } else {
+      toast.error(error.response?.data?.message || fallback);
+    }
+  };
+
+  const handleStartSetup = async () => {
+    setLoading(true);
+    try {
+      const response = await authAPI.setupTwoFactor();
+      setSetup(response.data.data);
+      setCode('');
+    } catch (error) {
+      handleError(error, 'Failed to start two-factor setup');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const response = await authAPI.confirmTwoFactor({ code });
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      setSetup(null);
+      setCode('');
+      updateUser({ ...user, two_factor_enabled: true });
+      toast.success('Two-factor authentication enabled');
+    } catch (error) {
+      handleError(error, 'Failed to confirm code');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const response = await authAPI.regenerateRecoveryCodes({ code });
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      setCode('');
+      toast.success('New recovery codes generated');
+    } catch (error) {
+      handleError(error, 'Failed to generate recovery codes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDisable = async () => {
+    if (!password || !code) {
+      toast.error('Enter your password and a code to disable two-factor authentication');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await authAPI.disableTwoFactor({ password, code });
+      setPassword('');
+      setCode('');
+      setRecoveryCodes(null);
+      updateUser({ ...user, two_factor_enabled: false });
+      toast.success('Two-factor authentication disabled');
+    } catch (error) {
+      handleError(error, 'Failed to disable two-factor authentication');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (recoveryCodes) {
+    return (
+      <div className="two-factor">
+        <p className="two-factor-warning">
+          Save these recovery codes now. Each can be used once if you lose access to your
+          authenticator app, and they will not be shown again.
+        </p>
+        <ul className="recovery-codes">
+          {recoveryCodes.map((recoveryCode) => (
+            <li key={recoveryCode}><code>{recoveryCode}</code></li>
+          ))}
+        </ul>
+        <button onClick={() => setRecoveryCodes(null)} className="btn-secondary">
+          I have saved my codes
+        </button>
+      </div>
+    );
+  }
+
+  if (setup) {
+    return (
+      <form onSubmit={handleConfirm} className="account-form">
+        <p className="two-factor-text">
+          Add this account to your authenticator app by opening the link on your phone or entering
+          the secret manually, then enter the 6-digit code it shows.
+        </p>
+        <a href={setup.otpauthUri} className="two-factor-link">Open in authenticator app</a>
+        <code className="two-factor-secret">{setup.secret}</code>
+
+        <div className="form-group">
+          <label htmlFor="confirmCode">Code</label>
+          <input
+            type="text"
+            id="confirmCode"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            placeholder="123456"
+          />
+        </div>
+
+        <div className="two-factor-actions">
+          <button type="button" onClick={() => setSetup(null)} className="btn-secondary">
+            Cancel
+          </button>
+          <button type="submit" className="btn-primary" disabled={loading}>
+            {loading ? 'Verifying...' : 'Enable'}
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  if (!user?.two_factor_enabled) {
+    return (
+      <div className="two-factor">
+        {user?.two_factor_required && (
+          <p className="two-factor-warning">Two-factor authentication is required for your role.</p>
+        )}
+        <button onClick={handleStartSetup} className="btn-primary" disabled={loading}>
+          Set up two-factor authentication
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleRegenerate} className="account-form">
+      <p className="two-factor-status">✅ Two-factor authentication is enabled.</p>
+
+      <div className="form-group">
+        <label htmlFor="manageCode">Authenticator Code</label>
+        <input
+          type="text"
+          id="manageCode"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          placeholder="123456"
+        />
+      </div>
+
+      {!user?.two_factor_required && (
+        <div className="form-group">
+          <label htmlFor="disablePassword">Password (to disable)</label>
+          <input
+            type="password"
+            id="disablePassword"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+          />
+        </div>
+      )}
+
+      <div className="two-factor-actions">
+        <button type="submit" className="btn-secondary" disabled={loading || !code}>
+          New recovery codes
+        </button>
+        {!user?.two_factor_required && (
+          <button type="button" onClick={handleDisable} className="btn-danger" disabled={loading}>
+            Disable
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { userAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import toast from 'react-hot-toast';
+import './UserManager.css';
+
+const PAGE_SIZE = 20;
+
+const STATUS_FILTERS = [
+  { value: '', label: 'All users' },
+  { value: 'active', label: 'Active' },
+  { value: 'suspended', label: 'Suspended' },
+  { value: 'deactivated', label: 'Deactivated' },
+];
+
+const UserManager = ({ canImpersonate, canSuspend }) => {
+  const { user: currentUser, startImpersonation } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [status, setStatus] = useState('');
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    fetchUsers(0);
+  }, [status]);
+
+  const fetchUsers = async (offset) => {
+    try {
+      const response = await userAPI.getAll({ limit: PAGE_SIZE, offset, ...(status && { status }) });
+      const { users: page, pagination } = response.data.data;
+
+      setUsers(offset === 0 ? page : (previous) => [...previous, ...page]);
+      setHasMore(pagination.hasMore);
+    } catch (error) {
+      toast.error('Failed to fetch users');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleImpersonate = async (user) => {
+    try {
+      await startImpersonation(user.id);
+      toast.success(`Viewing the app as ${user.username}`);
+      navigate('/dashboard');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to impersonate user');
+    }
+  };
+
+  // Suspend, deactivate or reactivate, then refresh the list from the top
+  const handleStatusChange = async (user, action) => {
+    let reason;
+
+    if (action !== 'reactivate') {
+      reason = window.prompt(`Reason to ${action} ${user.username} (shown to them when they try to log in):`);
+
+      if (reason === null) {
+        return;
+      }
+    }
+
+    try {
+      const response = await userAPI[action](user.id, reason || undefined);
+      toast.success(response.data.message);
+      fetchUsers(0);
+    } catch (error) {
+      toast.error(error.response?.data?.message || `Failed to ${action} user`);
+    }
+  };
+
+  if (loading) {
+    return <p className="user-empty">Loading users...</p>;
+  }
+
+  return (
+    <div className="user-manager">
+      <select
+        value={status}
+        onChange={(e) => setStatus(e.target.value)}
+        className="user-status-filter"
+        aria-label="Filter by status"
+      >
+        {STATUS_FILTERS.map((filter) => (
+          <option key={filter.value} value={filter.value}>{filter.label}</option>
+        ))}
+      </select>
+
+      {users.map((user) => (
+        <div key={user.id} className="user-item">
+          <div>
+            <p className="user-name">
+              {user.username}
+              <span className="user-role">{user.role}</span>
+              {user.status !== 'active' && (
+                <span className={`user-status user-status-${user.status}`}>{user.status}</span>
+              )}
+            </p>
+            <p className="user-meta">
+              {user.email}
+              {user.status_reason && ` · ${user.status_reason}`}
+            </p>
+          </div>
+          {user.id !== currentUser?.id && (
+            <div className="user-actions">
+              {canImpersonate && user.status === 'active' && (
+                <button onClick={() => handleImpersonate(user)} className="btn-secondary">
+                  View as
+                </button>
+              )}
+              {canSuspend && user.status === 'active' && (
+                <>
+                  <button onClick={() => handleStatusChange(user, 'suspend')} className="btn-secondary">
+                    Suspend
+                  </button>
+                  <button onClick={() => handleStatusChange(user, 'deactivate')} className="btn-secondary">
+                    Deactivate
+                  </button>
+                </>
+              )}
+              {canSuspend && user.status !== 'active' && (
+                <button onClick={() => handleStatusChange(user, 'reactivate')} className="btn-secondary">
+                  Reactivate
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+
+      {users.length === 0 && <p className="user-empty">No users.</p>}
+
+      {hasMore && (
+        <button onClick={() => fetchUsers(users.length)} className="btn-secondary">
+          Load more
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default UserManager;
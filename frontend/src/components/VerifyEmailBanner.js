@@ -0,0 +1,33 @@
+import React, { useState } from 'react';
+import { authAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import './VerifyEmailBanner.css';
+
+const VerifyEmailBanner = ({ email }) => {
+  const [sending, setSending] = useState(false);
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      await authAPI.resendVerification();
+      toast.success('Verification email sent');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="verify-banner">
+      <p>
+        Please verify your email address <strong>{email}</strong>. Until then your account is limited.
+      </p>
+      <button onClick={handleResend} className="verify-banner-btn" disabled={sending}>
+        {sending ? 'Sending...' : 'Resend email'}
+      </button>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
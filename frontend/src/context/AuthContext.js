@@ -1,5 +1,5 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
-import { authAPI } from '../services/api';
+import { authAPI, userAPI, setCsrfToken } from '../services/api';
 
 const AuthContext = createContext(null);
 
@@ -21,54 +21,102 @@ export const AuthProvider = ({ children }) => {
   }, []);
 
   const checkAuth = async () => {
-    const token = localStorage.getItem('token');
+    // Tokens used to be kept here; they now live in HttpOnly cookies
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+
     const storedUser = localStorage.getItem('user');
 
-    if (token && storedUser) {
+    if (storedUser) {
       try {
-        // Verify token by fetching user profile
+        // Verify the session cookie by fetching user profile
         const response = await authAPI.getProfile();
         setUser(response.data.data.user);
         setIsAuthenticated(true);
       } catch (error) {
-        // Token invalid, clear storage
-        logout();
+        // Session invalid, clear storage
+        clearSession();
       }
     }
     setLoading(false);
   };
 
-  const login = async (email, password) => {
-    const response = await authAPI.login({ email, password });
-    const { user, accessToken, refreshToken } = response.data.data;
-
-    localStorage.setItem('token', accessToken);
-    localStorage.setItem('refreshToken', refreshToken);
+  // The API has set the auth cookies; only the user and the CSRF token reach the app
+  const storeSession = ({ user, csrfToken }) => {
+    setCsrfToken(csrfToken);
     localStorage.setItem('user', JSON.stringify(user));
 
     setUser(user);
     setIsAuthenticated(true);
+  };
+
+  // Resolves with twoFactorRequired + challengeToken when a second factor is needed
+  // `restoreAccount` signs into an account scheduled for deletion and cancels the deletion
+  const login = async (email, password, { restoreAccount = false } = {}) => {
+    const response = await authAPI.login({ email, password, ...(restoreAccount && { restoreAccount }) });
+
+    if (!response.data.data.twoFactorRequired) {
+      storeSession(response.data.data);
+    }
+
+    return response.data;
+  };
+
+  // Redeem the one-time code from the SSO redirect; may also require a second factor
+  const loginWithSso = async (code, { restoreAccount = false } = {}) => {
+    const response = await authAPI.exchangeOidcCode({ code, ...(restoreAccount && { restoreAccount }) });
+
+    if (!response.data.data.twoFactorRequired) {
+      storeSession(response.data.data);
+    }
+
+    return response.data;
+  };
+
+  const verifyTwoFactor = async (challengeToken, { code, recoveryCode }) => {
+    const response = await authAPI.verifyTwoFactor({ challengeToken, code, recoveryCode });
+    storeSession(response.data.data);
 
     return response.data;
   };
 
   const register = async (userData) => {
     const response = await authAPI.register(userData);
-    const { user, accessToken, refreshToken } = response.data.data;
+    storeSession(response.data.data);
 
-    localStorage.setItem('token', accessToken);
-    localStorage.setItem('refreshToken', refreshToken);
-    localStorage.setItem('user', JSON.stringify(user));
+    return response.data;
+  };
 
-    setUser(user);
-    setIsAuthenticated(true);
+  // The API switches the access cookie; the user payload carries `impersonator`
+  const startImpersonation = async (userId) => {
+    const response = await userAPI.impersonate(userId);
+    updateUser(response.data.data.user);
 
     return response.data;
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('refreshToken');
+  const stopImpersonation = async () => {
+    const response = await authAPI.stopImpersonation();
+    updateUser(response.data.data.user);
+
+    return response.data;
+  };
+
+  const logout = async () => {
+    // Revoke the session server-side; local state is cleared regardless
+    try {
+      if (user?.impersonator) {
+        await authAPI.stopImpersonation();
+      }
+      await authAPI.logout();
+    } catch (error) {
+      // Session already gone
+    }
+    clearSession();
+  };
+
+  const clearSession = () => {
+    setCsrfToken(null);
     localStorage.removeItem('user');
     setUser(null);
     setIsAuthenticated(false);
@@ -84,8 +132,13 @@ export const AuthProvider = ({ children }) => {
     loading,
     isAuthenticated,
     login,
+    loginWithSso,
+    verifyTwoFactor,
     register,
+    startImpersonation,
+    stopImpersonation,
     logout,
+    clearSession,
     updateUser,
   };
 
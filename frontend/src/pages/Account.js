@@ -0,0 +1,116 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import SessionList from '../components/SessionList';
+import ActivityList from '../components/ActivityList';
+import ChangePasswordForm from '../components/ChangePasswordForm';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import SecuritySettings from '../components/SecuritySettings';
+import InviteManager from '../components/InviteManager';
+import AccessTokens from '../components/AccessTokens';
+import UserManager from '../components/UserManager';
+import AccountData from '../components/AccountData';
+import './Dashboard.css';
+import './Account.css';
+
+const Account = () => {
+  const { user, logout } = useAuth();
+  const can = (permission) => Boolean(user?.permissions?.includes(permission));
+
+  return (
+    <div className="dashboard">
+      <header className="dashboard-header">
+        <div>
+          <h1>Account</h1>
+          <p>{user?.username} · {user?.email}</p>
+        </div>
+        <div className="header-actions">
+          <Link to="/dashboard" className="header-link">Dashboard</Link>
+          <button onClick={logout} className="btn-secondary">Logout</button>
+        </div>
+      </header>
+
+      <section className="account-section">
+        <h2>Password</h2>
+        <p className="account-section-description">
+          Changing your password signs you out on every other device.
+        </p>
+        <ChangePasswordForm />
+      </section>
+
+      <section className="account-section">
+        <h2>Two-Factor Authentication</h2>
+        <p className="account-section-description">
+          Protect your account with a one-time code from an authenticator app.
+        </p>
+        <TwoFactorSettings />
+      </section>
+
+      <section className="account-section">
+        <h2>Sessions</h2>
+        <p className="account-section-description">
+          Devices currently signed in to your account. Revoke any you don't recognise.
+        </p>
+        <SessionList />
+      </section>
+
+      <section className="account-section">
+        <h2>Recent Activity</h2>
+        <p className="account-section-description">
+          Sign-ins and security changes on your account. If something looks unfamiliar, change your password.
+        </p>
+        <ActivityList />
+      </section>
+
+      <section className="account-section">
+        <h2>Personal Access Tokens</h2>
+        <p className="account-section-description">
+          Tokens let scripts and integrations call the API as you, limited to the selected scopes.
+        </p>
+        <AccessTokens />
+      </section>
+
+      <section className="account-section">
+        <h2>Your Data</h2>
+        <p className="account-section-description">
+          Take a copy of everything stored about you, or close your account.
+        </p>
+        <AccountData />
+      </section>
+
+      {can('settings:read') && (
+        <section className="account-section">
+          <h2>Security Policy</h2>
+          <p className="account-section-description">
+            Applies to every account with the selected roles.
+          </p>
+          <SecuritySettings canUpdate={can('settings:update')} />
+        </section>
+      )}
+
+      {can('users:read') && (
+        <section className="account-section">
+          <h2>Users</h2>
+          <p className="account-section-description">
+            {can('users:impersonate')
+              ? 'Use "View as" to see the app exactly as a user does. Every request is logged.'
+              : 'Everyone with an account.'}
+          </p>
+          <UserManager canImpersonate={can('users:impersonate')} canSuspend={can('users:suspend')} />
+        </section>
+      )}
+
+      {can('users:invite') && (
+        <section className="account-section">
+          <h2>Invitations</h2>
+          <p className="account-section-description">
+            Invite people by email. The link lets them register with the role you choose.
+          </p>
+          <InviteManager />
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default Account;
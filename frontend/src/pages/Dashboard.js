@@ -1,9 +1,12 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { taskAPI } from '../services/api';
+import { taskAPI, tagAPI, projectAPI } from '../services/api';
 import toast from 'react-hot-toast';
 import TaskForm from '../components/TaskForm';
-import TaskList from '../components/TaskList';
+import TaskList, { blockedStatusOverride } from '../components/TaskList';
+import ProjectMembers from '../components/ProjectMembers';
+import VerifyEmailBanner from '../components/VerifyEmailBanner';
 import './Dashboard.css';
 
 const Dashboard = () => {
@@ -13,16 +16,36 @@ const Dashboard = () => {
   const [loading, setLoading] = useState(true);
   const [showForm, setShowForm] = useState(false);
   const [editingTask, setEditingTask] = useState(null);
-  const [filter, setFilter] = useState({ status: '', priority: '' });
+  const [tags, setTags] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [showMembers, setShowMembers] = useState(false);
+  const [filter, setFilter] = useState({
+    status: '',
+    priority: '',
+    tags: '',
+    tagMode: 'any',
+    projectId: '',
+    assignee: '',
+    created_by: '',
+  });
+
+  const currentProject = projects.find((project) => String(project.id) === filter.projectId);
 
   useEffect(() => {
     fetchTasks();
     fetchStats();
   }, [filter]);
 
+  useEffect(() => {
+    fetchTags();
+    fetchProjects();
+  }, []);
+
   const fetchTasks = async () => {
     try {
-      const response = await taskAPI.getAll(filter);
+      // Subtasks are listed under their parent task, except when looking for your own work
+      const personal = filter.assignee || filter.created_by;
+      const response = await taskAPI.getAll({ ...filter, parentId: personal ? undefined : 'none' });
       setTasks(response.data.data.tasks);
     } catch (error) {
       toast.error('Failed to fetch tasks');
@@ -33,13 +56,80 @@ const Dashboard = () => {
 
   const fetchStats = async () => {
     try {
-      const response = await taskAPI.getStats();
+      const response = await taskAPI.getStats({
+        projectId: filter.projectId || undefined,
+        assignee: filter.assignee || undefined,
+      });
       setStats(response.data.data.stats);
     } catch (error) {
       console.error('Failed to fetch stats');
     }
   };
 
+  const fetchTags = async () => {
+    try {
+      const response = await tagAPI.getAll();
+      setTags(response.data.data.tags);
+    } catch (error) {
+      console.error('Failed to fetch tags');
+    }
+  };
+
+  const fetchProjects = async () => {
+    try {
+      const response = await projectAPI.getAll();
+      setProjects(response.data.data.projects);
+    } catch (error) {
+      console.error('Failed to fetch projects');
+    }
+  };
+
+  const handleCreateProject = async () => {
+    const name = window.prompt('Project name');
+
+    if (!name || !name.trim()) {
+      return;
+    }
+
+    try {
+      const response = await projectAPI.create({ name: name.trim() });
+      toast.success('Project created successfully');
+      await fetchProjects();
+      setFilter({ ...filter, projectId: String(response.data.data.project.id) });
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create project');
+    }
+  };
+
+  const handleDeleteProject = async () => {
+    if (!window.confirm(`Delete ${currentProject.name} and all of its tasks?`)) {
+      return;
+    }
+
+    try {
+      await projectAPI.delete(currentProject.id);
+      toast.success('Project deleted successfully');
+      handleProjectRemoved();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete project');
+    }
+  };
+
+  const handleProjectRemoved = () => {
+    setShowMembers(false);
+    setFilter({ ...filter, projectId: '' });
+    fetchProjects();
+  };
+
+  const selectedTags = filter.tags ? filter.tags.split(',') : [];
+
+  const toggleTagFilter = (name) => {
+    const next = selectedTags.includes(name)
+      ? selectedTags.filter((selected) => selected !== name)
+      : [...selectedTags, name];
+    setFilter({ ...filter, tags: next.join(',') });
+  };
+
   const handleCreateTask = async (taskData) => {
     try {
       await taskAPI.create(taskData);
@@ -47,23 +137,42 @@ const Dashboard = () => {
       setShowForm(false);
       fetchTasks();
       fetchStats();
+      fetchTags();
+      fetchProjects();
     } catch (error) {
       toast.error(error.response?.data?.message || 'Failed to create task');
     }
   };
 
   const handleUpdateTask = async (id, taskData) => {
+    const override = blockedStatusOverride(editingTask, taskData.status);
+    if (!override) return;
+
     try {
-      await taskAPI.update(id, taskData);
+      await taskAPI.update(id, { ...taskData, ...override });
       toast.success('Task updated successfully');
       setEditingTask(null);
       fetchTasks();
       fetchStats();
+      fetchTags();
     } catch (error) {
       toast.error(error.response?.data?.message || 'Failed to update task');
     }
   };
 
+  const handleStatusChange = async (task, status) => {
+    const override = blockedStatusOverride(task, status);
+    if (!override) return;
+
+    try {
+      await taskAPI.update(task.id, { status, ...override });
+      fetchTasks();
+      fetchStats();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update status');
+    }
+  };
+
   const handleDeleteTask = async (id) => {
     if (window.confirm('Are you sure you want to delete this task?')) {
       try {
@@ -96,10 +205,20 @@ const Dashboard = () => {
         </div>
         <div className="header-actions">
           <span className="user-badge">{user?.role}</span>
+          <Link to="/account" className="header-link">Account</Link>
           <button onClick={logout} className="btn-secondary">Logout</button>
         </div>
       </header>
 
+      {user && !user.email_verified_at && <VerifyEmailBanner email={user.email} />}
+
+      {user?.two_factor_required && !user.two_factor_enabled && (
+        <div className="notice-banner">
+          Two-factor authentication is required for your role.{' '}
+          <Link to="/account">Set it up in your account settings</Link> to access your tasks.
+        </div>
+      )}
+
       {stats && (
         <div className="stats-grid">
           <div className="stat-card">
@@ -121,12 +240,59 @@ const Dashboard = () => {
         </div>
       )}
 
+      <div className="project-switcher">
+        <select
+          value={filter.projectId}
+          onChange={(e) => setFilter({ ...filter, projectId: e.target.value })}
+          className="filter-select"
+        >
+          <option value="">All my tasks</option>
+          {projects.map((project) => (
+            <option key={project.id} value={String(project.id)}>
+              📁 {project.name} ({project.role})
+            </option>
+          ))}
+        </select>
+
+        {currentProject && (
+          <button onClick={() => setShowMembers(true)} className="btn-secondary">
+            👥 Members ({currentProject.member_count})
+          </button>
+        )}
+
+        {currentProject?.role === 'owner' && (
+          <button onClick={handleDeleteProject} className="btn-secondary">
+            Delete Project
+          </button>
+        )}
+
+        {user?.permissions?.includes('tasks:create') && (
+          <button onClick={handleCreateProject} className="btn-secondary">
+            + New Project
+          </button>
+        )}
+      </div>
+
       <div className="dashboard-controls">
         <button onClick={() => setShowForm(true)} className="btn-primary">
           + New Task
         </button>
 
         <div className="filters">
+          <select
+            value={filter.assignee ? 'assignee' : filter.created_by ? 'created_by' : ''}
+            onChange={(e) => setFilter({
+              ...filter,
+              assignee: e.target.value === 'assignee' ? 'me' : '',
+              created_by: e.target.value === 'created_by' ? 'me' : '',
+            })}
+            className="filter-select"
+          >
+            <option value="">Anyone's tasks</option>
+            <option value="assignee">Assigned to me</option>
+            <option value="created_by">Created by me</option>
+          </select>
+
           <select
             value={filter.status}
             onChange={(e) => setFilter({ ...filter, status: e.target.value })}
@@ -150,22 +316,53 @@ const Dashboard = () => {
             <option value="high">High</option>
             <option value="urgent">Urgent</option>
           </select>
+
+          {selectedTags.length > 1 && (
+            <select
+              value={filter.tagMode}
+              onChange={(e) => setFilter({ ...filter, tagMode: e.target.value })}
+              className="filter-select"
+            >
+              <option value="any">Any selected tag</option>
+              <option value="all">All selected tags</option>
+            </select>
+          )}
         </div>
       </div>
 
+      {tags.length > 0 && (
+        <div className="tag-filters">
+          {tags.map((tag) => (
+            <button
+              key={tag.id}
+              type="button"
+              onClick={() => toggleTagFilter(tag.name)}
+              className={`tag-filter ${selectedTags.includes(tag.name) ? 'active' : ''}`}
+              style={{ borderColor: tag.color, ...(selectedTags.includes(tag.name) && { backgroundColor: tag.color }) }}
+            >
+              {tag.name} <span className="tag-count">{tag.task_count}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
       {loading ? (
         <div className="loading">Loading tasks...</div>
       ) : (
         <TaskList
           tasks={tasks}
+          showProject={!currentProject}
           onEdit={handleEdit}
           onDelete={handleDeleteTask}
+          onStatusChange={handleStatusChange}
         />
       )}
 
       {showForm && (
         <TaskForm
           task={editingTask}
+          projects={projects.filter((project) => project.role !== 'viewer')}
+          defaultProjectId={currentProject && currentProject.role !== 'viewer' ? currentProject.id : ''}
           onSubmit={editingTask ? 
             (data) => handleUpdateTask(editingTask.id, data) : 
             handleCreateTask
@@ -173,6 +370,17 @@ const Dashboard = () => {
           onClose={handleCloseForm}
         />
       )}
+
+      {showMembers && currentProject && (
+        <ProjectMembers
+          project={currentProject}
+          onClose={() => {
+            setShowMembers(false);
+            fetchProjects();
+          }}
+          onLeave={handleProjectRemoved}
+        />
+      )}
     </div>
   );
 };
@@ -1,19 +1,87 @@
-import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
 import toast from 'react-hot-toast';
 import './Auth.css';
 
+// Logging into an account that is scheduled for deletion offers to restore it
+const confirmRestore = (error) => {
+  const data = error.response?.data?.data;
+
+  if (error.response?.status !== 403 || !data?.accountPendingDeletion) {
+    return false;
+  }
+
+  const date = new Date(data.deletionScheduledAt).toLocaleDateString();
+  return window.confirm(`This account is scheduled for deletion on ${date}. Restore it and log in?`);
+};
+
+const loginSuccessMessage = (result) => (
+  result.data.accountRestored ? 'Welcome back! Your account has been restored.' : 'Login successful!'
+);
+
 const Login = () => {
   const [formData, setFormData] = useState({
     email: '',
     password: '',
   });
   const [loading, setLoading] = useState(false);
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [secondFactor, setSecondFactor] = useState('');
+  const [sso, setSso] = useState(null);
+  const ssoExchanged = useRef(false);
 
-  const { login } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const ssoCode = searchParams.get('ssoCode');
+  const ssoError = searchParams.get('ssoError');
+
+  const { login, loginWithSso, verifyTwoFactor } = useAuth();
   const navigate = useNavigate();
 
+  useEffect(() => {
+    authAPI
+      .getOidcConfig()
+      .then((response) => setSso(response.data.data))
+      .catch(() => setSso(null));
+  }, []);
+
+  // Finish an SSO login the API redirected back with
+  useEffect(() => {
+    if (ssoError) {
+      toast.error(ssoError);
+      setSearchParams({}, { replace: true });
+      return;
+    }
+
+    // Codes are single-use, so guard against the effect running twice
+    if (!ssoCode || ssoExchanged.current) return;
+    ssoExchanged.current = true;
+    setSearchParams({}, { replace: true });
+    setLoading(true);
+
+    const exchange = (restoreAccount) => loginWithSso(ssoCode, { restoreAccount })
+      .then((result) => {
+        if (result.data.twoFactorRequired) {
+          setChallengeToken(result.data.challengeToken);
+          return;
+        }
+
+        toast.success(loginSuccessMessage(result));
+        navigate('/dashboard');
+      })
+      .catch((error) => {
+        // A pending-deletion refusal leaves the code unused for the retry
+        if (!restoreAccount && confirmRestore(error)) {
+          return exchange(true);
+        }
+        toast.error(error.response?.data?.message || 'SSO login failed');
+      });
+
+    exchange(false).finally(() => setLoading(false));
+  }, [ssoCode, ssoError, loginWithSso, navigate, setSearchParams]);
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -21,21 +89,125 @@ const Login = () => {
     });
   };
 
-  const handleSubmit = async (e) => {
+  // An expired password comes back with a one-off reset token to choose a new one
+  const redirectIfPasswordExpired = (error) => {
+    const data = error.response?.data?.data;
+
+    if (error.response?.status !== 403 || !data?.passwordExpired) {
+      return false;
+    }
+
+    toast.error(error.response.data.message);
+    navigate(`/reset-password?token=${data.resetToken}&expired=1`);
+    return true;
+  };
+
+  const handleSubmit = async (e, restoreAccount = false) => {
     e.preventDefault();
     setLoading(true);
 
     try {
-      await login(formData.email, formData.password);
-      toast.success('Login successful!');
+      const result = await login(formData.email, formData.password, { restoreAccount });
+
+      if (result.data.twoFactorRequired) {
+        setChallengeToken(result.data.challengeToken);
+        return;
+      }
+
+      toast.success(loginSuccessMessage(result));
       navigate('/dashboard');
     } catch (error) {
+      if (redirectIfPasswordExpired(error)) {
+        return;
+      }
+      if (!restoreAccount && confirmRestore(error)) {
+        return await handleSubmit(e, true);
+      }
       toast.error(error.response?.data?.message || 'Login failed');
     } finally {
       setLoading(false);
     }
   };
 
+  const handleSecondFactorSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+
+    try {
+      const result = await verifyTwoFactor(
+        challengeToken,
+        useRecoveryCode ? { recoveryCode: secondFactor } : { code: secondFactor }
+      );
+
+      if (result.data.recoveryCodesRemaining !== undefined) {
+        toast(`${result.data.recoveryCodesRemaining} recovery codes left`);
+      }
+      toast.success(loginSuccessMessage(result));
+      navigate('/dashboard');
+    } catch (error) {
+      if (redirectIfPasswordExpired(error)) {
+        return;
+      }
+      // An expired challenge means starting over with the password
+      if (error.response?.data?.message?.includes('challenge')) {
+        setChallengeToken(null);
+      }
+      toast.error(error.response?.data?.message || 'Verification failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <h1>Two-Factor Authentication</h1>
+          <p className="subtitle">
+            {useRecoveryCode
+              ? 'Enter one of your recovery codes.'
+              : 'Enter the 6-digit code from your authenticator app.'}
+          </p>
+
+          <form onSubmit={handleSecondFactorSubmit} className="auth-form">
+            <div className="form-group">
+              <label htmlFor="secondFactor">{useRecoveryCode ? 'Recovery Code' : 'Code'}</label>
+              <input
+                type="text"
+                id="secondFactor"
+                name="secondFactor"
+                value={secondFactor}
+                onChange={(e) => setSecondFactor(e.target.value)}
+                required
+                autoFocus
+                autoComplete="one-time-code"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+              />
+            </div>
+
+            <button type="submit" className="btn-primary" disabled={loading}>
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+
+          <p className="auth-footer">
+            <button
+              type="button"
+              className="link-button"
+              onClick={() => {
+                setUseRecoveryCode(!useRecoveryCode);
+                setSecondFactor('');
+              }}
+            >
+              {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+            </button>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-container">
       <div className="auth-card">
@@ -67,6 +239,7 @@ const Login = () => {
               required
               placeholder="Enter your password"
             />
+            <Link to="/forgot-password" className="forgot-link">Forgot password?</Link>
           </div>
 
           <button type="submit" className="btn-primary" disabled={loading}>
@@ -74,6 +247,15 @@ const Login = () => {
           </button>
         </form>
 
+        {sso?.enabled && (
+          <>
+            <div className="auth-divider">or</div>
+            <a href={authAPI.oidcLoginUrl} className="btn-sso">
+              Sign in with {sso.providerName}
+            </a>
+          </>
+        )}
+
         <p className="auth-footer">
           Don't have an account? <Link to="/register">Register</Link>
         </p>
@@ -1,21 +1,43 @@
-import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+import PasswordRequirements from '../components/PasswordRequirements';
 import toast from 'react-hot-toast';
 import './Auth.css';
 
 const Register = () => {
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite');
+  const [invite, setInvite] = useState(null);
+  const [inviteError, setInviteError] = useState(false);
   const [formData, setFormData] = useState({
     username: '',
     email: '',
     password: '',
     confirmPassword: '',
   });
+  const [passwordErrors, setPasswordErrors] = useState([]);
   const [loading, setLoading] = useState(false);
 
   const { register } = useAuth();
   const navigate = useNavigate();
 
+  // Invitation links pre-fill the email the invite was sent to
+  useEffect(() => {
+    if (!inviteToken) {
+      return;
+    }
+
+    authAPI.getInvite(inviteToken)
+      .then((response) => {
+        const { invite } = response.data.data;
+        setInvite(invite);
+        setFormData((current) => ({ ...current, email: invite.email }));
+      })
+      .catch(() => setInviteError(true));
+  }, [inviteToken]);
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -31,16 +53,12 @@ const Register = () => {
       return;
     }
 
-    if (formData.password.length < 6) {
-      toast.error('Password must be at least 6 characters');
-      return;
-    }
-
+    setPasswordErrors([]);
     setLoading(true);
 
     try {
       const { username, email, password } = formData;
-      await register({ username, email, password });
+      await register({ username, email, password, ...(invite && { inviteToken }) });
       toast.success('Registration successful!');
       navigate('/dashboard');
     } catch (error) {
@@ -48,7 +66,9 @@ const Register = () => {
       const errors = error.response?.data?.errors;
       
       if (errors && errors.length > 0) {
-        errors.forEach(err => toast.error(err.message));
+        // Password policy reasons are listed under the input, anything else is a toast
+        setPasswordErrors(errors.filter(err => err.field === 'password'));
+        errors.filter(err => err.field !== 'password').forEach(err => toast.error(err.message));
       } else {
         toast.error(message);
       }
@@ -61,7 +81,13 @@ const Register = () => {
     <div className="auth-container">
       <div className="auth-card">
         <h1>Register</h1>
-        <p className="subtitle">Create a new account to get started.</p>
+        <p className="subtitle">
+          {invite
+            ? `You've been invited to join with the ${invite.role} role.`
+            : inviteError
+              ? 'This invitation is invalid or has expired.'
+              : 'Create a new account to get started.'}
+        </p>
 
         <form onSubmit={handleSubmit} className="auth-form">
           <div className="form-group">
@@ -87,6 +113,7 @@ const Register = () => {
               value={formData.email}
               onChange={handleChange}
               required
+              readOnly={Boolean(invite)}
               placeholder="Enter your email"
             />
           </div>
@@ -101,9 +128,8 @@ const Register = () => {
               onChange={handleChange}
               required
               placeholder="Enter your password"
-              minLength="6"
             />
-            <small>Must be at least 6 characters with uppercase, lowercase, and number</small>
+            <PasswordRequirements errors={passwordErrors} />
           </div>
 
           <div className="form-group">
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import PasswordRequirements from '../components/PasswordRequirements';
+import toast from 'react-hot-toast';
+import './Auth.css';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const expired = searchParams.get('expired') === '1';
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: '',
+  });
+  const [passwordErrors, setPasswordErrors] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const navigate = useNavigate();
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.password !== formData.confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setPasswordErrors([]);
+    setLoading(true);
+
+    try {
+      await authAPI.resetPassword({ token, password: formData.password });
+      toast.success('Password reset! Please log in.');
+      navigate('/login');
+    } catch (error) {
+      const message = error.response?.data?.message || 'Password reset failed';
+      const errors = error.response?.data?.errors;
+
+      if (errors && errors.length > 0) {
+        setPasswordErrors(errors.filter(err => err.field === 'password'));
+        errors.filter(err => err.field !== 'password').forEach(err => toast.error(err.message));
+      } else {
+        toast.error(message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <h1>Reset Password</h1>
+          <p className="subtitle">This reset link is invalid.</p>
+          <p className="auth-footer">
+            <Link to="/forgot-password">Request a new link</Link>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h1>Reset Password</h1>
+        <p className="subtitle">
+          {expired
+            ? 'Your password has expired. Choose a new password to continue.'
+            : 'Choose a new password for your account.'}
+        </p>
+
+        <form onSubmit={handleSubmit} className="auth-form">
+          <div className="form-group">
+            <label htmlFor="password">New Password</label>
+            <input
+              type="password"
+              id="password"
+              name="password"
+              value={formData.password}
+              onChange={handleChange}
+              required
+              placeholder="Enter a new password"
+            />
+            <PasswordRequirements errors={passwordErrors} />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="confirmPassword">Confirm Password</label>
+            <input
+              type="password"
+              id="confirmPassword"
+              name="confirmPassword"
+              value={formData.confirmPassword}
+              onChange={handleChange}
+              required
+              placeholder="Confirm your new password"
+            />
+          </div>
+
+          <button type="submit" className="btn-primary" disabled={loading}>
+            {loading ? 'Resetting...' : 'Reset Password'}
+          </button>
+        </form>
+
+        <p className="auth-footer">
+          <Link to="/login">Back to Login</Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
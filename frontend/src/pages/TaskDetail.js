@@ -0,0 +1,223 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { taskAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import CommentThread from '../components/CommentThread';
+import TaskAttachments from '../components/TaskAttachments';
+import TaskChecklist from '../components/TaskChecklist';
+import TaskDependencies from '../components/TaskDependencies';
+import { TaskProgress, blockedStatusOverride } from '../components/TaskList';
+import '../components/TaskList.css';
+import './Dashboard.css';
+import './TaskDetail.css';
+
+// Nested list of subtasks; ticking one off completes it, unticking reopens it
+const SubtaskTree = ({ subtasks, onToggle, onMove }) => (
+  <ul className="subtask-tree">
+    {subtasks.map((subtask, index) => (
+      <li key={subtask.id} className="subtask-node">
+        <div className="subtask-row">
+          <input
+            type="checkbox"
+            checked={subtask.status === 'completed'}
+            onChange={() => onToggle(subtask)}
+          />
+          <Link to={`/tasks/${subtask.id}`} className={subtask.status === 'completed' ? 'done' : ''}>
+            {subtask.title}
+          </Link>
+          {subtask.progress?.total > 0 && <TaskProgress progress={subtask.progress} />}
+          {onMove && (
+            <>
+              <button onClick={() => onMove(index, -1)} className="btn-revoke" disabled={index === 0}>
+                ↑
+              </button>
+              <button onClick={() => onMove(index, 1)} className="btn-revoke" disabled={index === subtasks.length - 1}>
+                ↓
+              </button>
+            </>
+          )}
+        </div>
+        {subtask.subtasks.length > 0 && <SubtaskTree subtasks={subtask.subtasks} onToggle={onToggle} />}
+      </li>
+    ))}
+  </ul>
+);
+
+const TaskDetail = () => {
+  const { id } = useParams();
+  const { user, logout } = useAuth();
+  const [task, setTask] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [newSubtask, setNewSubtask] = useState('');
+
+  useEffect(() => {
+    fetchTask();
+  }, [id]);
+
+  const fetchTask = async () => {
+    try {
+      const response = await taskAPI.getOne(id);
+      setTask(response.data.data.task);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to fetch task');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAddSubtask = async (e) => {
+    e.preventDefault();
+    if (!newSubtask.trim()) return;
+
+    try {
+      await taskAPI.create({ title: newSubtask.trim(), parent_id: task.id });
+      setNewSubtask('');
+      fetchTask();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to add subtask');
+    }
+  };
+
+  const handleToggleSubtask = async (subtask) => {
+    const status = subtask.status === 'completed' ? 'pending' : 'completed';
+    const override = blockedStatusOverride(subtask, status);
+    if (!override) return;
+
+    try {
+      await taskAPI.update(subtask.id, { status, ...override });
+      fetchTask();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update subtask');
+    }
+  };
+
+  const handleMoveSubtask = async (index, offset) => {
+    const taskIds = task.subtasks.map((subtask) => subtask.id);
+    [taskIds[index], taskIds[index + offset]] = [taskIds[index + offset], taskIds[index]];
+
+    try {
+      await taskAPI.reorderSubtasks(task.id, taskIds);
+      fetchTask();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to reorder subtasks');
+    }
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return 'No due date';
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+    });
+  };
+
+  return (
+    <div className="dashboard">
+      <header className="dashboard-header">
+        <div>
+          <h1>Task</h1>
+          <p>{user?.username} · {user?.email}</p>
+        </div>
+        <div className="header-actions">
+          <Link to="/dashboard" className="header-link">Dashboard</Link>
+          <button onClick={logout} className="btn-secondary">Logout</button>
+        </div>
+      </header>
+
+      {loading && <div className="loading">Loading task...</div>}
+
+      {!loading && !task && (
+        <div className="empty-state">
+          <p>This task does not exist or you do not have access to it.</p>
+        </div>
+      )}
+
+      {task && (
+        <>
+          <section className="task-detail">
+            <div className="task-header">
+              <h2>{task.title}</h2>
+              <div className="task-badges">
+                <span className={`badge status-${task.status.replace('_', '-')}`}>
+                  {task.status.replace('_', ' ')}
+                </span>
+                <span className={`badge priority-${task.priority}`}>{task.priority}</span>
+                {task.blocked && <span className="badge status-blocked">blocked</span>}
+              </div>
+            </div>
+
+            {task.description && <p className="task-description">{task.description}</p>}
+
+            {task.tags?.length > 0 && (
+              <div className="task-tags">
+                {task.tags.map((tag) => (
+                  <span key={tag.id} className="tag-chip" style={{ backgroundColor: tag.color }}>
+                    {tag.name}
+                  </span>
+                ))}
+              </div>
+            )}
+
+            <p className="task-detail-meta">
+              📅 {formatDate(task.due_date)}
+              {task.username && task.user_id !== user?.id && <> · Owned by {task.username}</>}
+              {task.project_name && <> · 📁 {task.project_name}</>}
+              {task.assignee_username && <> · Assigned to {task.assignee_username}</>}
+              {task.parent_id && <> · <Link to={`/tasks/${task.parent_id}`}>Parent task</Link></>}
+            </p>
+
+            {task.progress.total > 0 && <TaskProgress progress={task.progress} />}
+            {task.auto_complete && (
+              <p className="task-detail-meta">Completes automatically when everything below is done.</p>
+            )}
+          </section>
+
+          <section className="task-detail">
+            <h2>Subtasks</h2>
+            {task.subtasks.length > 0 ? (
+              <SubtaskTree subtasks={task.subtasks} onToggle={handleToggleSubtask} onMove={handleMoveSubtask} />
+            ) : (
+              <p className="session-empty">No subtasks.</p>
+            )}
+            <form onSubmit={handleAddSubtask} className="subtask-form">
+              <input
+                type="text"
+                value={newSubtask}
+                onChange={(e) => setNewSubtask(e.target.value)}
+                placeholder="Add a subtask"
+                maxLength={200}
+              />
+              <button type="submit" className="btn-secondary" disabled={!newSubtask.trim()}>
+                Add
+              </button>
+            </form>
+          </section>
+
+          <section className="task-detail">
+            <h2>Checklist</h2>
+            <TaskChecklist task={task} onChange={fetchTask} />
+          </section>
+
+          <section className="task-detail">
+            <h2>Dependencies</h2>
+            <TaskDependencies task={task} onChange={fetchTask} />
+          </section>
+
+          <section className="task-detail">
+            <h2>Attachments</h2>
+            <TaskAttachments task={task} onChange={fetchTask} />
+          </section>
+
+          <section className="task-detail">
+            <h2>Discussion</h2>
+            <CommentThread task={task} />
+          </section>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TaskDetail;
@@ -0,0 +1,62 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+import './Auth.css';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is invalid.');
+  const [verifiedUser, setVerifiedUser] = useState(null);
+  const requested = useRef(false);
+
+  const { isAuthenticated, user, updateUser } = useAuth();
+
+  useEffect(() => {
+    // Tokens are single-use, so guard against the effect running twice
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    authAPI
+      .verifyEmail({ token })
+      .then((response) => {
+        setVerifiedUser(response.data.data.user);
+        setStatus('success');
+        setMessage('Your email address has been verified.');
+      })
+      .catch((error) => {
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Verification failed');
+      });
+  }, [token]);
+
+  // Refresh the signed-in user so the verification banner disappears
+  useEffect(() => {
+    if (verifiedUser && isAuthenticated && user?.id === verifiedUser.id && !user.email_verified_at) {
+      updateUser(verifiedUser);
+    }
+  }, [verifiedUser, isAuthenticated, user, updateUser]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h1>Email Verification</h1>
+        <p className="subtitle">
+          {status === 'verifying' ? 'Verifying your email address...' : message}
+        </p>
+
+        <p className="auth-footer">
+          {isAuthenticated ? (
+            <Link to="/dashboard">Go to Dashboard</Link>
+          ) : (
+            <Link to="/login">Go to Login</Link>
+          )}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -2,20 +2,37 @@ import axios from 'axios';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api/v1';
 
-// Create axios instance
+// Create axios instance. The web app uses cookie mode: tokens live in HttpOnly
+// cookies set by the API and never touch JavaScript
 const api = axios.create({
   baseURL: API_URL,
+  withCredentials: true,
   headers: {
     'Content-Type': 'application/json',
+    'X-Auth-Mode': 'cookie',
   },
 });
 
-// Request interceptor to add token
+const SAFE_METHODS = ['get', 'head', 'options'];
+
+// Double-submit CSRF token, echoed in a header on state-changing requests
+let csrfToken = null;
+
+export const setCsrfToken = (token) => {
+  csrfToken = token;
+};
+
+const fetchCsrfToken = async () => {
+  const response = await axios.get(`${API_URL}/auth/csrf-token`, { withCredentials: true });
+  csrfToken = response.data.data.csrfToken;
+  return csrfToken;
+};
+
+// Request interceptor to add the CSRF header
 api.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem('token');
-    if (token) {
-      config.headers.Authorization = `Bearer ${token}`;
+  async (config) => {
+    if (!SAFE_METHODS.includes(config.method)) {
+      config.headers['X-CSRF-Token'] = csrfToken || (await fetchCsrfToken());
     }
     return config;
   },
@@ -24,39 +41,57 @@ api.interceptors.request.use(
   }
 );
 
+// Refresh tokens are single-use, so concurrent 401s must share one refresh call
+let refreshPromise = null;
+
+const refreshTokens = () => {
+  if (!refreshPromise) {
+    refreshPromise = (csrfToken ? Promise.resolve(csrfToken) : fetchCsrfToken())
+      .then((token) =>
+        axios.post(`${API_URL}/auth/refresh`, {}, {
+          withCredentials: true,
+          headers: { 'X-Auth-Mode': 'cookie', 'X-CSRF-Token': token },
+        })
+      )
+      .then((response) => {
+        setCsrfToken(response.data.data.csrfToken);
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Response interceptor to handle errors
 api.interceptors.response.use(
   (response) => response,
   async (error) => {
     const originalRequest = error.config;
 
-    // If token expired, try to refresh
-    if (error.response?.status === 401 && !originalRequest._retry) {
+    // If the access token expired, try to refresh (only when signed in)
+    if (error.response?.status === 401 && !originalRequest._retry && localStorage.getItem('user')) {
       originalRequest._retry = true;
-      
-      const refreshToken = localStorage.getItem('refreshToken');
-      if (refreshToken) {
-        try {
-          const response = await axios.post(`${API_URL}/auth/refresh`, {
-            refreshToken,
-          });
-          
-          const { accessToken } = response.data.data;
-          localStorage.setItem('token', accessToken);
-          
-          originalRequest.headers.Authorization = `Bearer ${accessToken}`;
-          return api(originalRequest);
-        } catch (refreshError) {
-          // Refresh failed, logout user
-          localStorage.removeItem('token');
-          localStorage.removeItem('refreshToken');
-          localStorage.removeItem('user');
-          window.location.href = '/login';
-          return Promise.reject(refreshError);
-        }
+
+      try {
+        await refreshTokens();
+        return api(originalRequest);
+      } catch (refreshError) {
+        // Refresh failed, logout user
+        localStorage.removeItem('user');
+        window.location.href = '/login';
+        return Promise.reject(refreshError);
       }
     }
 
+    // A stale CSRF token (e.g. the cookie expired): fetch a fresh one and retry once
+    if (error.response?.status === 403 && error.response.data?.message === 'Invalid CSRF token' && !originalRequest._csrfRetry) {
+      originalRequest._csrfRetry = true;
+      await fetchCsrfToken();
+      originalRequest.headers['X-CSRF-Token'] = csrfToken;
+      return api(originalRequest);
+    }
+
     return Promise.reject(error);
   }
 );
@@ -65,8 +100,35 @@ api.interceptors.response.use(
 export const authAPI = {
   register: (data) => api.post('/auth/register', data),
   login: (data) => api.post('/auth/login', data),
+  getInvite: (token) => api.get(`/auth/invites/${token}`),
+  verifyTwoFactor: (data) => api.post('/auth/2fa/verify', data),
+  stopImpersonation: () => api.post('/auth/impersonation/stop'),
+  getOidcConfig: () => api.get('/auth/oidc/config'),
+  exchangeOidcCode: (data) => api.post('/auth/oidc/exchange', data),
+  // Full-page navigation target; the API redirects on to the identity provider
+  oidcLoginUrl: `${API_URL}/auth/oidc/login`,
+  logout: () => api.post('/auth/logout'),
+  getPasswordPolicy: () => api.get('/auth/password-policy'),
+  forgotPassword: (data) => api.post('/auth/forgot-password', data),
+  resetPassword: (data) => api.post('/auth/reset-password', data),
+  verifyEmail: (data) => api.post('/auth/verify-email', data),
+  resendVerification: () => api.post('/auth/verify-email/resend'),
   getProfile: () => api.get('/auth/me'),
   updateProfile: (data) => api.put('/auth/me', data),
+  changePassword: (data) => api.put('/auth/me/password', data),
+  exportData: () => api.get('/auth/me/export', { responseType: 'blob' }),
+  deleteAccount: (password) => api.delete('/auth/me', { data: { password } }),
+  getActivity: (params) => api.get('/auth/me/activity', { params }),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+  revokeAllSessions: () => api.delete('/auth/sessions'),
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+  confirmTwoFactor: (data) => api.post('/auth/2fa/confirm', data),
+  disableTwoFactor: (data) => api.post('/auth/2fa/disable', data),
+  regenerateRecoveryCodes: (data) => api.post('/auth/2fa/recovery-codes', data),
+  getTokens: () => api.get('/auth/tokens'),
+  createToken: (data) => api.post('/auth/tokens', data),
+  revokeToken: (id) => api.delete(`/auth/tokens/${id}`),
 };
 
 // Task API
@@ -83,15 +145,78 @@ export const taskAPI = {
   create: (data) => api.post('/tasks', data),
   update: (id, data) => api.put(`/tasks/${id}`, data),
   delete: (id) => api.delete(`/tasks/${id}`),
-  getStats: () => api.get('/tasks/stats'),
+  getComments: (id, params) => api.get(`/tasks/${id}/comments`, { params }),
+  createComment: (id, data) => api.post(`/tasks/${id}/comments`, data),
+  updateComment: (id, commentId, body) => api.put(`/tasks/${id}/comments/${commentId}`, { body }),
+  deleteComment: (id, commentId) => api.delete(`/tasks/${id}/comments/${commentId}`),
+  uploadAttachment: (id, file) => {
+    const form = new FormData();
+    form.append('file', file);
+    return api.post(`/tasks/${id}/attachments`, form, { headers: { 'Content-Type': 'multipart/form-data' } });
+  },
+  downloadAttachment: (id, attachmentId) =>
+    api.get(`/tasks/${id}/attachments/${attachmentId}/download`, { responseType: 'blob' }),
+  deleteAttachment: (id, attachmentId) => api.delete(`/tasks/${id}/attachments/${attachmentId}`),
+  reorderSubtasks: (id, taskIds) => api.put(`/tasks/${id}/subtasks/order`, { taskIds }),
+  addChecklistItem: (id, body) => api.post(`/tasks/${id}/checklist`, { body }),
+  updateChecklistItem: (id, itemId, data) => api.put(`/tasks/${id}/checklist/${itemId}`, data),
+  reorderChecklist: (id, itemIds) => api.put(`/tasks/${id}/checklist/order`, { itemIds }),
+  deleteChecklistItem: (id, itemId) => api.delete(`/tasks/${id}/checklist/${itemId}`),
+  addDependency: (id, dependsOnId) => api.post(`/tasks/${id}/dependencies`, { dependsOnId }),
+  removeDependency: (id, dependsOnId) => api.delete(`/tasks/${id}/dependencies/${dependsOnId}`),
+  getDependencyGraph: (id) => api.get(`/tasks/${id}/dependency-graph`),
+  getStats: (params) => api.get('/tasks/stats', { params }),
 };
 
-// User API (Admin only)
+// Tag API
+export const tagAPI = {
+  getAll: () => api.get('/tags'),
+  create: (data) => api.post('/tags', data),
+  update: (id, data) => api.put(`/tags/${id}`, data),
+  delete: (id) => api.delete(`/tags/${id}`),
+};
+
+// Project API
+export const projectAPI = {
+  getAll: () => api.get('/projects'),
+  getOne: (id) => api.get(`/projects/${id}`),
+  create: (data) => api.post('/projects', data),
+  update: (id, data) => api.put(`/projects/${id}`, data),
+  delete: (id) => api.delete(`/projects/${id}`),
+  addMember: (id, data) => api.post(`/projects/${id}/members`, data),
+  updateMember: (id, userId, role) => api.put(`/projects/${id}/members/${userId}`, { role }),
+  removeMember: (id, userId) => api.delete(`/projects/${id}/members/${userId}`),
+};
+
+// User API (users:* permissions)
 export const userAPI = {
   getAll: (params) => api.get('/users', { params }),
   getOne: (id) => api.get(`/users/${id}`),
+  unlock: (id) => api.post(`/users/${id}/unlock`),
+  impersonate: (id) => api.post(`/users/${id}/impersonate`),
+  suspend: (id, reason) => api.post(`/users/${id}/suspend`, { reason }),
+  deactivate: (id, reason) => api.post(`/users/${id}/deactivate`, { reason }),
+  reactivate: (id) => api.post(`/users/${id}/reactivate`),
   update: (id, data) => api.put(`/users/${id}`, data),
   delete: (id) => api.delete(`/users/${id}`),
+  getInvites: () => api.get('/users/invites'),
+  createInvite: (data) => api.post('/users/invites', data),
+  revokeInvite: (id) => api.delete(`/users/invites/${id}`),
+};
+
+// Role API (roles:* permissions)
+export const roleAPI = {
+  getAll: () => api.get('/roles'),
+  getPermissions: () => api.get('/roles/permissions'),
+  create: (data) => api.post('/roles', data),
+  update: (id, data) => api.put(`/roles/${id}`, data),
+  delete: (id) => api.delete(`/roles/${id}`),
+};
+
+// Settings API (settings:* permissions)
+export const settingsAPI = {
+  getSecurity: () => api.get('/settings/security'),
+  updateSecurity: (data) => api.put('/settings/security', data),
 };
 
 export default api;